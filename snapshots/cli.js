@@ -1,188 +1,621 @@
 #!/usr/bin/env node
 import dotenv from "dotenv";
-import { BigNumber, Contract, getDefaultProvider } from "ethers";
+import { BigNumber, Contract } from "ethers";
 import yargs from "yargs";
 import { hideBin } from "yargs/helpers";
 import dayjs from "dayjs";
 import utc from "dayjs/plugin/utc.js";
-import { createSnapshotCreator } from "./src/create-snapshot-from-block-limits.js";
-import { formatEther } from "ethers/lib/utils.js";
+import { ALLOCATIONS, createSnapshotCreator, WEIGHTINGS } from "./src/create-snapshot-from-block-limits.js";
+import { formatEther, parseEther } from "ethers/lib/utils.js";
+import { createHash } from "crypto";
 import fs from "fs";
-import { fileToIpfs } from "./src/fileToIpfs.js";
+import os from "os";
+import { basename, join } from "path";
+import { fileURLToPath } from "url";
+import { directoryToIpfs, fileToIpfs } from "./src/fileToIpfs.js";
+import { closePersistentCache, getCacheDir, setCacheDir } from "./src/helpers/cache.js";
+import { configureFixtures, withFixture } from "./src/helpers/fixtures.js";
+import { REWARD_STRATEGIES } from "./src/reward-strategies.js";
+import {
+  computeEmission,
+  DEFAULT_EMISSION_FILE,
+  loadEmissionParams,
+  SPLIT_MODES,
+  withSplitMode,
+} from "./src/emission.js";
+import { DEFAULT_EXCLUDED_ADDRESSES_FILE, getExcludedAddresses } from "./src/helpers/excluded-addresses.js";
+import { DEFAULT_CHAINS_FILE, getSeriesChains, loadChainRegistry } from "./src/helpers/chains.js";
+import { createStakeSource, STAKE_EVENT_SOURCES } from "./src/helpers/stake-sources.js";
+import { createCheckpointStore } from "./src/helpers/checkpoints.js";
+import { createEventStore } from "./src/helpers/event-store.js";
+import { describeStakeSource } from "./src/helpers/manifest.js";
+import {
+  getPeriod,
+  getSeriesPeriod,
+  getSeriesPeriodAt,
+  getSeriesPeriodNumber,
+  getSnapshotFrequency,
+  isDate,
+  isMonth,
+} from "./src/helpers/periods.js";
+import { combineReturns, getReturnsHistory } from "./src/helpers/returns.js";
+import { DEFAULT_IPFS_GATEWAY, getChainIdFromName, readSnapshot } from "./src/helpers/snapshot-files.js";
+import { serializeSnapshot } from "./src/helpers/snapshot-schema.js";
+import { DEFAULT_SHARD_PREFIX_LENGTH, writeClaimShards } from "./src/helpers/claim-shards.js";
+import * as rebuildEventStoreCommand from "./src/commands/rebuild-event-store.js";
+import * as validateChainsCommand from "./src/commands/validate-chains.js";
+import * as verifyCommand from "./src/commands/verify.js";
+import * as exportCommand from "./src/commands/export.js";
+import * as diffCommand from "./src/commands/diff.js";
+import * as jurorCommand from "./src/commands/juror.js";
+import * as simulateCommand from "./src/commands/simulate.js";
 
 dotenv.config();
 
 dayjs.extend(utc);
 
-const chains = [
-  {
-    chainId: 1,
-    blocksPerSecond: 0.066667,
-    klerosLiquidAddress: "0x988b3a538b618c7a603e1c11ab82cd16dbe28069",
-    token: "0x93ed3fbe21207ec2e8f2d3c3de6e058cb73bc04d",
-    pnkDropRatio: BigNumber.from("900000000"),
-    fromBlock: 7300000,
-    provider: getDefaultProvider(process.env.PNK_DROP_JSON_RPC_URL),
-  },
-  {
-    chainId: 100,
-    blocksPerSecond: 0.2,
-    klerosLiquidAddress: "0x9C1dA9A04925bDfDedf0f6421bC7EEa8305F9002",
-    token: "0xcb3231aBA3b451343e0Fddfc45883c842f223846",
-    pnkDropRatio: BigNumber.from("100000000"),
-    fromBlock: 16895601,
-    provider: getDefaultProvider("https://rpc.gnosischain.com"),
-  },
-];
+const buildDropCommand = (yargs) =>
+  yargs
+    .usage(
+      "Usage: $0 --lastamount={n} [--month={YYYY-MM} | --start-date={YYYY-MM-DD} --end-date={YYYY-MM-DD} | " +
+        "--series={name} [--date={YYYY-MM-DD}]]"
+    )
+    .option("lastamount", {
+      description: "The amount of tokens, in wei, that were distributed in the last period",
+    })
+    .option("json-rpc-url", {
+      description: "The amount of tokens, in wei, that were distributed in the last period",
+    })
+    .option("month", {
+      description:
+        "The month being distributed [YYYY-MM], from 2025-09 when the current schedule starts. " +
+        "Defaults to the previous month",
+      type: "string",
+      conflicts: ["start-date", "end-date"],
+    })
+    .option("start-date", {
+      description:
+        "The start date (inclusive) of a custom period [YYYY-MM-DD]. It is not a period of MerkleRedeem, " +
+        "so it is never seeded",
+      type: "string",
+      implies: "end-date",
+    })
+    .option("end-date", {
+      description: "The end date (exclusive) of a custom period [YYYY-MM-DD]",
+      type: "string",
+      implies: "start-date",
+    })
+    .option("series", {
+      description: "Distribute a period of a series of the chain registry, such as a weekly drop, instead of a month",
+      type: "string",
+      conflicts: ["month", "start-date", "end-date"],
+    })
+    .option("date", {
+      description: "A date within the period of the series [YYYY-MM-DD]. Defaults to the last period that ended",
+      type: "string",
+      implies: "series",
+    })
+    .check(({ month, startDate, endDate, date: seriesDate }) => {
+      if (month !== undefined && !isMonth(month)) {
+        throw new Error(`Invalid month ${month}, expected YYYY-MM`);
+      }
+      for (const date of [startDate, endDate, seriesDate]) {
+        if (date !== undefined && !isDate(date)) {
+          throw new Error(`Invalid date ${date}, expected YYYY-MM-DD`);
+        }
+      }
+      if (startDate !== undefined && !dayjs.utc(endDate).isAfter(dayjs.utc(startDate))) {
+        throw new Error("The end date must be after the start date");
+      }
+      return true;
+    })
+    .option("weighting", {
+      description: "How the duration of each stake is measured when averaging",
+      choices: WEIGHTINGS,
+      default: "block",
+    })
+    .option("weighting-report", {
+      description: "Report how far block-weighted and timestamp-weighted average stakes differ per juror",
+      type: "boolean",
+      default: false,
+    })
+    .option("allocation", {
+      description: "How the wei lost by rounding down each claim are handled",
+      choices: ALLOCATIONS,
+      default: "floor",
+    })
+    .option("court-multipliers", {
+      description: "Path to a JSON file with the reward multiplier of each court, indexed by chain ID and court ID",
+      type: "string",
+    })
+    .option("excluded-addresses-file", {
+      description: "Path to the JSON file with the addresses that never receive the drop",
+      type: "string",
+      default: fileURLToPath(DEFAULT_EXCLUDED_ADDRESSES_FILE),
+    })
+    .option("exclude", {
+      description: "Additional addresses that should not receive the drop in any chain",
+      type: "array",
+      default: [],
+    })
+    .option("cap-percentage", {
+      description: "The maximum claim of a juror, as a percentage of the amount dropped in each chain",
+      type: "number",
+      conflicts: "cap-amount",
+    })
+    .option("cap-amount", {
+      description: "The maximum claim of a juror, in PNK",
+      type: "string",
+      conflicts: "cap-percentage",
+    })
+    .option("strategy", {
+      description: "The rule used to turn the stakes of the jurors into claims",
+      choices: Object.keys(REWARD_STRATEGIES),
+      default: "proportional",
+    })
+    .option("strategy-params", {
+      description: 'The parameters of the strategy, as a JSON object (e.g. \'{"minimumStake":"1000"}\')',
+      type: "string",
+      default: "{}",
+    })
+    .option("chains-file", {
+      description: "Path to the chain registry",
+      type: "string",
+      default: fileURLToPath(DEFAULT_CHAINS_FILE),
+    })
+    .option("emission-file", {
+      description: "Path to the parameters of the reward formula",
+      type: "string",
+      default: fileURLToPath(DEFAULT_EMISSION_FILE),
+    })
+    .option("split-mode", {
+      description: "How the reward is split among the chains. Defaults to the mode of the emission file",
+      choices: SPLIT_MODES,
+    })
+    .option("event-source", {
+      description:
+        "Where the stake events are read from. `both` fails if they differ. Defaults to `subgraph` for Kleros v1 " +
+        "chains and to `rpc` for Kleros v2 chains, which can only be read through the RPC",
+      choices: STAKE_EVENT_SOURCES,
+    })
+    .option("event-store", {
+      description: "Keep the stake events in a local store and only fetch the new ones. Disable with --no-event-store",
+      type: "boolean",
+      default: true,
+    })
+    .option("checkpoints", {
+      description: "Start from the stake of each juror saved at the start of the period. Disable with --no-checkpoints",
+      type: "boolean",
+      default: true,
+    })
+    .option("verify-checkpoints", {
+      description: "Check that starting from the checkpoints gives the same averages as replaying all the history",
+      type: "boolean",
+      default: false,
+    })
+    .option("shards", {
+      description: "Also export the claims in small files keyed by address prefix, uploaded as one directory",
+      type: "boolean",
+      default: false,
+    })
+    .option("shard-prefix-length", {
+      description: "The number of hex characters of the address prefixes the claims are sharded by",
+      type: "number",
+      default: DEFAULT_SHARD_PREFIX_LENGTH,
+    })
+    .option("previous-snapshot", {
+      description:
+        "The published snapshot of the previous period of each chain, which the returns history is carried over " +
+        "from: paths, URLs, IPFS paths (/ipfs/<cid>/<file>) or ipfs:// URLs",
+      type: "array",
+      default: [],
+    })
+    .option("ipfs-gateway", {
+      description: "The gateway IPFS paths are fetched from",
+      type: "string",
+      default: DEFAULT_IPFS_GATEWAY,
+    })
+    .string(["lastamount, json-rpc-url"]);
 
-const argv = yargs(hideBin(process.argv))
-  .strict(true)
-  .locale("en")
-  .usage(`Usage: $0 --lastamount={n}`)
-  .epilogue("Alternatively you can set the same params in the .env file. Check .env.example.")
-  .option("lastamount", {
-    description: "The amount of tokens, in wei, that were distributed in the last period",
-  })
-  .option("json-rpc-url", {
-    description: "The amount of tokens, in wei, that were distributed in the last period",
-  })
-  .string(["lastamount, json-rpc-url"]).argv;
-
-const normalizeArgs = ({ lastamount }) => ({
+const normalizeArgs = ({
+  lastamount,
+  month,
+  startDate,
+  endDate,
+  series,
+  date,
+  weighting,
+  weightingReport,
+  allocation,
+  courtMultipliers,
+  excludedAddressesFile,
+  exclude,
+  capPercentage,
+  capAmount,
+  strategy,
+  strategyParams,
+  chainsFile,
+  emissionFile,
+  splitMode,
+  eventSource,
+  eventStore,
+  checkpoints,
+  verifyCheckpoints,
+  shards,
+  shardPrefixLength,
+  previousSnapshot,
+  ipfsGateway,
+}) => ({
   lastamount: BigNumber.from(String(lastamount)),
+  period: { month, startDate, endDate, series, date },
+  weighting,
+  weightingReport,
+  allocation,
+  courtMultipliers: courtMultipliers ? JSON.parse(fs.readFileSync(courtMultipliers)) : {},
+  getExcludedAddressesByChain: (chainId) =>
+    getExcludedAddresses({ chainId, file: excludedAddressesFile, extra: exclude.map(String) }),
+  claimCap:
+    capPercentage !== undefined
+      ? { percentage: String(capPercentage) }
+      : capAmount !== undefined
+      ? { amount: parseEther(capAmount) }
+      : null,
+  strategy,
+  strategyParams: JSON.parse(strategyParams),
+  registry: loadChainRegistry({ file: chainsFile }),
+  emissionParams: withSplitMode(loadEmissionParams({ file: emissionFile }), splitMode),
+  getStakeSourceByChain: (chain) => {
+    const getStakeChanges = createStakeSource(chain, { source: eventSource });
+    return {
+      getStakeChanges: eventStore
+        ? createEventStore({
+            chainId: chain.chainId,
+            fromBlock: chain.fromBlock,
+            getStakeChanges,
+            provider: chain.provider,
+          }).getStakeChanges
+        : getStakeChanges,
+      checkpoints: checkpoints ? createCheckpointStore({ chainId: chain.chainId }) : null,
+      verifyCheckpoints,
+      source: describeStakeSource(chain, { eventSource }),
+    };
+  },
+  shards: shards ? { prefixLength: shardPrefixLength } : null,
+  previousSnapshots: previousSnapshot.map(String),
+  ipfsGateway,
 });
 
-const { lastamount } = normalizeArgs(argv);
+/**
+ * Gets the dates and periods of the distribution.
+ * Without a month, custom dates or a series, the distribution is for the previous month.
+ * Periods are derived from the month the distribution starts in, never from the current date.
+ */
+const getDatesAndPeriod = ({ month, startDate: customStartDate, endDate: customEndDate, series, date }, registry) => {
+  if (series) {
+    return getSeriesDatesAndPeriod(series, date, registry);
+  }
 
-const getDatesAndPeriod = () => {
-  const currentDate = new Date(); // Current date in local time zone
-  const currentMonth = currentDate.getUTCMonth(); // Get current month in UTC
-  const currentYear = currentDate.getUTCFullYear(); // Get current year in UTC
+  const chains = registry.chains.filter(({ active }) => active);
+  let start, end, previous, label, previousLabel;
+  if (customStartDate) {
+    start = dayjs.utc(customStartDate);
+    end = dayjs.utc(customEndDate);
+    // The formula uses a window of the same length right before the custom period.
+    previous = start.subtract(end.diff(start));
+    label = `${start.format("YYYY-MM-DD")}_${end.format("YYYY-MM-DD")}`;
+    previousLabel = `${previous.format("YYYY-MM-DD")}_${start.format("YYYY-MM-DD")}`;
+  } else {
+    start = month ? dayjs.utc(`${month}-01`) : dayjs.utc().startOf("month").subtract(1, "month");
+    end = start.add(1, "month");
+    previous = start.subtract(1, "month");
+    label = start.format("YYYY-MM");
+    previousLabel = previous.format("YYYY-MM");
+  }
 
-  // Calculate the start date as the first day of the previous month in UTC
-  const startDate = new Date(Date.UTC(currentYear, currentMonth - 1, 1));
+  // each chain has its own period for September 2025 (`basePeriod`), which increases by 1 each period
+  // only used for _week argument in merkledrop.seedAllocations()
+  // A custom range has none: it would take the period of the month it starts in, seeded by the monthly drop.
+  const periods = Object.fromEntries(
+    chains.map((chain) => [chain.chainId, customStartDate ? null : getPeriod(chain, start)])
+  );
 
-  // Calculate the end date as the first day of the current month in UTC
-  const endDate = new Date(Date.UTC(currentYear, currentMonth, 1));
+  return {
+    startDate: start.toDate(),
+    endDate: end.toDate(),
+    previousDate: previous.toDate(),
+    periods,
+    label,
+    previousLabel,
+  };
+};
 
-  const previousDate = new Date(Date.UTC(currentYear, currentMonth - 2, 1));
+/**
+ * Gets the dates and periods of a distribution of a series.
+ * Without a date, the distribution is for the last period that ended.
+ * Periods are derived from the index of the period in the series, and snapshots are named after the series
+ * and the start of the period, so they never collide with the monthly ones.
+ */
+const getSeriesDatesAndPeriod = (name, date, registry) => {
+  const series = registry.series[name];
+  const chains = getSeriesChains(registry, name);
+  const current = date
+    ? getSeriesPeriod(series, date)
+    : getSeriesPeriodAt(series, getSeriesPeriod(series, dayjs.utc()).index - 1);
+  if (current.index < 0) {
+    throw new Error(`No period of the series ${name} has ended yet`);
+  }
+  const previous = getSeriesPeriodAt(series, current.index - 1);
+  const getLabel = ({ startDate }) => `${name}-${startDate.format("YYYY-MM-DD")}`;
 
-  // Calculate the periods based on the start date
-  const baseYear = 2025;
-  const baseMonth = 8; // September is 8 in Date.UTC
-  const monthDiff = (currentYear - baseYear) * 12 + currentMonth - baseMonth - 1;
+  return {
+    startDate: current.startDate.toDate(),
+    endDate: current.endDate.toDate(),
+    previousDate: previous.startDate.toDate(),
+    periods: Object.fromEntries(chains.map((chain) => [chain.chainId, getSeriesPeriodNumber(chain, current.index)])),
+    label: getLabel(current),
+    previousLabel: getLabel(previous),
+    // Calendar months are not scaled, whatever their length.
+    periodSeconds: series.frequency === "month" ? undefined : current.endDate.diff(current.startDate, "second"),
+  };
+};
 
-  // target starts at 33 % for September 2025 and increases by 0.2 % each period, max 50 %
-  const targetPercentage = Math.min(33 + 0.2 * monthDiff, 50); // % as float
-  const target = BigNumber.from(Math.floor(targetPercentage * 1e7)); // scale to 1 e-7 units
-  // mainnetPeriod starts at 55 for September 2025 and also increases by 1 each period
-  // gnosisPeriod starts at 50 for September 2025 and increases by 1 each period
-  // only used for _week argument in merkledrop.seedAllocations()
-  const periods = { 1: 55 + monthDiff, 100: 50 + monthDiff };
+const formatReturns = ({ apr, apy }) =>
+  apr === null ? "n/a" : `APR ${(apr * 100).toFixed(2)}%, APY ${(apy * 100).toFixed(2)}%`;
 
-  return { startDate, endDate, previousDate, target, periods };
+/*
+ * Reads the snapshots of the previous period the returns history is carried over from, indexed by chain ID.
+ * The chain of a snapshot is taken from its manifest or, for snapshots without one, from its file name.
+ */
+const readPreviousSnapshots = async (locations, { chains, startDate, ipfsGateway }) => {
+  const previousByChain = {};
+  for (const location of locations) {
+    const snapshot = await readSnapshot(location, { ipfsGateway });
+    const chainId = snapshot.manifest?.chainId ?? getChainIdFromName(location, chains);
+    if (!chains.some((chain) => chain.chainId === chainId)) {
+      throw new Error(`The previous snapshot ${location} is not from any chain of the distribution`);
+    }
+    if (previousByChain[chainId]) {
+      throw new Error(
+        `There are two previous snapshots of chain ${chainId}: ${previousByChain[chainId].location}, ${location}`
+      );
+    }
+    if (new Date(snapshot.endDate).getTime() !== startDate.getTime()) {
+      throw new Error(
+        `The previous snapshot ${location} ends on ${snapshot.endDate} instead of ${startDate.toISOString()}, ` +
+          "when the period starts"
+      );
+    }
+    previousByChain[chainId] = { location, snapshot };
+  }
+
+  return previousByChain;
 };
 
-const main = async () => {
+const formatRatio = (ratio) => `${(ratio.div(BigNumber.from(100000)).toNumber() / 100).toFixed(2)}%`;
+
+const printSplit = ({ splitMode, chains }) => {
+  console.log(
+    splitMode === "stake"
+      ? "      Split: by the stake of each chain in the period, so a PNK staked earns the same in every chain"
+      : "      Split: by the drop ratios of the chain registry"
+  );
+  for (const { chainId, pnkDropRatio, stakeShare, limit } of chains) {
+    const reason =
+      stakeShare === null
+        ? ""
+        : ` (${formatRatio(stakeShare)} of the stake${
+            limit === "min" ? ", raised to its minimum" : limit === "max" ? ", capped at its maximum" : ""
+          })`;
+    console.log(`        Chain ${chainId}: ${formatRatio(pnkDropRatio)}${reason}`);
+  }
+  console.log();
+};
+
+const printWeightingReport = (report, limit = 10) => {
+  const entries = Object.entries(report);
+  const absolute = (bn) => (bn.isNegative() ? bn.mul(-1) : bn);
+  const largest = entries
+    .sort(([, a], [, b]) => {
+      const [x, y] = [absolute(a.difference), absolute(b.difference)];
+      return y.gt(x) ? 1 : y.lt(x) ? -1 : 0;
+    })
+    .slice(0, limit);
+
+  console.log(`        └─ Block vs timestamp weighting (${limit} largest differences of ${entries.length} jurors):`);
+  for (const [address, { block, timestamp, differenceBasisPoints }] of largest) {
+    const relative = differenceBasisPoints === null ? "n/a" : `${(differenceBasisPoints / 100).toFixed(2)}%`;
+    console.log(`           ${address}: ${formatEther(block)} → ${formatEther(timestamp)} PNK (${relative})`);
+  }
+};
+
+const main = async ({
+  lastamount,
+  period,
+  weighting,
+  weightingReport,
+  allocation,
+  courtMultipliers,
+  getExcludedAddressesByChain,
+  claimCap,
+  strategy,
+  strategyParams,
+  registry,
+  emissionParams,
+  getStakeSourceByChain,
+  shards,
+  previousSnapshots,
+  ipfsGateway,
+}) => {
+  // The formula measures the stake of every active chain, while a series only drops in its own chains.
+  const activeChains = registry.chains.filter(({ active }) => active);
+  const chains = period.series ? getSeriesChains(registry, period.series) : activeChains;
+  const frequency = period.series ? getSnapshotFrequency(registry.series[period.series]) : "month";
+  const supplyChain = registry.chains.find(({ chainId }) => chainId === registry.supplyChainId);
+
   // get the utc dates of the period.
-  const { startDate, endDate, previousDate, target, periods } = getDatesAndPeriod();
+  const { startDate, endDate, previousDate, periods, label, previousLabel, periodSeconds } = getDatesAndPeriod(
+    period,
+    registry
+  );
 
   console.log("\n═══════════════════════════════════════════════════════════════");
-  console.log(`  CALCULATING REWARDS: ${startDate.toISOString().slice(0, 7)} → ${endDate.toISOString().slice(0, 7)}`);
+  console.log(`  CALCULATING REWARDS: ${startDate.toISOString().slice(0, 10)} → ${endDate.toISOString().slice(0, 10)}`);
+  if (period.series) {
+    console.log(`  Series: ${period.series} (chains ${chains.map(({ chainId }) => chainId).join(", ")})`);
+  }
   console.log("═══════════════════════════════════════════════════════════════\n");
 
+  // Read before anything is computed, so a wrong snapshot fails the run straight away.
+  const previousByChain = await readPreviousSnapshots(previousSnapshots, { chains, startDate, ipfsGateway });
+
   // for each chain, count the "average" total pnk staked of the month.
   // to get this value, we can run the entire snapshot creator function,
   // create the entire merkle tree. not efficient but safer than modifying
   // working legacy.
   // getting this value implies getting it for all chains.
-  const getTotalPNKStaked = async () => {
-    let sum = BigNumber.from(0);
-    console.log(
-      `[1/3] Fetching stake data from ${previousDate.toISOString().slice(0, 7)} → ${startDate
-        .toISOString()
-        .slice(0, 7)} (for formula)\n`
-    );
-    for (const chain of chains) {
+  const getStakedByChain = async (measuredChains, fromDate, toDate) => {
+    const staked = {};
+    for (const chain of measuredChains) {
       const createSnapshot = await createSnapshotCreator({
         provider: chain.provider,
-        klerosLiquidAddress: chain.klerosLiquidAddress,
+        ...getStakeSourceByChain(chain),
         droppedAmount: BigNumber.from(0), // we're not awarding anything, just counting.
+        weighting,
+        excludedAddresses: getExcludedAddressesByChain(chain.chainId),
       });
 
       const snapshot = await createSnapshot({
         fromBlock: chain.fromBlock,
-        startDate: previousDate,
-        endDate: startDate,
+        startDate: fromDate,
+        endDate: toDate,
       });
       const inPnk = parseFloat(formatEther(snapshot.averageTotalStaked));
       const displayAmount = inPnk >= 1000000 ? `${(inPnk / 1000000).toFixed(2)}M` : `${(inPnk / 1000).toFixed(0)}K`;
       console.log(`      Chain ${chain.chainId}: ${displayAmount} PNK (${snapshot.averageTotalStaked} wei) staked`);
-      sum = sum.add(snapshot.averageTotalStaked);
+      staked[chain.chainId] = snapshot.averageTotalStaked;
     }
-    return sum;
+    return staked;
   };
-  const totalPNKStaked = await getTotalPNKStaked();
+  console.log(
+    `[1/3] Fetching stake data from ${previousDate.toISOString().slice(0, 10)} → ${startDate
+      .toISOString()
+      .slice(0, 10)} (for formula)\n`
+  );
+  const totalPNKStaked = Object.values(await getStakedByChain(activeChains, previousDate, startDate)).reduce(
+    (sum, staked) => sum.add(staked),
+    BigNumber.from(0)
+  );
 
   // lets compute the formula to figure out how much will be awarded in total this month
-  const pnkMainnet = new Contract(
-    chains[0].token,
-    ["function totalSupply() view returns (uint256)"],
-    chains[0].provider
-  );
-  const totalSupply = await pnkMainnet.totalSupply();
+  const pnk = new Contract(supplyChain.token, ["function totalSupply() view returns (uint256)"], supplyChain.provider);
+  const totalSupply = await pnk.totalSupply();
   const totalInPnk = parseFloat(formatEther(totalPNKStaked));
   const totalDisplay =
     totalInPnk >= 1000000 ? `${(totalInPnk / 1000000).toFixed(2)}M` : `${(totalInPnk / 1000).toFixed(0)}K`;
   console.log(`      Total: ${totalDisplay} PNK (${totalPNKStaked} wei) staked\n`);
-  // basis points: 9 zeroes
-  const basis = BigNumber.from(1000000000);
-  const stakePercent = totalPNKStaked.mul(basis).div(totalSupply);
-  const onePlusStakeMinusTarget = basis.add(target).sub(stakePercent);
-  const fullReward = lastamount.mul(onePlusStakeMinusTarget).div(basis);
+
+  // Splitting by stake gives the same yield per PNK in every chain, so it needs the stake of the period itself.
+  let periodStakedByChain = {};
+  if (emissionParams.split?.mode === "stake") {
+    console.log(
+      `      Fetching stake data from ${startDate.toISOString().slice(0, 10)} → ${endDate
+        .toISOString()
+        .slice(0, 10)} (for the split across chains)\n`
+    );
+    periodStakedByChain = await getStakedByChain(chains, startDate, endDate);
+    console.log();
+  }
+
+  const emission = computeEmission(emissionParams, {
+    date: startDate,
+    lastAmount: lastamount,
+    totalStaked: totalPNKStaked,
+    totalSupply,
+    chains: chains.map((chain) => ({ ...chain, averageTotalStaked: periodStakedByChain[chain.chainId] })),
+    periodSeconds,
+  });
+  const { stakePercent, target, multiplier, periodMultiplier, fullReward } = emission;
 
   console.log("[2/3] Calculating reward amount\n");
   const stakePercentDisplay = (stakePercent.div(BigNumber.from(100000)).toNumber() / 100).toFixed(2);
   const targetDisplay = (target.div(BigNumber.from(100000)).toNumber() / 100).toFixed(2);
-  const multiplierDisplay = (onePlusStakeMinusTarget.toNumber() / 10000000).toFixed(2);
+  const multiplierDisplay = (multiplier.toNumber() / 10000000).toFixed(2);
   const rewardInPnk = parseFloat(formatEther(fullReward));
   const rewardDisplay =
     rewardInPnk >= 1000000 ? `${(rewardInPnk / 1000000).toFixed(2)}M` : `${(rewardInPnk / 1000).toFixed(0)}K`;
   console.log(`      Stake %: ${stakePercentDisplay}%`);
   console.log(`      Target %: ${targetDisplay}%`);
   console.log(`      Multiplier: ${multiplierDisplay}%`);
-  console.log(
-    `      Total Reward for ${startDate
-      .toISOString()
-      .slice(0, 7)}: ${fullReward.toString()} wei (~${rewardDisplay} PNK)\n`
-  );
+  if (periodSeconds !== undefined) {
+    const periodMultiplierDisplay = (periodMultiplier.toNumber() / 10000000).toFixed(2);
+    console.log(`      Multiplier for ${periodSeconds / 86400} days: ${periodMultiplierDisplay}%`);
+  }
+  console.log(`      Total Reward for ${label}: ${fullReward.toString()} wei (~${rewardDisplay} PNK)`);
+  printSplit(emission);
 
   console.log(
-    `[3/3] Generating snapshots for ${startDate.toISOString().slice(0, 7)} → ${endDate.toISOString().slice(0, 7)}\n`
+    `[3/3] Generating snapshots for ${startDate.toISOString().slice(0, 10)} → ${endDate.toISOString().slice(0, 10)}\n`
   );
 
   const snapshotInfos = [];
   let currentMonthTotalStaked = BigNumber.from(0);
   for (const c of chains) {
-    const droppedAmount = fullReward.mul(c.pnkDropRatio).div(basis);
+    const { droppedAmount } = emission.chains.find(({ chainId }) => chainId === c.chainId);
     const droppedInPnk = parseFloat(formatEther(droppedAmount));
     const droppedDisplay =
       droppedInPnk >= 1000000 ? `${(droppedInPnk / 1000000).toFixed(2)}M` : `${(droppedInPnk / 1000).toFixed(0)}K`;
     const createSnapshot = await createSnapshotCreator({
       provider: c.provider,
-      klerosLiquidAddress: c.klerosLiquidAddress,
+      ...getStakeSourceByChain(c),
       droppedAmount,
+      frequency,
+      weighting,
+      compareWeightings: weightingReport,
+      courtMultipliers: courtMultipliers[c.chainId] ?? {},
+      allocation,
+      excludedAddresses: getExcludedAddressesByChain(c.chainId),
+      claimCap,
+      strategy,
+      strategyParams,
     });
     const snapshot = await createSnapshot({ fromBlock: c.fromBlock, startDate, endDate });
     const stakedInPnk = parseFloat(formatEther(snapshot.averageTotalStaked));
     const stakedDisplay =
       stakedInPnk >= 1000000 ? `${(stakedInPnk / 1000000).toFixed(2)}M` : `${(stakedInPnk / 1000).toFixed(0)}K`;
     console.log(`      Chain ${c.chainId}: ${stakedDisplay} PNK (${snapshot.averageTotalStaked} wei) staked`);
-    console.log(`        └─ Reward: ${droppedDisplay} PNK (${droppedAmount} wei)`);
+    console.log(`        └─ Reward: ${droppedDisplay} PNK (${droppedAmount} wei), ${formatReturns(snapshot.returns)}`);
+    console.log(`        └─ Strategy: ${snapshot.strategy.name} ${JSON.stringify(snapshot.strategy.params)}`);
+    if (allocation === "floor") {
+      console.log(`        └─ Dust left in the contract: ${snapshot.dust} wei`);
+    } else {
+      console.log(`        └─ Dust redistributed: ${snapshot.dust} wei`);
+      if (!snapshot.totalClaimable.eq(droppedAmount)) {
+        throw new Error(
+          `Chain ${c.chainId}: total claimable (${snapshot.totalClaimable} wei) does not match the dropped amount (${droppedAmount} wei)`
+        );
+      }
+    }
+    for (const [address, stake] of Object.entries(snapshot.excluded)) {
+      console.log(`        └─ Excluded ${address}: ${formatEther(stake)} PNK`);
+    }
+    if (snapshot.claimCap) {
+      const capped = Object.values(snapshot.capped);
+      const excess = capped.reduce((acc, { excess }) => acc.add(excess), BigNumber.from(0));
+      console.log(
+        `        └─ Cap: ${formatEther(snapshot.claimCap.value)} PNK, ${capped.length} claims capped (${formatEther(
+          excess
+        )} PNK redistributed)`
+      );
+    }
+    for (const [courtId, multiplier] of Object.entries(snapshot.courtMultipliers)) {
+      console.log(`        └─ Court ${courtId} multiplier: ${multiplier}`);
+    }
+    if (snapshot.weightingReport) {
+      printWeightingReport(snapshot.weightingReport);
+    }
     currentMonthTotalStaked = currentMonthTotalStaked.add(snapshot.averageTotalStaked);
     snapshotInfos.push({
-      // edit when arbitrum inclusion
-      filename: `${c.chainId == "1" ? "" : "xdai-"}snapshot-${startDate.toISOString().slice(0, 7)}.json`,
+      filename: `${c.filePrefix}snapshot-${label}.json`,
       chain: c,
       snapshot,
       period: periods[c.chainId],
@@ -193,49 +626,168 @@ const main = async () => {
     currentTotalInPnk >= 1000000
       ? `${(currentTotalInPnk / 1000000).toFixed(2)}M`
       : `${(currentTotalInPnk / 1000).toFixed(0)}K`;
-  console.log(`      Total Staked: ${currentTotalDisplay} PNK (${currentMonthTotalStaked} wei)\n`);
+  console.log(`      Total Staked: ${currentTotalDisplay} PNK (${currentMonthTotalStaked} wei)`);
+
+  // Every snapshot carries the returns across chains and the trend of its own chain.
+  const combinedReturns = combineReturns(
+    snapshotInfos.map(({ snapshot }) => snapshot),
+    { startDate, endDate }
+  );
+  console.log(`      Across chains: ${formatReturns(combinedReturns)}\n`);
+  for (const sinfo of snapshotInfos) {
+    const previous = previousByChain[sinfo.chain.chainId] ?? null;
+    const returnsHistory = getReturnsHistory(previous?.snapshot ?? null);
+    if (returnsHistory.length === 0) {
+      console.warn(
+        `\n⚠ ⚠ ⚠  Chain ${sinfo.chain.chainId} (${sinfo.chain.name}): the returns history is EMPTY, no previous ` +
+          `snapshot was given.\n        Pass --previous-snapshot with the published ` +
+          `${sinfo.chain.filePrefix}snapshot-${previousLabel}.json, unless this is the first period.\n`
+      );
+    }
+    sinfo.snapshot = {
+      ...sinfo.snapshot,
+      combinedReturns,
+      returnsHistory,
+      manifest: { ...sinfo.snapshot.manifest, previousSnapshot: previous?.location ?? null },
+    };
+  }
   console.log("───────────────────────────────────────────────────────────────");
 
   // paste these into kleros/court
   console.log("\nIPFS URLs:");
   for (const sinfo of snapshotInfos) {
-    const path = `.cache/${sinfo.filename}`;
-    fs.writeFileSync(path, JSON.stringify(sinfo.snapshot));
-    const ipfsPath = await fileToIpfs(path);
-    console.log(`  https://cdn.kleros.link/ipfs/${ipfsPath}`);
-  }
-
-  // txs to run sequentially, hardcoded section.
-  //1. Approve `0xdbc3088Dfebc3cc6A84B0271DaDe2696DB00Af38` (mainnet) to spend 900k PNK  (token address `0x93ed3fbe21207ec2e8f2d3c3de6e058cb73bc04d`)
-  // >>>> ignoring.
-  //2. Seed week X on Mainnet.
-  const merkleContractMainnet = new Contract("0xdbc3088Dfebc3cc6A84B0271DaDe2696DB00Af38", [
-    "function seedAllocations(uint _week, bytes32 _merkleRoot, uint _totalAllocation) external",
-  ]);
+    const path = join(getCacheDir(), sinfo.filename);
+    const content = serializeSnapshot(sinfo.snapshot);
+    fs.writeFileSync(path, content);
+    // Keyed by the content, so replaying fixtures also proves the snapshot is the same byte for byte. The generator
+    // is left out, as it names the commit and fixtures must still replay after the code changes.
+    const { generator: ignoredGenerator, ...manifest } = sinfo.snapshot.manifest;
+    const contentHash = createHash("sha256")
+      .update(serializeSnapshot({ ...sinfo.snapshot, manifest }))
+      .digest("hex");
+    const ipfsPath = await withFixture(`ipfs ${sinfo.filename} ${contentHash}`, () => fileToIpfs(path));
+    console.log(`  https://cdn.kleros.link/ipfs/${ipfsPath} (${path})`);
+
+    if (shards) {
+      const dir = join(getCacheDir(), `${sinfo.chain.filePrefix}claims-${label}`);
+      const files = await writeClaimShards(dir, sinfo.snapshot, {
+        prefixLength: shards.prefixLength,
+        metadata: { chainId: sinfo.chain.chainId, period: sinfo.period },
+      });
+      const dirHash = files
+        .reduce((hash, file) => hash.update(file).update(fs.readFileSync(join(dir, file))), createHash("sha256"))
+        .digest("hex");
+      const shardsCid = await withFixture(`ipfs-directory ${basename(dir)} ${dirHash}`, () =>
+        directoryToIpfs(dir, files)
+      );
+      console.log(`  https://cdn.kleros.link/ipfs/${shardsCid}/index.json (${files.length} files in ${dir})`);
+    }
+  }
+
+  // txs to run sequentially, for each chain:
+  // 1. Fund the MerkleRedeem contract (manual steps from the chain registry).
+  // 2. Seed the period.
   const txToUrl = (tx, chainId) =>
     `https://greenlucid.github.io/lame-tx-prompt/site?to=${tx.to}&data=${tx.data}&value=0&chainId=${chainId}`;
-  const tx1 = await merkleContractMainnet.populateTransaction.seedAllocations(
-    snapshotInfos[0].period,
-    snapshotInfos[0].snapshot.merkleTree.root,
-    snapshotInfos[0].snapshot.droppedAmount
-  );
+  if (Object.values(periods).includes(null)) {
+    console.log(
+      "\nA custom range is not a period of MerkleRedeem, so it can not be seeded. Use --month or --series for that."
+    );
+    return;
+  }
+
   console.log("\nExecution Steps:");
-  console.log("  [Pre-req] PNK should be already approved to Merkle Drop contract");
-  console.log(`  [1] ${txToUrl(tx1, 1)}`);
-  console.log(
-    `  [2] https://bridge.gnosischain.com/ (amount: ${formatEther(snapshotInfos[1].snapshot.droppedAmount)})`
-  );
-  console.log("  [3] http://court.kleros.io and xPNK -> stPNK");
-  console.log("  [Pre-req] stPNK should be already approved to Merkle Drop contract");
-  const merkleContractGnosis = new Contract("0xf1A9589880DbF393F32A5b2d5a0054Fa10385074", [
-    "function seedAllocations(uint _week, bytes32 _merkleRoot, uint _totalAllocation) external",
-  ]);
-  const tx2 = await merkleContractGnosis.populateTransaction.seedAllocations(
-    snapshotInfos[1].period,
-    snapshotInfos[1].snapshot.merkleTree.root,
-    snapshotInfos[1].snapshot.droppedAmount
-  );
-  console.log(`  [4] ${txToUrl(tx2, 100)}\n`);
+  let step = 1;
+  for (const sinfo of snapshotInfos) {
+    const { chain, snapshot, period } = sinfo;
+    for (const instruction of chain.steps) {
+      console.log(`  [${step++}] ${instruction.replace("{amount}", formatEther(snapshot.droppedAmount))}`);
+    }
+    if (chain.prerequisite) {
+      console.log(`  [Pre-req] ${chain.prerequisite}`);
+    }
+    const merkleContract = new Contract(chain.merkleRedeemAddress, [
+      "function seedAllocations(uint _week, bytes32 _merkleRoot, uint _totalAllocation) external",
+    ]);
+    const tx = await merkleContract.populateTransaction.seedAllocations(
+      period,
+      snapshot.merkleTree.root,
+      snapshot.droppedAmount
+    );
+    console.log(`  [${step++}] ${txToUrl(tx, chain.chainId)}`);
+  }
+  console.log();
+};
+
+let temporaryCacheDir = null;
+
+/*
+ * When recording or replaying fixtures, the cache starts empty unless told otherwise,
+ * so every request of the run goes through the fixtures.
+ */
+function configureIo({ recordFixtures, replayFixtures, cacheDir }) {
+  const fixturesDir = recordFixtures ?? replayFixtures;
+  configureFixtures({
+    mode: recordFixtures ? "record" : replayFixtures ? "replay" : "live",
+    dir: fixturesDir,
+  });
+
+  if (cacheDir) {
+    setCacheDir(cacheDir);
+  } else if (fixturesDir && !process.env.PNK_DROP_CACHE_DIR) {
+    temporaryCacheDir = fs.mkdtempSync(join(os.tmpdir(), "pnk-drop-cache-"));
+    setCacheDir(temporaryCacheDir);
+  }
+}
+
+/*
+ * Runs a command, then removes the cache created by `configureIo`, whether the command succeeded or not.
+ */
+const withIo = (handler) => async (argv) => {
+  try {
+    await handler(argv);
+  } finally {
+    if (temporaryCacheDir) {
+      await closePersistentCache();
+      fs.rmSync(temporaryCacheDir, { recursive: true, force: true });
+    }
+  }
 };
 
-main();
+yargs(hideBin(process.argv))
+  .strict(true)
+  .locale("en")
+  .option("record-fixtures", {
+    description: "Save every response from the RPCs, the subgraphs and IPFS in this directory",
+    type: "string",
+    conflicts: "replay-fixtures",
+    global: true,
+  })
+  .option("replay-fixtures", {
+    description: "Serve every response from the fixtures in this directory instead of the network",
+    type: "string",
+    global: true,
+  })
+  .option("cache-dir", {
+    description:
+      "The directory of the local cache. Defaults to .cache, or to a new directory, removed at the end, " +
+      "when recording or replaying",
+    type: "string",
+    global: true,
+  })
+  .middleware(configureIo)
+  .command(
+    "$0",
+    "Generates the snapshots of the period and uploads them to IPFS",
+    buildDropCommand,
+    withIo((argv) => main(normalizeArgs(argv)))
+  )
+  .command({ ...validateChainsCommand, handler: withIo(validateChainsCommand.handler) })
+  .command({ ...rebuildEventStoreCommand, handler: withIo(rebuildEventStoreCommand.handler) })
+  .command({ ...verifyCommand, handler: withIo(verifyCommand.handler) })
+  .command({ ...exportCommand, handler: withIo(exportCommand.handler) })
+  .command({ ...diffCommand, handler: withIo(diffCommand.handler) })
+  .command({ ...jurorCommand, handler: withIo(jurorCommand.handler) })
+  .command({ ...simulateCommand, handler: withIo(simulateCommand.handler) })
+  .epilogue("Alternatively you can set the same params in the .env file. Check .env.example.")
+  .parse();
@@ -0,0 +1,47 @@
+import { diffSnapshots, formatSnapshotDiff } from "../helpers/snapshot-diff.js";
+import { DEFAULT_IPFS_GATEWAY, readSnapshot } from "../helpers/snapshot-files.js";
+
+export const command = "diff <before> <after>";
+
+export const describe = "Reports what changed between two snapshots, usually of the same chain in consecutive months";
+
+export const builder = (yargs) =>
+  yargs
+    .positional("before", {
+      description: "The first snapshot: a path, a URL, an IPFS path (/ipfs/<cid>/<file>) or an ipfs:// URL",
+      type: "string",
+    })
+    .positional("after", {
+      description: "The second snapshot, in any of the same forms",
+      type: "string",
+    })
+    .option("threshold", {
+      description: "Report every claim that moved more than this percentage",
+      type: "number",
+      default: 50,
+    })
+    .option("limit", {
+      description: "The number of jurors listed in each section",
+      type: "number",
+      default: 10,
+    })
+    .option("json", {
+      description: "Print the diff as JSON, with every joined, left and over the threshold juror",
+      type: "boolean",
+      default: false,
+    })
+    .option("ipfs-gateway", {
+      description: "The gateway IPFS paths are fetched from",
+      type: "string",
+      default: DEFAULT_IPFS_GATEWAY,
+    });
+
+export async function handler({ before, after, threshold, limit, json, ipfsGateway }) {
+  const [beforeSnapshot, afterSnapshot] = await Promise.all([
+    readSnapshot(before, { ipfsGateway }),
+    readSnapshot(after, { ipfsGateway }),
+  ]);
+
+  const diff = diffSnapshots(beforeSnapshot, afterSnapshot, { threshold, limit });
+  console.log(json ? JSON.stringify(diff, null, 2) : formatSnapshotDiff(diff, { limit }));
+}
@@ -0,0 +1,57 @@
+import { readFileSync } from "fs";
+import { mkdir, writeFile } from "fs/promises";
+import { basename, join } from "path";
+import { fileURLToPath } from "url";
+import { DEFAULT_CHAINS_FILE } from "../helpers/chains.js";
+import { getClaimRows, getSummaryRow, toCsv } from "../helpers/snapshot-csv.js";
+import { DEFAULT_IPFS_GATEWAY, getChainIdFromName, readSnapshot } from "../helpers/snapshot-files.js";
+
+export const command = "export <snapshots..>";
+
+export const describe = "Writes the claims and stakes of snapshots as CSV files, with a summary row per snapshot";
+
+export const builder = (yargs) =>
+  yargs
+    .positional("snapshots", {
+      description: "The snapshots: paths, URLs, IPFS paths (/ipfs/<cid>/<file>) or ipfs:// URLs",
+      type: "string",
+    })
+    .option("out-dir", {
+      description: "The directory the CSV files are written to",
+      type: "string",
+      default: "exports",
+    })
+    .option("chains-file", {
+      description: "Path to the chain registry, to tell the chain of snapshots without a manifest by their file name",
+      type: "string",
+      default: fileURLToPath(DEFAULT_CHAINS_FILE),
+    })
+    .option("ipfs-gateway", {
+      description: "The gateway IPFS paths are fetched from",
+      type: "string",
+      default: DEFAULT_IPFS_GATEWAY,
+    });
+
+export async function handler({ snapshots: locations, outDir, chainsFile, ipfsGateway }) {
+  // Only the file prefixes are needed, so the registry is read as is, without the RPC URLs.
+  const { chains } = JSON.parse(readFileSync(chainsFile));
+  await mkdir(outDir, { recursive: true });
+
+  const summaryRows = [];
+  for (const location of locations) {
+    const snapshot = await readSnapshot(location, { ipfsGateway });
+    const name = basename(location.split("?")[0]).replace(/\.json$/, "");
+
+    const claimsFile = join(outDir, `${name}-claims.csv`);
+    await writeFile(claimsFile, toCsv(getClaimRows(snapshot)));
+    console.log(`✔ ${location}: ${Object.keys(snapshot.merkleTree.claims).length} claims in ${claimsFile}`);
+
+    summaryRows.push(
+      getSummaryRow(snapshot, { chainId: getChainIdFromName(location, chains) ?? "", source: location })
+    );
+  }
+
+  const summaryFile = join(outDir, "summary.csv");
+  await writeFile(summaryFile, toCsv(summaryRows));
+  console.log(`✔ Summary of ${summaryRows.length} snapshots in ${summaryFile}`);
+}
@@ -0,0 +1,266 @@
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import { BigNumber, Contract, utils } from "ethers";
+import { formatEther } from "ethers/lib/utils.js";
+import { existsSync } from "fs";
+import { join } from "path";
+import { fileURLToPath } from "url";
+import { createStakeTimelineReader, WEIGHTINGS } from "../create-snapshot-from-block-limits.js";
+import { getCacheDir } from "../helpers/cache.js";
+import { DEFAULT_CHAINS_FILE, loadChainRegistry } from "../helpers/chains.js";
+import { createCheckpointStore } from "../helpers/checkpoints.js";
+import { createEventStore } from "../helpers/event-store.js";
+import { getPeriod, isMonth } from "../helpers/periods.js";
+import { DEFAULT_IPFS_GATEWAY, readSnapshot } from "../helpers/snapshot-files.js";
+import { createStakeSource, STAKE_EVENT_SOURCES } from "../helpers/stake-sources.js";
+
+dayjs.extend(utc);
+
+export const command = "juror <address>";
+
+export const describe =
+  "Explains the claims of a juror month by month: the stake changes, the step function, the average and the proof";
+
+export const builder = (yargs) =>
+  yargs
+    .positional("address", {
+      description: "The address of the juror",
+      type: "string",
+    })
+    .option("from-month", {
+      description:
+        "The first month [YYYY-MM], from 2025-09 when the current schedule starts. Defaults to the previous month",
+      type: "string",
+    })
+    .option("to-month", {
+      description: "The last month [YYYY-MM], inclusive. Defaults to the first month",
+      type: "string",
+    })
+    .check(({ address, fromMonth, toMonth }) => {
+      if (!utils.isAddress(address)) {
+        throw new Error(`Invalid address ${address}`);
+      }
+      for (const month of [fromMonth, toMonth]) {
+        if (month !== undefined && !isMonth(month)) {
+          throw new Error(`Invalid month ${month}, expected YYYY-MM`);
+        }
+      }
+      if (fromMonth !== undefined && toMonth !== undefined && toMonth < fromMonth) {
+        throw new Error("The last month must not be before the first month");
+      }
+      return true;
+    })
+    .option("chains-file", {
+      description: "Path to the chain registry",
+      type: "string",
+      default: fileURLToPath(DEFAULT_CHAINS_FILE),
+    })
+    .option("chain-id", {
+      description: "The chains to look at. Defaults to all the active chains",
+      type: "array",
+      default: [],
+    })
+    .option("event-source", {
+      description:
+        "Where the stake events are read from. `both` fails if they differ. Defaults to `subgraph` for Kleros v1 " +
+        "chains and to `rpc` for Kleros v2 chains, which can only be read through the RPC",
+      choices: STAKE_EVENT_SOURCES,
+    })
+    .option("event-store", {
+      description: "Keep the stake events in a local store and only fetch the new ones. Disable with --no-event-store",
+      type: "boolean",
+      default: true,
+    })
+    .option("checkpoints", {
+      description: "Start from the stake of each juror saved at the start of the month. Disable with --no-checkpoints",
+      type: "boolean",
+      default: true,
+    })
+    .option("weighting", {
+      description: "How the duration of each stake is measured when averaging",
+      choices: WEIGHTINGS,
+      default: "block",
+    })
+    .option("snapshots-dir", {
+      description: "The directory the snapshots of each month are read from. Defaults to the local cache",
+      type: "string",
+    })
+    .option("published-snapshots", {
+      description:
+        "Where the snapshots missing from --snapshots-dir are read from, by their file name: a URL, " +
+        "an IPFS path (/ipfs/<cid>) or an ipfs:// URL",
+      type: "string",
+    })
+    .option("ipfs-gateway", {
+      description: "The gateway IPFS paths are fetched from",
+      type: "string",
+      default: DEFAULT_IPFS_GATEWAY,
+    })
+    .option("merkle-redeem", {
+      description:
+        "Also show whether the claims were made on chain. Without a value, the MerkleRedeem of each chain " +
+        "in the registry is used. An address requires a single --chain-id",
+      type: "string",
+    });
+
+function getMonths(fromMonth, toMonth) {
+  const first = fromMonth ? dayjs.utc(`${fromMonth}-01`) : dayjs.utc().startOf("month").subtract(1, "month");
+  const last = toMonth ? dayjs.utc(`${toMonth}-01`) : first;
+
+  const months = [];
+  for (let month = first; !month.isAfter(last); month = month.add(1, "month")) {
+    months.push(month);
+  }
+  return months;
+}
+
+async function getClaimStatus(chain, merkleRedeemAddress, address, months) {
+  const merkleRedeem = new Contract(
+    merkleRedeemAddress,
+    ["function claimStatus(address _liquidityProvider, uint _begin, uint _end) view returns (bool[])"],
+    chain.provider
+  );
+  const [begin, end] = [getPeriod(chain, months[0]), getPeriod(chain, months[months.length - 1])];
+  const claimed = await merkleRedeem.claimStatus(address, begin, end);
+
+  return Object.fromEntries(claimed.map((isClaimed, index) => [begin + index, isClaimed]));
+}
+
+const formatPnk = (amount) => `${formatEther(amount)} PNK`;
+
+function printTimeline({ startBlock, endBlock, weighting, stakeChanges, steps, averageStake, averageStakeByCourt }) {
+  const unit = weighting === "timestamp" ? "seconds" : "blocks";
+
+  console.log(`  Blocks ${startBlock} to ${endBlock}`);
+  console.log(`  Stake changes (${stakeChanges.length}):`);
+  for (const { blockNumber, logIndex, courtId, courtStake, totalStake } of stakeChanges) {
+    const before = blockNumber < startBlock ? " (before the period)" : "";
+    console.log(
+      `    block ${blockNumber}, log ${logIndex}: court ${courtId} ${formatPnk(courtStake)}, ` +
+        `total ${formatPnk(totalStake)}${before}`
+    );
+  }
+  console.log(`  Step function (by ${weighting}):`);
+  for (const { from, to, weight, value } of steps) {
+    console.log(`    ${from} → ${to} (${weight} ${unit}): ${formatPnk(value)}`);
+  }
+  console.log(`  Weighted average: ${formatPnk(averageStake)}`);
+  for (const [courtId, stake] of Object.entries(averageStakeByCourt)) {
+    console.log(`    court ${courtId}: ${formatPnk(stake)}`);
+  }
+}
+
+/*
+ * Reads the snapshot of a month from the local directory, or else from where the snapshots are published.
+ * Gets `null` for the snapshot if there is none in either.
+ */
+async function findSnapshot(name, { snapshotsDir, publishedSnapshots, ipfsGateway }) {
+  const file = join(snapshotsDir, name);
+  if (existsSync(file) || !publishedSnapshots) {
+    return { location: file, snapshot: existsSync(file) ? await readSnapshot(file) : null };
+  }
+
+  const location = `${publishedSnapshots.replace(/\/+$/, "")}/${name}`;
+  try {
+    return { location, snapshot: await readSnapshot(location, { ipfsGateway }) };
+  } catch (error) {
+    console.log(`  ${error.message}`);
+    return { location, snapshot: null };
+  }
+}
+
+function printClaim(snapshot, file, address, { averageStake }) {
+  if (!snapshot) {
+    console.log(`  No snapshot in ${file}`);
+    return;
+  }
+
+  const claim = snapshot.merkleTree.claims[address];
+  if (!claim) {
+    console.log(`  No claim in ${file} (root ${snapshot.merkleTree.root})`);
+    return;
+  }
+
+  console.log(`  Claim: ${formatPnk(claim.value)} (${claim.value} wei) in ${file}`);
+  console.log(`    root: ${snapshot.merkleTree.root}`);
+  console.log(`    proof: ${JSON.stringify(claim.proof)}`);
+  if (claim.averageStake !== undefined && !BigNumber.from(claim.averageStake).eq(averageStake)) {
+    console.log(
+      `  ⚠ The snapshot has an average stake of ${formatPnk(claim.averageStake)}, ` +
+        "it was computed with other parameters or stake events"
+    );
+  }
+}
+
+export async function handler({
+  address,
+  fromMonth,
+  toMonth,
+  chainsFile,
+  chainId,
+  eventSource,
+  eventStore,
+  checkpoints,
+  weighting,
+  snapshotsDir = getCacheDir(),
+  publishedSnapshots,
+  ipfsGateway,
+  merkleRedeem,
+}) {
+  const juror = utils.getAddress(address);
+  const { chains } = loadChainRegistry({ file: chainsFile });
+  const chainIds = chainId.map(Number);
+  const selected = chains.filter(
+    ({ active, chainId }) => active && (chainIds.length === 0 || chainIds.includes(chainId))
+  );
+  if (merkleRedeem && (!utils.isAddress(merkleRedeem) || selected.length !== 1)) {
+    throw new Error("--merkle-redeem takes an address only along with a single --chain-id");
+  }
+
+  const months = getMonths(fromMonth, toMonth);
+  for (const chain of selected) {
+    const getStakeChanges = createStakeSource(chain, { source: eventSource });
+    const getStakeTimeline = createStakeTimelineReader({
+      provider: chain.provider,
+      getStakeChanges: eventStore
+        ? createEventStore({
+            chainId: chain.chainId,
+            fromBlock: chain.fromBlock,
+            getStakeChanges,
+            provider: chain.provider,
+          }).getStakeChanges
+        : getStakeChanges,
+      weighting,
+      checkpoints: checkpoints ? createCheckpointStore({ chainId: chain.chainId }) : null,
+    });
+    const claimStatus =
+      merkleRedeem === undefined
+        ? null
+        : await getClaimStatus(chain, merkleRedeem || chain.merkleRedeemAddress, juror, months);
+
+    for (const month of months) {
+      const label = month.format("YYYY-MM");
+      console.log(`\n${juror} on chain ${chain.chainId} (${chain.name}), ${label}`);
+
+      const timeline = await getStakeTimeline({
+        address: juror,
+        fromBlock: chain.fromBlock,
+        startDate: month.toDate(),
+        endDate: month.add(1, "month").toDate(),
+      });
+      printTimeline(timeline);
+
+      const { location, snapshot } = await findSnapshot(`${chain.filePrefix}snapshot-${label}.json`, {
+        snapshotsDir,
+        publishedSnapshots,
+        ipfsGateway,
+      });
+      printClaim(snapshot, location, juror, timeline);
+
+      if (claimStatus) {
+        const period = getPeriod(chain, month);
+        console.log(`  Period ${period}: ${claimStatus[period] ? "claimed" : "not claimed"} on chain`);
+      }
+    }
+  }
+}
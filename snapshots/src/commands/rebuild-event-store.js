@@ -0,0 +1,86 @@
+import { fileURLToPath } from "url";
+import { DEFAULT_CHAINS_FILE, loadChainRegistry } from "../helpers/chains.js";
+import { createCheckpointStore } from "../helpers/checkpoints.js";
+import { createEventStore, DEFAULT_CONFIRMATIONS } from "../helpers/event-store.js";
+import { createStakeSource, STAKE_EVENT_SOURCES } from "../helpers/stake-sources.js";
+
+export const command = "rebuild-event-store";
+
+export const describe = "Discards the local store of stake events and syncs it again, or only checks its integrity";
+
+export const builder = (yargs) =>
+  yargs
+    .option("chains-file", {
+      description: "Path to the chain registry",
+      type: "string",
+      default: fileURLToPath(DEFAULT_CHAINS_FILE),
+    })
+    .option("chain-id", {
+      description: "The chains to rebuild. Defaults to all the active chains",
+      type: "array",
+      default: [],
+    })
+    .option("event-source", {
+      description:
+        "Where the stake events are read from. `both` fails if they differ. Defaults to `subgraph` for Kleros v1 " +
+        "chains and to `rpc` for Kleros v2 chains, which can only be read through the RPC",
+      choices: STAKE_EVENT_SOURCES,
+    })
+    .option("confirmations", {
+      description: "How many of the most recent blocks are left out, as they could still be reorganized",
+      type: "number",
+      default: DEFAULT_CONFIRMATIONS,
+    })
+    .option("check", {
+      description: "Only check the stake events stored against the integrity metadata",
+      type: "boolean",
+      default: false,
+    });
+
+export async function handler({ chainsFile, chainId, eventSource, confirmations, check }) {
+  const { chains } = loadChainRegistry({ file: chainsFile });
+  const chainIds = chainId.map(Number);
+  const selected = chains.filter(
+    ({ active, chainId }) => active && (chainIds.length === 0 || chainIds.includes(chainId))
+  );
+
+  let failed = false;
+  for (const chain of selected) {
+    const store = createEventStore({
+      chainId: chain.chainId,
+      fromBlock: chain.fromBlock,
+      getStakeChanges: createStakeSource(chain, { source: eventSource }),
+      provider: chain.provider,
+      confirmations,
+    });
+
+    if (!check) {
+      const toBlock = (await chain.provider.getBlockNumber()) - confirmations + 1;
+      console.log(`Rebuilding chain ${chain.chainId} (${chain.name}) up to block ${toBlock - 1}...`);
+      await store.rebuild(toBlock);
+      // The checkpoints were computed from the previous stake events.
+      await createCheckpointStore({ chainId: chain.chainId }).clear();
+    }
+
+    const metadata = await store.getMetadata();
+    const errors = await store.verify();
+    if (errors.length === 0) {
+      console.log(
+        metadata
+          ? `✔ Chain ${chain.chainId} (${chain.name}): ${metadata.count} stake events from block ${metadata.fromBlock} ` +
+              `to block ${metadata.lastBlock}, hash ${metadata.hash}`
+          : `✔ Chain ${chain.chainId} (${chain.name}): empty`
+      );
+    } else {
+      failed = true;
+      console.log(`✘ Chain ${chain.chainId} (${chain.name})`);
+      for (const error of errors) {
+        console.log(`    - ${error}`);
+      }
+    }
+  }
+
+  if (failed) {
+    process.exitCode = 1;
+  }
+}
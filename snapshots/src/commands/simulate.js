@@ -0,0 +1,409 @@
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import { BigNumber, Contract } from "ethers";
+import { readFileSync } from "fs";
+import { formatEther, formatUnits, parseEther } from "ethers/lib/utils.js";
+import { fileURLToPath } from "url";
+import { ALLOCATIONS, createSnapshotCreator, WEIGHTINGS } from "../create-snapshot-from-block-limits.js";
+import {
+  computeEmission,
+  DEFAULT_EMISSION_FILE,
+  loadEmissionParams,
+  SPLIT_MODES,
+  validateEmissionParams,
+  withSplitMode,
+} from "../emission.js";
+import bigNumberJsonReplacer from "../helpers/big-number-json-replacer.js";
+import { DEFAULT_CHAINS_FILE, loadChainRegistry } from "../helpers/chains.js";
+import { createCheckpointStore } from "../helpers/checkpoints.js";
+import { createEventStore } from "../helpers/event-store.js";
+import { DEFAULT_EXCLUDED_ADDRESSES_FILE, getExcludedAddresses } from "../helpers/excluded-addresses.js";
+import { isMonth } from "../helpers/periods.js";
+import { combineReturns } from "../helpers/returns.js";
+import { getScenarios, parseChainSplit, summarizeClaims } from "../helpers/simulation.js";
+import { createStakeSource, STAKE_EVENT_SOURCES } from "../helpers/stake-sources.js";
+import { REWARD_STRATEGIES } from "../reward-strategies.js";
+
+dayjs.extend(utc);
+
+export const command = "simulate";
+
+export const describe =
+  "Computes what the drop of a month would be under other targets, base amounts, chain splits or stake levels. " +
+  "Nothing is written for upload and no transactions are prepared. Only monthly drops are simulated, not the series " +
+  "of the chain registry";
+
+export const builder = (yargs) =>
+  yargs
+    .option("lastamount", {
+      description: "The amount of tokens, in wei, distributed in the last period. Several values make a grid",
+      type: "array",
+      string: true,
+      demandOption: true,
+    })
+    .option("month", {
+      description:
+        "The month being distributed [YYYY-MM]. Defaults to the current one. If it has not ended yet, " +
+        "the stakes of the previous month stand in for its own",
+      type: "string",
+    })
+    .option("target", {
+      description: "Use this target percentage instead of the schedule. Several values make a grid",
+      type: "array",
+      string: true,
+      default: [],
+    })
+    .option("split", {
+      description:
+        "Split the reward among the chains with these percentages instead of their drop ratios " +
+        '(e.g. \'{"1":"80","100":"20"}\'). Several values make a grid',
+      type: "array",
+      string: true,
+      default: [],
+    })
+    .option("total-staked", {
+      description:
+        "Use this total stake of all the chains, in PNK, in the formula instead of the measured one. " +
+        "Several values make a grid",
+      type: "array",
+      string: true,
+      default: [],
+    })
+    .option("split-mode", {
+      description:
+        "Split the reward among the chains this way instead of the mode of the emission file. " +
+        "Several values make a grid",
+      type: "array",
+      choices: SPLIT_MODES,
+      default: [],
+    })
+    .check(({ month }) => {
+      if (month !== undefined && !isMonth(month)) {
+        throw new Error(`Invalid month ${month}, expected YYYY-MM`);
+      }
+      return true;
+    })
+    .option("weighting", {
+      description: "How the duration of each stake is measured when averaging",
+      choices: WEIGHTINGS,
+      default: "block",
+    })
+    .option("allocation", {
+      description: "How the wei lost by rounding down each claim are handled",
+      choices: ALLOCATIONS,
+      default: "floor",
+    })
+    .option("court-multipliers", {
+      description: "Path to a JSON file with the reward multiplier of each court, indexed by chain ID and court ID",
+      type: "string",
+    })
+    .option("cap-percentage", {
+      description: "The maximum claim of a juror, as a percentage of the amount dropped in each chain",
+      type: "number",
+      conflicts: "cap-amount",
+    })
+    .option("cap-amount", {
+      description: "The maximum claim of a juror, in PNK",
+      type: "string",
+      conflicts: "cap-percentage",
+    })
+    .option("strategy", {
+      description: "The rule used to turn the stakes of the jurors into claims",
+      choices: Object.keys(REWARD_STRATEGIES),
+      default: "proportional",
+    })
+    .option("strategy-params", {
+      description: "The parameters of the strategy, as a JSON object",
+      type: "string",
+      default: "{}",
+    })
+    .option("excluded-addresses-file", {
+      description: "Path to the JSON file with the addresses that never receive the drop",
+      type: "string",
+      default: fileURLToPath(DEFAULT_EXCLUDED_ADDRESSES_FILE),
+    })
+    .option("exclude", {
+      description: "Additional addresses that should not receive the drop in any chain",
+      type: "array",
+      default: [],
+    })
+    .option("chains-file", {
+      description: "Path to the chain registry",
+      type: "string",
+      default: fileURLToPath(DEFAULT_CHAINS_FILE),
+    })
+    .option("emission-file", {
+      description: "Path to the parameters of the reward formula",
+      type: "string",
+      default: fileURLToPath(DEFAULT_EMISSION_FILE),
+    })
+    .option("event-source", {
+      description:
+        "Where the stake events are read from. `both` fails if they differ. Defaults to `subgraph` for Kleros v1 " +
+        "chains and to `rpc` for Kleros v2 chains, which can only be read through the RPC",
+      choices: STAKE_EVENT_SOURCES,
+    })
+    .option("event-store", {
+      description: "Keep the stake events in a local store and only fetch the new ones. Disable with --no-event-store",
+      type: "boolean",
+      default: true,
+    })
+    .option("checkpoints", {
+      description: "Start from the stake of each juror saved at the start of the period. Disable with --no-checkpoints",
+      type: "boolean",
+      default: true,
+    })
+    .option("json", {
+      description: "Print the scenarios as JSON, with amounts in wei",
+      type: "boolean",
+      default: false,
+    });
+
+/*
+ * A target override is a flat schedule, so it is checked like the parameters file.
+ */
+function withTarget(params, percentage) {
+  const flat = {
+    ...params,
+    target: {
+      ...params.target,
+      initialPercentage: String(percentage),
+      monthlyIncreasePercentage: "0",
+      maxPercentage: String(percentage),
+    },
+  };
+  const errors = validateEmissionParams(flat);
+  if (errors.length > 0) {
+    throw new Error(`Invalid target ${percentage}: ${errors.join(", ")}`);
+  }
+
+  return flat;
+}
+
+const formatPnk = (amount) =>
+  `${parseFloat(formatEther(amount)).toLocaleString("en-US", { maximumFractionDigits: 2 })} PNK`;
+
+// Ratios have 9 decimals, so as percentages they have 7.
+const formatRatio = (ratio) => `${parseFloat(formatUnits(ratio, 7)).toFixed(2)}%`;
+
+const formatReturns = ({ apr, apy }) =>
+  apr === null ? "n/a" : `APR ${(apr * 100).toFixed(2)}%, APY ${(apy * 100).toFixed(2)}%`;
+
+function describeScenario({ lastamount, target, split, splitMode, totalStaked }) {
+  return [
+    `lastamount ${formatPnk(lastamount)}`,
+    ...(target === undefined ? [] : [`target ${target}%`]),
+    ...(split === undefined ? [] : [`split ${split}`]),
+    ...(splitMode === undefined ? [] : [`split by ${splitMode === "stake" ? "stake" : "drop ratios"}`]),
+    ...(totalStaked === undefined ? [] : [`total staked ${Number(totalStaked).toLocaleString("en-US")} PNK`]),
+  ].join(", ");
+}
+
+function printResult({ scenario, emission, chains, combinedReturns }, index) {
+  console.log(`\nScenario ${index + 1}: ${describeScenario(scenario)}`);
+  console.log(
+    `  Stake %: ${formatRatio(emission.stakePercent)}, target %: ${formatRatio(emission.target)}, ` +
+      `multiplier: ${formatRatio(emission.multiplier)}`
+  );
+  console.log(`  Total reward: ${formatPnk(emission.fullReward)} (${emission.fullReward} wei)`);
+  console.log(`  Across chains: ${formatReturns(combinedReturns)}`);
+  for (const { chainId, name, pnkDropRatio, stakeShare, limit, droppedAmount, returns, claims } of chains) {
+    const share =
+      stakeShare === null
+        ? formatRatio(pnkDropRatio)
+        : `${formatRatio(pnkDropRatio)} for ${formatRatio(stakeShare)} of the stake${
+            limit === "min" ? ", raised to its minimum" : limit === "max" ? ", capped at its maximum" : ""
+          }`;
+    console.log(
+      `  Chain ${chainId} (${name}): ${formatPnk(droppedAmount)} (${droppedAmount} wei, ${share}), ` +
+        formatReturns(returns)
+    );
+    console.log(
+      `    ${claims.count} claims: min ${formatPnk(claims.min)}, median ${formatPnk(claims.median)}, ` +
+        `p90 ${formatPnk(claims.p90)}, max ${formatPnk(claims.max)}, the 10 largest get ${claims.topShare.toFixed(2)}%`
+    );
+  }
+}
+
+export async function handler({
+  lastamount,
+  month,
+  target,
+  split,
+  totalStaked,
+  splitMode,
+  weighting,
+  allocation,
+  courtMultipliers,
+  capPercentage,
+  capAmount,
+  strategy,
+  strategyParams,
+  excludedAddressesFile,
+  exclude,
+  chainsFile,
+  emissionFile,
+  eventSource,
+  eventStore,
+  checkpoints,
+  json,
+}) {
+  const registry = loadChainRegistry({ file: chainsFile });
+  const emissionParams = loadEmissionParams({ file: emissionFile });
+  const chains = registry.chains.filter(({ active }) => active);
+  const supplyChain = registry.chains.find(({ chainId }) => chainId === registry.supplyChainId);
+  const courtMultipliersByChain = courtMultipliers ? JSON.parse(readFileSync(courtMultipliers)) : {};
+  const claimCap =
+    capPercentage !== undefined
+      ? { percentage: String(capPercentage) }
+      : capAmount !== undefined
+      ? { amount: parseEther(capAmount) }
+      : null;
+
+  const start = month ? dayjs.utc(`${month}-01`) : dayjs.utc().startOf("month");
+  const end = start.add(1, "month");
+  const previous = start.subtract(1, "month");
+  // The claims of a month that has not ended yet are simulated with the stakes of the previous one.
+  const [claimsStart, claimsEnd] = end.isAfter(dayjs.utc()) ? [previous, start] : [start, end];
+
+  const scenarios = getScenarios({ lastamount, target, split, splitMode, totalStaked });
+  // Checked before anything is fetched.
+  const emissionParamsByTarget = Object.fromEntries(target.map((value) => [value, withTarget(emissionParams, value)]));
+  const ratiosBySplit = Object.fromEntries(
+    scenarios
+      .filter(({ split }) => split !== undefined)
+      .map(({ split }) => [
+        split,
+        parseChainSplit(
+          split,
+          chains.map(({ chainId }) => chainId)
+        ),
+      ])
+  );
+
+  const createSnapshotForChain = async (chain, droppedAmount, { startDate, endDate }) => {
+    const getStakeChanges = createStakeSource(chain, { source: eventSource });
+    const createSnapshot = await createSnapshotCreator({
+      provider: chain.provider,
+      getStakeChanges: eventStore
+        ? createEventStore({
+            chainId: chain.chainId,
+            fromBlock: chain.fromBlock,
+            getStakeChanges,
+            provider: chain.provider,
+          }).getStakeChanges
+        : getStakeChanges,
+      checkpoints: checkpoints ? createCheckpointStore({ chainId: chain.chainId }) : null,
+      droppedAmount,
+      weighting,
+      courtMultipliers: courtMultipliersByChain[chain.chainId] ?? {},
+      allocation,
+      excludedAddresses: getExcludedAddresses({
+        chainId: chain.chainId,
+        file: excludedAddressesFile,
+        extra: exclude.map(String),
+      }),
+      claimCap,
+      strategy,
+      strategyParams: JSON.parse(strategyParams),
+    });
+    return await createSnapshot({ fromBlock: chain.fromBlock, startDate, endDate });
+  };
+
+  if (!json) {
+    console.log(
+      `Simulating the drop of ${start.format("YYYY-MM")}, with the claims computed from the stakes of ` +
+        `${claimsStart.format("YYYY-MM-DD")} → ${claimsEnd.format("YYYY-MM-DD")}`
+    );
+  }
+
+  let measuredTotalStaked = BigNumber.from(0);
+  if (scenarios.some((scenario) => scenario.totalStaked === undefined)) {
+    for (const chain of chains) {
+      const snapshot = await createSnapshotForChain(chain, BigNumber.from(0), {
+        startDate: previous.toDate(),
+        endDate: start.toDate(),
+      });
+      measuredTotalStaked = measuredTotalStaked.add(snapshot.averageTotalStaked);
+    }
+  }
+  const pnk = new Contract(supplyChain.token, ["function totalSupply() view returns (uint256)"], supplyChain.provider);
+  const totalSupply = await pnk.totalSupply();
+
+  // The same dropped amount in the same chain gives the same snapshot, whatever the scenario.
+  const snapshots = new Map();
+  const getSnapshot = async (chain, droppedAmount) => {
+    const key = `${chain.chainId} ${droppedAmount}`;
+    if (!snapshots.has(key)) {
+      snapshots.set(
+        key,
+        await createSnapshotForChain(chain, droppedAmount, {
+          startDate: claimsStart.toDate(),
+          endDate: claimsEnd.toDate(),
+        })
+      );
+    }
+    return snapshots.get(key);
+  };
+
+  const results = [];
+  for (const scenario of scenarios) {
+    const ratios = scenario.split === undefined ? null : ratiosBySplit[scenario.split];
+    const params = withSplitMode(
+      scenario.target === undefined ? emissionParams : emissionParamsByTarget[scenario.target],
+      // Explicit percentages are a fixed split.
+      ratios ? "fixed" : scenario.splitMode
+    );
+    // The stake of each chain does not depend on the dropped amount.
+    const periodStakes =
+      params.split?.mode === "stake"
+        ? await Promise.all(
+            chains.map(async (chain) => (await getSnapshot(chain, BigNumber.from(0))).averageTotalStaked)
+          )
+        : [];
+    const emission = computeEmission(params, {
+      date: start.toDate(),
+      lastAmount: BigNumber.from(scenario.lastamount),
+      totalStaked: scenario.totalStaked === undefined ? measuredTotalStaked : parseEther(scenario.totalStaked),
+      totalSupply,
+      chains: chains.map(({ chainId, pnkDropRatio }, i) => ({
+        chainId,
+        pnkDropRatio: ratios ? ratios[chainId] : pnkDropRatio,
+        averageTotalStaked: periodStakes[i],
+      })),
+    });
+
+    const chainResults = [];
+    for (const { chainId, pnkDropRatio, stakeShare, limit, droppedAmount } of emission.chains) {
+      const chain = chains.find((chain) => chain.chainId === chainId);
+      const snapshot = await getSnapshot(chain, droppedAmount);
+      chainResults.push({
+        chainId,
+        name: chain.name,
+        pnkDropRatio,
+        stakeShare,
+        limit,
+        droppedAmount,
+        averageTotalStaked: snapshot.averageTotalStaked,
+        apy: snapshot.apy,
+        returns: snapshot.returns,
+        claims: summarizeClaims(snapshot.merkleTree.claims),
+      });
+    }
+
+    const result = {
+      scenario,
+      emission,
+      chains: chainResults,
+      combinedReturns: combineReturns(chainResults, { startDate: claimsStart.toDate(), endDate: claimsEnd.toDate() }),
+    };
+    results.push(result);
+    if (!json) {
+      printResult(result, results.length - 1);
+    }
+  }
+
+  if (json) {
+    console.log(JSON.stringify(results, bigNumberJsonReplacer, 2));
+  }
+}
@@ -0,0 +1,36 @@
+import { fileURLToPath } from "url";
+import { checkChain, DEFAULT_CHAINS_FILE, loadChainRegistry } from "../helpers/chains.js";
+
+export const command = "validate-chains";
+
+export const describe = "Checks the chain registry against the chains and subgraphs it points to";
+
+export const builder = (yargs) =>
+  yargs.option("chains-file", {
+    description: "Path to the chain registry",
+    type: "string",
+    default: fileURLToPath(DEFAULT_CHAINS_FILE),
+  });
+
+export async function handler({ chainsFile }) {
+  // Loading the registry already checks its shape.
+  const { chains } = loadChainRegistry({ file: chainsFile });
+
+  let failed = false;
+  for (const chain of chains.filter(({ active }) => active)) {
+    const errors = await checkChain(chain);
+    if (errors.length === 0) {
+      console.log(`✔ Chain ${chain.chainId} (${chain.name})`);
+    } else {
+      failed = true;
+      console.log(`✘ Chain ${chain.chainId} (${chain.name})`);
+      for (const error of errors) {
+        console.log(`    - ${error}`);
+      }
+    }
+  }
+
+  if (failed) {
+    process.exitCode = 1;
+  }
+}
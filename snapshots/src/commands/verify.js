@@ -0,0 +1,134 @@
+import { BigNumber, Contract, constants } from "ethers";
+import { fileURLToPath } from "url";
+import { createSnapshotCreator } from "../create-snapshot-from-block-limits.js";
+import { DEFAULT_CHAINS_FILE, loadChainRegistry } from "../helpers/chains.js";
+import { compareSnapshots, describeStakeSource, MANIFEST_VERSION } from "../helpers/manifest.js";
+import { DEFAULT_IPFS_GATEWAY, readSnapshot } from "../helpers/snapshot-files.js";
+import { createStakeSource, STAKE_EVENT_SOURCES } from "../helpers/stake-sources.js";
+
+export const command = "verify <snapshot>";
+
+export const describe = "Computes a snapshot again from its manifest and checks its merkle root and every claim";
+
+export const builder = (yargs) =>
+  yargs
+    .positional("snapshot", {
+      description: "The snapshot: a path, a URL, an IPFS path (/ipfs/<cid>/<file>) or an ipfs:// URL",
+      type: "string",
+    })
+    .option("chains-file", {
+      description: "Path to the chain registry, for the RPC URL of the chain of the snapshot",
+      type: "string",
+      default: fileURLToPath(DEFAULT_CHAINS_FILE),
+    })
+    .option("event-source", {
+      description: "Where the stake events are read from. Defaults to the one in the manifest",
+      choices: STAKE_EVENT_SOURCES,
+    })
+    .option("ipfs-gateway", {
+      description: "The gateway IPFS paths are fetched from",
+      type: "string",
+      default: DEFAULT_IPFS_GATEWAY,
+    })
+    .option("period", {
+      description: "Also check the merkle root seeded in MerkleRedeem for this period, if any",
+      type: "number",
+    });
+
+/**
+ * Computes the snapshot again, with the parameters and the stake source of its manifest.
+ * Only the RPC URL comes from the chain registry.
+ */
+async function recompute({ startDate, endDate, manifest }, chain, { eventSource }) {
+  const { contracts, params } = manifest;
+  const manifestChain = {
+    ...chain,
+    klerosVersion: manifest.klerosVersion,
+    klerosLiquidAddress: contracts.klerosLiquid,
+    subgraphEndpoint: contracts.subgraphEndpoint ?? chain.subgraphEndpoint,
+    klerosCoreAddress: contracts.klerosCore,
+    sortitionModuleAddress: contracts.sortitionModule,
+  };
+
+  const createSnapshot = await createSnapshotCreator({
+    provider: chain.provider,
+    getStakeChanges: createStakeSource(manifestChain, { source: eventSource }),
+    source: describeStakeSource(manifestChain, { eventSource }),
+    droppedAmount: BigNumber.from(params.droppedAmount),
+    frequency: params.frequency,
+    weighting: params.weighting,
+    allocation: params.allocation,
+    courtMultipliers: params.courtMultipliers,
+    excludedAddresses: params.excludedAddresses,
+    claimCap: params.claimCap,
+    strategy: params.strategy,
+    strategyParams: params.strategyParams,
+  });
+
+  return await createSnapshot({
+    fromBlock: manifest.fromBlock,
+    toBlock: manifest.toBlock,
+    startDate: new Date(startDate),
+    endDate: new Date(endDate),
+  });
+}
+
+async function getSeededRoot(chain, period) {
+  const merkleRedeem = new Contract(
+    chain.merkleRedeemAddress,
+    ["function weekMerkleRoots(uint) view returns (bytes32)"],
+    chain.provider
+  );
+  return await merkleRedeem.weekMerkleRoots(period);
+}
+
+export async function handler({ snapshot: location, chainsFile, eventSource, ipfsGateway, period }) {
+  const published = await readSnapshot(location, { ipfsGateway });
+  const { manifest } = published;
+  if (!manifest) {
+    console.log(`✘ ${location} has no manifest, it was created before snapshots could be verified`);
+    process.exitCode = 1;
+    return;
+  }
+  if (manifest.version !== MANIFEST_VERSION) {
+    console.log(`✘ ${location} has a manifest of version ${manifest.version}, expected ${MANIFEST_VERSION}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const { chains } = loadChainRegistry({ file: chainsFile });
+  const chain = chains.find(({ chainId }) => chainId === manifest.chainId);
+  if (!chain) {
+    throw new Error(`Chain ${manifest.chainId} is not in the chain registry ${chainsFile}`);
+  }
+
+  const { generator } = manifest;
+  console.log(
+    `Verifying ${location}: chain ${manifest.chainId} (${chain.name}), blocks ${manifest.startBlock} to ` +
+      `${manifest.endBlock}, ${manifest.stakeChanges.count} stake changes, ` +
+      `created by ${generator.name}@${generator.version}${generator.commit ? ` (${generator.commit})` : ""}`
+  );
+
+  const recomputed = await recompute(published, chain, { eventSource: eventSource ?? manifest.eventSource });
+  const errors = compareSnapshots(published, recomputed);
+
+  if (period !== undefined) {
+    const seededRoot = await getSeededRoot(chain, period);
+    if (seededRoot === constants.HashZero) {
+      console.log(`  Period ${period} has not been seeded in MerkleRedeem yet`);
+    } else if (seededRoot !== published.merkleTree.root) {
+      errors.push(`The merkle root seeded in MerkleRedeem for period ${period} is ${seededRoot}`);
+    }
+  }
+
+  if (errors.length === 0) {
+    const claims = Object.keys(published.merkleTree.claims).length;
+    console.log(`✔ The merkle root ${published.merkleTree.root} and the ${claims} claims match`);
+  } else {
+    console.log("✘ The snapshot does not match");
+    for (const error of errors) {
+      console.log(`    - ${error}`);
+    }
+    process.exitCode = 1;
+  }
+}
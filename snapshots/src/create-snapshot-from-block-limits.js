@@ -1,7 +1,9 @@
 import { MerkleTree } from "@kleros/merkle-tree";
+import _asyncMapLimit from "awaity/fp/mapLimit.js";
 import dayjs from "dayjs";
 import utc from "dayjs/plugin/utc.js";
-import { BigNumber } from "ethers";
+import { BigNumber, utils } from "ethers";
+import { formatUnits, parseUnits } from "ethers/lib/utils.js";
 import {
   append,
   clamp,
@@ -12,26 +14,86 @@ import {
   groupBy,
   identity,
   into,
+  isEmpty,
   last,
   map,
   mapObjIndexed,
-  path,
+  omit,
   pluck,
   prepend,
   prop,
+  propEq,
   reduce,
   slice,
   sortBy,
   toPairs,
+  uniq,
   values,
+  zipObj,
 } from "ramda";
-import { createBlockFetchers } from "./helpers/blocks.js";
-import { getStakeSets } from "./helpers/subgraph-events.js";
+import { createBlockFetchers, createGetBlockWithTimestamp } from "./helpers/blocks.js";
+import { advanceCheckpoint, createEmptyCheckpoint } from "./helpers/checkpoints.js";
+import { DEFAULT_CONFIRMATIONS } from "./helpers/event-store.js";
+import { getGenerator, getPeriodStakeChanges, MANIFEST_VERSION, summarizeStakeChanges } from "./helpers/manifest.js";
+import { getReturns } from "./helpers/returns.js";
+import { getRewardStrategy } from "./reward-strategies.js";
 
 dayjs.extend(utc);
 
-export async function createSnapshotCreator({ provider, droppedAmount, frequency = "month" }) {
-  const { chainId } = await provider.getNetwork();
+const asyncMapLimit = typeof _asyncMapLimit === "function" ? _asyncMapLimit : _asyncMapLimit.default;
+
+/**
+ * The ways the duration of each stake step can be measured.
+ * - `block`: by the number of blocks it spans.
+ * - `timestamp`: by the number of seconds it spans, according to the block timestamps.
+ */
+export const WEIGHTINGS = ["block", "timestamp"];
+
+/**
+ * The ways the dropped amount can be split among the jurors.
+ * - `floor`: each claim is rounded down, so the sum of the claims may fall short of the dropped amount.
+ * - `largest-remainder`: the wei lost by rounding down are handed out one by one to the claims with the
+ *    largest remainders, ties broken by address, so the sum of the claims is exactly the dropped amount.
+ */
+export const ALLOCATIONS = ["floor", "largest-remainder"];
+
+export async function createSnapshotCreator({
+  provider,
+  getStakeChanges,
+  droppedAmount,
+  frequency = "month",
+  weighting = "block",
+  compareWeightings = false,
+  courtMultipliers = {},
+  allocation = "floor",
+  excludedAddresses = [],
+  claimCap = null,
+  strategy = "proportional",
+  strategyParams = {},
+  checkpoints = null,
+  verifyCheckpoints = false,
+  confirmations = DEFAULT_CONFIRMATIONS,
+  source = {},
+  concurrency = 10,
+}) {
+  if (!WEIGHTINGS.includes(weighting)) {
+    throw new Error(`Invalid weighting ${weighting}`);
+  }
+
+  if (!ALLOCATIONS.includes(allocation)) {
+    throw new Error(`Invalid allocation ${allocation}`);
+  }
+
+  const multipliersByCourt = parseCourtMultipliers(courtMultipliers);
+  const excluded = uniq(map((address) => utils.getAddress(address), excludedAddresses));
+  const cap = claimCap ? getCapValue(droppedAmount, claimCap) : null;
+  const rewardStrategy = typeof strategy === "string" ? getRewardStrategy(strategy) : strategy;
+  const rewardStrategyParams = { ...rewardStrategy.defaults, ...strategyParams };
+
+  const getBlockWithTimestamp = createGetBlockWithTimestamp(provider);
+  const getStakeChangesFromCheckpoint = checkpoints
+    ? createCheckpointReader({ provider, getStakeChanges, checkpoints, confirmations })
+    : null;
 
   async function createSnapshot({ fromBlock = 0, toBlock, startDate, endDate } = {}) {
     toBlock = toBlock || (await provider.getBlockNumber());
@@ -40,13 +102,80 @@ export async function createSnapshotCreator({ provider, droppedAmount, frequency
 
     const [first, last] = await Promise.all([findFirstAfter(startDate), findLastBefore(endDate)]);
 
-    const events = await getStakeSets(fromBlock, toBlock, chainId);
-    const stakesByAddress = getAverageStakesByAddress({ startBlock: first, endBlock: last }, events);
+    // Stake changes after the period do not affect it, and stopping at its end keeps the range the same
+    // on every run, so the pages already fetched can be reused.
+    const eventsToBlock = Math.min(toBlock, last + 1);
+    const rawEvents = checkpoints
+      ? await getStakeChangesFromCheckpoint({ fromBlock, startBlock: first, toBlock: eventsToBlock })
+      : await getStakeChanges(fromBlock, eventsToBlock);
+
+    const needsTimestamps = weighting === "timestamp" || compareWeightings;
+    const period = needsTimestamps
+      ? await withEdgeTimestamps(getBlockWithTimestamp, { startBlock: first, endBlock: last })
+      : { startBlock: first, endBlock: last };
+    const events = needsTimestamps
+      ? await withTimestamps({ getBlockWithTimestamp, concurrency }, period, rawEvents)
+      : rawEvents;
+
+    if (checkpoints && verifyCheckpoints) {
+      const fullRawEvents = await getStakeChanges(fromBlock, eventsToBlock);
+      const fullEvents = needsTimestamps
+        ? await withTimestamps({ getBlockWithTimestamp, concurrency }, period, fullRawEvents)
+        : fullRawEvents;
+      const mismatches = compareReplays({ ...period, weighting }, fullEvents, events);
+      if (mismatches.length > 0) {
+        throw new Error(
+          `Replaying from the checkpoint gives different average stakes than replaying all the history:\n` +
+            mismatches.map((mismatch) => `  - ${mismatch}`).join("\n")
+        );
+      }
+    }
+
+    const allTimelinesByAddress = getStakeTimelinesByAddress({ ...period, weighting }, events);
+    const allStakesByAddress = map(prop("averageStake"), allTimelinesByAddress);
+    // Excluded jurors are left out before anything is computed, so their share goes to everyone else.
+    const stakesByAddress = omit(excluded, allStakesByAddress);
+    const excludedStakesByAddress = zipObj(
+      excluded,
+      map((address) => BigNumber.from(allStakesByAddress[address] ?? 0), excluded)
+    );
+    const weightingReport = compareWeightings
+      ? getWeightingReport(
+          getAverageStakesByAddress({ ...period, weighting: "block" }, events),
+          getAverageStakesByAddress({ ...period, weighting: "timestamp" }, events)
+        )
+      : undefined;
     const averageTotalStaked = sumAll(values(stakesByAddress));
 
-    const claimsByAddress = map(getClaimValueFromAmounts(droppedAmount, averageTotalStaked), stakesByAddress);
+    const courtStakesByAddress = getAverageCourtStakesByAddress({ ...period, weighting }, events);
+    const weightedStakesByAddress = getWeightedStakes(stakesByAddress, courtStakesByAddress, multipliersByCourt);
+    const averageTotalWeightedStake = sumAll(values(weightedStakesByAddress));
 
-    const claimInfoByAddress = getClaimInfo(stakesByAddress, claimsByAddress);
+    const timelinesByAddress = mapObjIndexed(
+      (averageStake, address) => ({
+        averageStake,
+        weightedStake: weightedStakesByAddress[address],
+        averageStakeByCourt: courtStakesByAddress[address] ?? {},
+        steps: allTimelinesByAddress[address].steps,
+      }),
+      stakesByAddress
+    );
+
+    const {
+      claims: claimsByAddress,
+      dust,
+      capped,
+    } = rewardStrategy.getClaims({
+      timelines: timelinesByAddress,
+      droppedAmount,
+      params: rewardStrategyParams,
+      distribute: (weights) => getCappedClaimValues(allocation, droppedAmount, weights, cap),
+    });
+
+    const claimInfoByAddress = getClaimInfo(stakesByAddress, claimsByAddress, {
+      courtStakes: courtStakesByAddress,
+      weightedStakes: weightedStakesByAddress,
+    });
 
     const claimInfoList = values(claimInfoByAddress);
     const totalClaimable = compose(sumAll, pluck("value"))(claimInfoList);
@@ -63,8 +192,10 @@ export async function createSnapshotCreator({ provider, droppedAmount, frequency
     );
 
     const rateBasisPoints = toBasisPoints(getRateWithMultiplier(droppedAmount, averageTotalStaked));
-    const quantity = Math.max(1, dayjs.utc(endDate).diff(dayjs.utc(startDate), "month"));
+    const quantity = Math.max(1, dayjs.utc(endDate).diff(dayjs.utc(startDate), frequency));
+    // Kept for the readers of `apy`, which counts months and weeks of fixed length. `returns` uses the actual period.
     const apy = calculateApy(rateBasisPoints, frequency, quantity);
+    const returns = getReturns({ droppedAmount, averageTotalStaked, startDate, endDate });
 
     return {
       merkleTree: {
@@ -77,19 +208,212 @@ export async function createSnapshotCreator({ provider, droppedAmount, frequency
       endDate: endDate.toISOString(),
       blockHeight: toBlock,
       averageTotalStaked,
+      averageTotalWeightedStake,
       droppedAmount,
       totalClaimable,
+      allocation,
+      dust,
+      strategy: { name: rewardStrategy.name, params: rewardStrategyParams },
+      claimCap: cap ? { ...claimCap, value: cap } : null,
+      capped,
       apy,
+      returns,
+      weighting,
+      courtMultipliers: map((multiplier) => formatUnits(multiplier, MULTIPLIER_DECIMALS), multipliersByCourt),
+      weightingReport,
+      excluded: excludedStakesByAddress,
+      manifest: {
+        version: MANIFEST_VERSION,
+        generator: getGenerator(),
+        ...source,
+        fromBlock,
+        toBlock,
+        startBlock: first,
+        endBlock: last,
+        stakeChanges: summarizeStakeChanges(rawEvents, { fromBlock, startBlock: first }),
+        params: {
+          droppedAmount: droppedAmount.toString(),
+          frequency,
+          weighting,
+          allocation,
+          courtMultipliers: map((multiplier) => formatUnits(multiplier, MULTIPLIER_DECIMALS), multipliersByCourt),
+          excludedAddresses: excluded,
+          claimCap: claimCap ? serializeClaimCap(claimCap) : null,
+          strategy: rewardStrategy.name,
+          strategyParams: rewardStrategyParams,
+        },
+      },
     };
   }
 
   return createSnapshot;
 }
 
+/**
+ * Creates a function that gets the stake changes needed to compute a period starting at `startBlock`: the ones in
+ * the latest checkpoint before it, followed by the ones after that checkpoint. Saves the checkpoints at the start and
+ * at the end of the period along the way, so the next periods can start from them, unless they hold stake changes of
+ * the last `confirmations` blocks: a reorganization would leave them wrong for every period after them.
+ * @param {Object} options The options for the function.
+ * @param {Object} options.provider The provider of the chain.
+ * @param {function(number, number): Promise<StakeChange[]>} options.getStakeChanges Gets the stake changes
+ * in a range of blocks.
+ * @param {Object} options.checkpoints The checkpoint store of the chain. See `createCheckpointStore`.
+ * @param {number} options.confirmations How many of the most recent blocks are not saved in a checkpoint.
+ * @returns {function(Object): Promise<StakeChange[]>} The function.
+ */
+function createCheckpointReader({ provider, getStakeChanges, checkpoints, confirmations }) {
+  return async function getStakeChangesFromCheckpoint({ fromBlock, startBlock, toBlock }) {
+    const checkpoint =
+      (await checkpoints.getLatest({ fromBlock, block: startBlock })) ?? createEmptyCheckpoint(fromBlock);
+    const stakeChanges = await getStakeChanges(checkpoint.block, toBlock);
+    const confirmedTo = (await provider.getBlockNumber()) - confirmations + 1;
+
+    const atStart = advanceCheckpoint(checkpoint, stakeChanges, startBlock);
+    if (atStart.block !== checkpoint.block && atStart.block <= confirmedTo) {
+      await checkpoints.put(atStart);
+    }
+    const atEnd = advanceCheckpoint(atStart, stakeChanges, toBlock);
+    if (atEnd.block <= confirmedTo) {
+      await checkpoints.put(atEnd);
+    }
+
+    return [...checkpoint.stakeChanges, ...stakeChanges];
+  };
+}
+
+/**
+ * Creates a function that computes the stake timeline of a single juror in a period, the same way
+ * `createSnapshotCreator` does for every juror, to explain where the claim of a juror comes from.
+ * @param {Object} options The options for the function.
+ * @param {Object} options.provider The provider of the chain.
+ * @param {function(number, number): Promise<StakeChange[]>} options.getStakeChanges Gets the stake changes
+ * in a range of blocks.
+ * @param {string} [options.weighting="block"] How the duration of each stake is measured. See `WEIGHTINGS`.
+ * @param {Object} [options.checkpoints=null] The checkpoint store of the chain. If set, the stake history is
+ * replayed from the latest checkpoint before each period instead of from `fromBlock`.
+ * @param {number} [options.confirmations=DEFAULT_CONFIRMATIONS] How many of the most recent blocks are not saved
+ * in a checkpoint.
+ * @param {number} [options.concurrency=10] How many blocks are fetched at once for their timestamps.
+ * @returns {function(Object): Promise<JurorTimeline>} The function.
+ */
+export function createStakeTimelineReader({
+  provider,
+  getStakeChanges,
+  weighting = "block",
+  checkpoints = null,
+  confirmations = DEFAULT_CONFIRMATIONS,
+  concurrency = 10,
+}) {
+  if (!WEIGHTINGS.includes(weighting)) {
+    throw new Error(`Invalid weighting ${weighting}`);
+  }
+
+  const getBlockWithTimestamp = createGetBlockWithTimestamp(provider);
+  const getStakeChangesFromCheckpoint = checkpoints
+    ? createCheckpointReader({ provider, getStakeChanges, checkpoints, confirmations })
+    : null;
+
+  return async function getStakeTimeline({ address, fromBlock = 0, toBlock, startDate, endDate }) {
+    toBlock = toBlock || (await provider.getBlockNumber());
+
+    const { findFirstAfter, findLastBefore } = createBlockFetchers(provider);
+
+    const [first, last] = await Promise.all([findFirstAfter(startDate), findLastBefore(endDate)]);
+
+    const juror = utils.getAddress(address);
+    const eventsToBlock = Math.min(toBlock, last + 1);
+    const rawEvents = filter(
+      propEq("address", juror),
+      checkpoints
+        ? await getStakeChangesFromCheckpoint({ fromBlock, startBlock: first, toBlock: eventsToBlock })
+        : await getStakeChanges(fromBlock, eventsToBlock)
+    );
+
+    const period =
+      weighting === "timestamp"
+        ? await withEdgeTimestamps(getBlockWithTimestamp, { startBlock: first, endBlock: last })
+        : { startBlock: first, endBlock: last };
+    const events =
+      weighting === "timestamp"
+        ? await withTimestamps({ getBlockWithTimestamp, concurrency }, period, rawEvents)
+        : rawEvents;
+
+    const { averageStake, steps } = getStakeTimelinesByAddress({ ...period, weighting }, events)[juror] ?? {
+      averageStake: BigNumber.from(0),
+      steps: [],
+    };
+
+    return {
+      ...period,
+      weighting,
+      stakeChanges: getPeriodStakeChanges(rawEvents, { fromBlock, startBlock: first }),
+      averageStake,
+      averageStakeByCourt: getAverageCourtStakesByAddress({ ...period, weighting }, events)[juror] ?? {},
+      steps,
+    };
+  };
+}
+
+/**
+ * The stake timeline of a juror in a period.
+ * @typedef {object} JurorTimeline
+ * @prop {number} startBlock The first block of the period.
+ * @prop {number} endBlock The last block of the period.
+ * @prop {string} weighting How the duration of each step is measured.
+ * @prop {StakeChange[]} stakeChanges The stake changes of the juror the period is computed from: the last one
+ * in each court before the period, then the ones within it.
+ * @prop {BigNumber} averageStake The weighted average of the total stake.
+ * @prop {Object<string, BigNumber>} averageStakeByCourt The weighted average of the stake in each court.
+ * @prop {Object[]} steps The step function of the total stake. `from` and `to` are blocks or timestamps,
+ * depending on the weighting.
+ */
+
+async function withEdgeTimestamps(getBlockWithTimestamp, { startBlock, endBlock }) {
+  const [{ timestamp: startTimestamp }, { timestamp: endTimestamp }] = await Promise.all([
+    getBlockWithTimestamp(startBlock),
+    getBlockWithTimestamp(endBlock),
+  ]);
+
+  return { startBlock, endBlock, startTimestamp, endTimestamp };
+}
+
+/**
+ * Attaches the block timestamp to each event.
+ *
+ * Events outside of the period are clamped to its edges when computing the weights anyway,
+ * so they get the timestamp of the closest edge instead of having their blocks fetched.
+ */
+async function withTimestamps(
+  { getBlockWithTimestamp, concurrency },
+  { startBlock, endBlock, startTimestamp, endTimestamp },
+  events
+) {
+  const isWithinPeriod = ({ blockNumber }) => blockNumber >= startBlock && blockNumber <= endBlock;
+  const blockNumbers = uniq(pluck("blockNumber", filter(isWithinPeriod, events)));
+
+  const blocks = await asyncMapLimit(getBlockWithTimestamp, concurrency, blockNumbers);
+  const timestampByBlock = zipObj(blockNumbers, pluck("timestamp", blocks));
+
+  return map(
+    (event) => ({
+      ...event,
+      timestamp:
+        event.blockNumber < startBlock
+          ? startTimestamp
+          : event.blockNumber > endBlock
+          ? endTimestamp
+          : timestampByBlock[event.blockNumber],
+    }),
+    events
+  );
+}
+
 /**
  * @typedef {import('ethers').BigNumber} BigNumber
  * @typedef {import('dayjs').Dayjs} Dayjs
- * @typedef {import('ethers').Event} Event
+ * @typedef {import('./helpers/stake-sources.js').StakeChange} StakeChange
+ * @typedef {import('./reward-strategies.js').StakeTimeline} StakeTimeline
  */
 
 /**
@@ -97,7 +421,11 @@ export async function createSnapshotCreator({ provider, droppedAmount, frequency
  * @param {Object} options The options for the function.
  * @param {number} options.startBlock The starting block (inclusive) to compute the average.
  * @param {number} options.endBlock The ending block (inclusive) to compute the average.
- * @param {Event[]} events The events from the contract.
+ * @param {number} [options.startTimestamp] The timestamp of the starting block. Required for `timestamp` weighting.
+ * @param {number} [options.endTimestamp] The timestamp of the ending block. Required for `timestamp` weighting.
+ * @param {"block"|"timestamp"} [options.weighting="block"] How the duration of each step is measured.
+ * @param {StakeChange[]} events The stake changes.
+ * @param {function(StakeChange): BigNumber} [getStake] Gets the stake set by an event. Defaults to the new total stake.
  * @returns {Object<string, BigNumber>} The average stake for the period, indexed by the juror address.
  *
  * The total stake for a juror is a discrete function of the block heights as represented below:
@@ -235,11 +563,33 @@ export async function createSnapshotCreator({ provider, droppedAmount, frequency
  *    +------------+---------------------------------------------------------------+--->
  *                 .                  Block Height                                 .
  *            Start Block                                                        End Block
+ *
+ * With `timestamp` weighting the same step function is used, but the widths of the steps are measured
+ * with the timestamps of the blocks instead of their heights, so the average follows wall-clock time.
  */
-function getAverageStakesByAddress({ startBlock, endBlock }, events) {
+export function getAverageStakesByAddress(options, events, getStake) {
+  return map(prop("averageStake"), getStakeTimelinesByAddress(options, events, getStake));
+}
+
+/**
+ * Determines the step function of the amount staked by each juror in a given period, along with its weighted average.
+ * See `getAverageStakesByAddress` for the details.
+ * @param {Object} options The same options as `getAverageStakesByAddress`.
+ * @param {StakeChange[]} events The stake changes.
+ * @param {function(StakeChange): BigNumber} [getStake] Gets the stake set by an event. Defaults to the new total stake.
+ * @returns {Object<string, StakeTimeline>} The timeline for the period, indexed by the juror address.
+ * Jurors whose average stake is zero are left out.
+ */
+export function getStakeTimelinesByAddress(
+  { startBlock, endBlock, startTimestamp, endTimestamp, weighting = "block" },
+  events,
+  getStake = prop("totalStake")
+) {
+  const getPosition = weighting === "timestamp" ? prop("timestamp") : prop("blockNumber");
+
   // Does the trick of not considering durtions beyond the specified block range
-  const withinRange = clamp(startBlock, endBlock);
-  const getWeightFromDuration = (end, start) => withinRange(end) - withinRange(start);
+  const withinRange = weighting === "timestamp" ? clamp(startTimestamp, endTimestamp) : clamp(startBlock, endBlock);
+  const getWeightFromDuration = (end, start) => withinRange(getPosition(end)) - withinRange(getPosition(start));
 
   const toStepFunction = compose(
     prop("items"),
@@ -250,7 +600,9 @@ function getAverageStakesByAddress({ startBlock, endBlock }, events) {
             items: [
               ...items,
               {
-                weight: BigNumber.from(getWeightFromDuration(item.blockNumber, previous.blockNumber)),
+                from: withinRange(getPosition(previous)),
+                to: withinRange(getPosition(item)),
+                weight: BigNumber.from(getWeightFromDuration(item, previous)),
                 value: previous.totalStake,
               },
             ],
@@ -271,13 +623,13 @@ function getAverageStakesByAddress({ startBlock, endBlock }, events) {
     return findLastIndex((event) => event.blockNumber < current, events);
   };
 
-  const getAverageStake = (eventsFromAccount) => {
+  const getTimeline = (eventsFromAccount) => {
     const firstIndex = getLastIndexBefore(startBlock, eventsFromAccount);
     const lastIndex = getLastIndexBefore(endBlock, eventsFromAccount);
 
     // This means that no event happened before the end of the interval (see 3. above)
     if (lastIndex === -1) {
-      return BigNumber.from(0);
+      return { averageStake: BigNumber.from(0), steps: [] };
     }
 
     /*
@@ -293,6 +645,7 @@ function getAverageStakesByAddress({ startBlock, endBlock }, events) {
       return append(
         {
           blockNumber: Number.MAX_SAFE_INTEGER,
+          timestamp: Number.MAX_SAFE_INTEGER,
           logIndex: Number.MAX_SAFE_INTEGER,
           totalStake: lastEvent.totalStake,
         },
@@ -310,6 +663,7 @@ function getAverageStakesByAddress({ startBlock, endBlock }, events) {
       firstIndex === -1
         ? prepend({
             blockNumber: -1,
+            timestamp: -1,
             logIndex: -1,
             totalStake: BigNumber.from(0),
           })
@@ -339,20 +693,24 @@ function getAverageStakesByAddress({ startBlock, endBlock }, events) {
     const events = normalize(eventsFromAccount);
 
     if (events.length === 0) {
-      return 0;
+      return { averageStake: BigNumber.from(0), steps: [] };
     }
 
     // Special case where the stake didn't change the entire time (see 2. above).
     if (events.length === 1) {
-      return events[0].totalStake;
+      const [from, to] = [withinRange(-Infinity), withinRange(Infinity)];
+      return {
+        averageStake: events[0].totalStake,
+        steps: [{ from, to, weight: BigNumber.from(to - from), value: events[0].totalStake }],
+      };
     }
 
-    return getWeightedAverage(toStepFunction(events));
+    const steps = toStepFunction(events);
+    return { averageStake: getWeightedAverage(steps), steps };
   };
 
-  const withAverageStake = ([address, events]) => {
-    const stake = getAverageStake(events);
-    return [address, stake];
+  const withTimeline = ([address, events]) => {
+    return [address, getTimeline(events)];
   };
 
   const withRelevantProps = ([address, events]) => {
@@ -362,23 +720,149 @@ function getAverageStakesByAddress({ startBlock, endBlock }, events) {
         (event) => ({
           address,
           blockNumber: event.blockNumber,
+          timestamp: event.timestamp,
           logIndex: event.logIndex,
-          totalStake: event.args._newTotalStake || BigNumber.from(0),
+          totalStake: getStake(event) || BigNumber.from(0),
         }),
         events
       ),
     ];
   };
 
-  const onlyNonZero = ([_, stake]) => !BigNumber.from(stake).isZero();
-  const transducer = compose(map(withRelevantProps), map(withAverageStake), filter(onlyNonZero));
+  const onlyNonZero = ([_, { averageStake }]) => !BigNumber.from(averageStake).isZero();
+  const transducer = compose(map(withRelevantProps), map(withTimeline), filter(onlyNonZero));
 
-  const groupByAddress = groupBy(path(["args", "_address"]));
+  const groupByAddress = groupBy(prop("address"));
   const groupedEvents = groupByAddress(events);
 
   return into({}, transducer, toPairs(groupedEvents));
 }
 
+/**
+ * Compares the average stakes computed from two sets of stake changes of the same period.
+ * @param {Object} options The same options as `getAverageStakesByAddress`.
+ * @param {StakeChange[]} expectedEvents The stake changes giving the expected averages.
+ * @param {StakeChange[]} actualEvents The stake changes to check.
+ * @returns {string[]} The differences found.
+ */
+function compareReplays(options, expectedEvents, actualEvents) {
+  const describe = (stakes) =>
+    JSON.stringify(sortBy(([courtId]) => Number(courtId), toPairs(map(String, stakes ?? {}))));
+  const mismatches = [];
+
+  const expectedStakes = getAverageStakesByAddress(options, expectedEvents);
+  const actualStakes = getAverageStakesByAddress(options, actualEvents);
+  for (const address of uniq([...Object.keys(expectedStakes), ...Object.keys(actualStakes)])) {
+    if (!BigNumber.from(expectedStakes[address] ?? 0).eq(actualStakes[address] ?? 0)) {
+      mismatches.push(
+        `${address}: average stake ${actualStakes[address] ?? 0} instead of ${expectedStakes[address] ?? 0}`
+      );
+    }
+  }
+
+  const expectedCourtStakes = getAverageCourtStakesByAddress(options, expectedEvents);
+  const actualCourtStakes = getAverageCourtStakesByAddress(options, actualEvents);
+  for (const address of uniq([...Object.keys(expectedCourtStakes), ...Object.keys(actualCourtStakes)])) {
+    if (describe(expectedCourtStakes[address]) !== describe(actualCourtStakes[address])) {
+      mismatches.push(
+        `${address}: court stakes ${describe(actualCourtStakes[address])} instead of ${describe(
+          expectedCourtStakes[address]
+        )}`
+      );
+    }
+  }
+
+  return mismatches;
+}
+
+/**
+ * Determines the weighted average of the amount staked by each juror in each court in a given period.
+ * The stake in each court is a step function of its own, so the same averaging applies to it.
+ * @param {Object} options The same options as `getAverageStakesByAddress`.
+ * @param {StakeChange[]} events The stake changes.
+ * @returns {Object<string, Object<string, BigNumber>>} The average stake for the period, indexed by the juror address
+ * and then by the court ID.
+ */
+export function getAverageCourtStakesByAddress(options, events) {
+  const eventsByCourt = groupBy(prop("courtId"), events);
+
+  const courtStakesByAddress = {};
+  for (const [courtId, courtEvents] of toPairs(eventsByCourt)) {
+    const stakes = getAverageStakesByAddress(options, courtEvents, prop("courtStake"));
+    for (const [address, stake] of toPairs(stakes)) {
+      courtStakesByAddress[address] = { ...courtStakesByAddress[address], [courtId]: BigNumber.from(stake) };
+    }
+  }
+
+  return courtStakesByAddress;
+}
+
+// Court multipliers are handled as fixed point numbers with 9 decimals.
+const MULTIPLIER_DECIMALS = 9;
+const MULTIPLIER_BASIS = BigNumber.from(10).pow(MULTIPLIER_DECIMALS);
+
+function parseCourtMultipliers(courtMultipliers) {
+  return mapObjIndexed((multiplier, courtId) => {
+    const value = parseUnits(String(multiplier), MULTIPLIER_DECIMALS);
+    if (value.isNegative()) {
+      throw new Error(`Invalid multiplier ${multiplier} for court ${courtId}`);
+    }
+
+    return value;
+  }, courtMultipliers);
+}
+
+/**
+ * Applies the court multipliers to the average stake of each juror.
+ *
+ * Only the difference from the default multiplier (1) is added on top of the average total stake,
+ * so jurors with nothing staked in boosted courts keep exactly their average stake.
+ * @param {Object<string, BigNumber>} stakes The average stakes, indexed by the juror address.
+ * @param {Object<string, Object<string, BigNumber>>} courtStakes The average stakes, indexed by the juror address and court ID.
+ * @param {Object<string, BigNumber>} multipliers The multipliers with `MULTIPLIER_DECIMALS`, indexed by the court ID.
+ * @returns {Object<string, BigNumber>} The weighted stakes, indexed by the juror address.
+ */
+function getWeightedStakes(stakes, courtStakes, multipliers) {
+  const addBoost = (acc, [courtId, courtStake]) =>
+    acc.add(courtStake.mul((multipliers[courtId] ?? MULTIPLIER_BASIS).sub(MULTIPLIER_BASIS)).div(MULTIPLIER_BASIS));
+
+  return mapObjIndexed(
+    (stake, address) => reduce(addBoost, BigNumber.from(stake), toPairs(courtStakes[address] ?? {})),
+    stakes
+  );
+}
+
+/**
+ * Compares the average stakes obtained with `block` and `timestamp` weighting.
+ * @param {Object<string, BigNumber>} blockStakes The block-weighted average stakes, indexed by the juror address.
+ * @param {Object<string, BigNumber>} timestampStakes The timestamp-weighted average stakes, indexed by the juror address.
+ * @returns {Object<string, Object>} The stakes in both modes and how far they are apart, indexed by the juror address.
+ */
+function getWeightingReport(blockStakes, timestampStakes) {
+  const addresses = uniq([...Object.keys(blockStakes), ...Object.keys(timestampStakes)]);
+
+  return into(
+    {},
+    map((address) => {
+      const block = BigNumber.from(blockStakes[address] ?? 0);
+      const timestamp = BigNumber.from(timestampStakes[address] ?? 0);
+      const difference = timestamp.sub(block);
+
+      return [
+        address,
+        {
+          block,
+          timestamp,
+          difference,
+          // Relative to the block-weighted stake, which is the one used so far.
+          differenceBasisPoints: block.isZero() ? null : difference.mul(BASIS_POINTS_MULTIPLIER).div(block).toNumber(),
+        },
+      ];
+    }),
+    addresses
+  );
+}
+
 const bnSum = (acc, current) => acc.add(BigNumber.from(current));
 const sumAll = reduce(bnSum, BigNumber.from(0));
 
@@ -388,10 +872,16 @@ function getWeightedAverage(values) {
   return getTotalValueTimesWeight(values).div(getTotalWeight(values));
 }
 
-function getClaimInfo(stakes, claims) {
+function getClaimInfo(stakes, claims, { courtStakes, weightedStakes }) {
   return mapObjIndexed(
     (averageStake, address) => ({
       averageStake: stakes[address],
+      averageStakeByCourt: courtStakes[address] ?? {},
+      // The effective multiplier, after combining the ones from each court the juror staked in.
+      multiplier: formatUnits(
+        weightedStakes[address].mul(MULTIPLIER_BASIS).div(BigNumber.from(stakes[address])),
+        MULTIPLIER_DECIMALS
+      ),
       value: claims[address],
       // What need to be commited is the claimable value, not the stake.
       node: MerkleTree.makeLeafNode(address, claims[address]),
@@ -404,18 +894,148 @@ const getClaimValueFromAmounts = curry(function _getClaimValue(droppedAmount, av
   return stake.mul(droppedAmount).div(averageTotalStaked);
 });
 
+/**
+ * Splits the dropped amount among the jurors proportionally to their stakes.
+ * @param {"floor"|"largest-remainder"} allocation How the wei lost by rounding down are handled.
+ * @param {BigNumber} droppedAmount The amount being distributed.
+ * @param {Object<string, BigNumber>} stakes The stakes, indexed by the juror address.
+ * @returns {{ claims: Object<string, BigNumber>, dust: BigNumber }} The claim values, indexed by the juror address,
+ * and the amount lost by rounding down, which is redistributed unless the allocation is `floor`.
+ */
+function getClaimValues(allocation, droppedAmount, stakes) {
+  if (isEmpty(stakes)) {
+    return { claims: {}, dust: droppedAmount };
+  }
+
+  const totalStake = sumAll(values(stakes));
+  const claims = map(getClaimValueFromAmounts(droppedAmount, totalStake), stakes);
+  const dust = droppedAmount.sub(sumAll(values(claims)));
+
+  if (allocation === "floor" || dust.isZero()) {
+    return { claims, dust };
+  }
+
+  const remainders = map((stake) => stake.mul(droppedAmount).mod(totalStake), stakes);
+  const byLargestRemainder = (a, b) => {
+    if (!remainders[a].eq(remainders[b])) {
+      return remainders[b].gt(remainders[a]) ? 1 : -1;
+    }
+
+    const [x, y] = [a.toLowerCase(), b.toLowerCase()];
+    return x < y ? -1 : x > y ? 1 : 0;
+  };
+
+  // Each claim loses less than 1 wei when rounded down, so there are always fewer wei of dust than claims.
+  const receivers = new Set(Object.keys(stakes).sort(byLargestRemainder).slice(0, dust.toNumber()));
+
+  return {
+    claims: mapObjIndexed((claim, address) => (receivers.has(address) ? claim.add(1) : claim), claims),
+    dust,
+  };
+}
+
+/**
+ * Splits the dropped amount among the jurors proportionally to their stakes, without any claim going over the cap.
+ *
+ * Capped claims are fixed at the cap and the excess is split pro-rata among the remaining jurors,
+ * which is repeated until no claim goes over the cap.
+ * If every juror ends up capped, what could not be handed out is reported as dust.
+ * @param {"floor"|"largest-remainder"} allocation How the wei lost by rounding down are handled.
+ * @param {BigNumber} droppedAmount The amount being distributed.
+ * @param {Object<string, BigNumber>} stakes The stakes, indexed by the juror address.
+ * @param {BigNumber|null} cap The maximum value of a claim or `null` for no cap.
+ * @returns {{ claims: Object<string, BigNumber>, dust: BigNumber, capped: Object<string, Object> }} Same as
+ * `getClaimValues`, plus the value each capped claim had when it went over the cap and the excess over it,
+ * indexed by the juror address.
+ */
+function getCappedClaimValues(allocation, droppedAmount, stakes, cap) {
+  const uncappedResult = getClaimValues(allocation, droppedAmount, stakes);
+  if (cap === null) {
+    return { ...uncappedResult, capped: {} };
+  }
+
+  let capped = {};
+  let result = uncappedResult;
+  for (;;) {
+    const overCap = filter((claim) => claim.gt(cap), result.claims);
+    if (isEmpty(overCap)) {
+      break;
+    }
+
+    capped = {
+      ...capped,
+      ...map((claim) => ({ uncappedValue: claim, excess: claim.sub(cap) }), overCap),
+    };
+    const cappedAddresses = Object.keys(capped);
+    const remainingAmount = droppedAmount.sub(cap.mul(cappedAddresses.length));
+    const remainingStakes = omit(cappedAddresses, stakes);
+    result = getClaimValues(allocation, remainingAmount, remainingStakes);
+  }
+
+  return {
+    // Keeps the claims in the same order as the stakes.
+    claims: mapObjIndexed((_, address) => (capped[address] ? cap : result.claims[address]), stakes),
+    dust: result.dust,
+    capped,
+  };
+}
+
+// Cap percentages are handled as fixed point numbers with 9 decimals.
+const PERCENTAGE_DECIMALS = 9;
+
+/**
+ * Gets the maximum value of a claim.
+ * @param {BigNumber} droppedAmount The amount being distributed.
+ * @param {{ percentage: string|number }|{ amount: BigNumber }} claimCap The cap, either as a percentage of
+ * the dropped amount or as an absolute amount in wei.
+ * @returns {BigNumber} The cap in wei.
+ */
+function getCapValue(droppedAmount, claimCap) {
+  if (claimCap.percentage !== undefined) {
+    const percentage = parseUnits(String(claimCap.percentage), PERCENTAGE_DECIMALS);
+    if (percentage.lte(0) || percentage.gt(parseUnits("100", PERCENTAGE_DECIMALS))) {
+      throw new Error(`Invalid cap percentage ${claimCap.percentage}`);
+    }
+
+    return droppedAmount.mul(percentage).div(parseUnits("100", PERCENTAGE_DECIMALS));
+  }
+
+  if (claimCap.amount !== undefined) {
+    const amount = BigNumber.from(claimCap.amount);
+    if (amount.lte(0)) {
+      throw new Error(`Invalid cap amount ${claimCap.amount}`);
+    }
+
+    return amount;
+  }
+
+  throw new Error("The claim cap must have either a percentage or an amount");
+}
+
+/**
+ * Serializes a claim cap for the manifest, with the amount as a decimal string.
+ * @param {{ percentage: string|number }|{ amount: BigNumber }} claimCap The cap.
+ * @returns {{ percentage: string }|{ amount: string }} The serialized cap, as accepted by `getCapValue`.
+ */
+function serializeClaimCap(claimCap) {
+  return claimCap.percentage !== undefined
+    ? { percentage: String(claimCap.percentage) }
+    : { amount: BigNumber.from(claimCap.amount).toString() };
+}
+
 const BASIS_POINTS_MULTIPLIER = 10000;
 
 // Make the calculations take place always in terms of full tokens (10^18)
 const RATE_MULTIPLIER = BigNumber.from("1000000000000000000");
 
+// The rate is `null` if nothing was staked, as in `getReturns`.
 function getRateWithMultiplier(droppedAmount, averageTotalStaked) {
-  return droppedAmount.mul(RATE_MULTIPLIER).div(averageTotalStaked);
+  return averageTotalStaked.isZero() ? null : droppedAmount.mul(RATE_MULTIPLIER).div(averageTotalStaked);
 }
 
 function toBasisPoints(rateWithMultiplier) {
   // To transfom the rate into basis points we divide it by 10^14
-  return rateWithMultiplier.div(BigNumber.from("100000000000000"));
+  return rateWithMultiplier?.div(BigNumber.from("100000000000000")) ?? null;
 }
 
 function calculateApy(rateBasisPoints, frequency, quantity) {
@@ -432,6 +1052,10 @@ function calculateApy(rateBasisPoints, frequency, quantity) {
     throw new Error(`Invalid frequency ${frequency}`);
   }
 
+  if (rateBasisPoints === null) {
+    return null;
+  }
+
   const n = intervalToYear[frequency] / quantity;
   const i = Number(rateBasisPoints);
 
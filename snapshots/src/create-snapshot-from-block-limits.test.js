@@ -0,0 +1,355 @@
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { BigNumber } from "ethers";
+import { computeEmission, loadEmissionParams } from "./emission.js";
+
+let createSnapshotCreator, createStakeTimelineReader, getStakeTimelinesByAddress;
+before(async () => {
+  // Read by the block fetchers when they are loaded: the fake chain below has a block per second.
+  process.env.PNK_DROP_AVERAGE_BLOCKS_PER_SECOND = "1";
+  ({ createSnapshotCreator, createStakeTimelineReader, getStakeTimelinesByAddress } = await import(
+    "./create-snapshot-from-block-limits.js"
+  ));
+});
+
+const GENESIS = Date.UTC(2026, 0, 1) / 1000;
+const HEAD = 3000;
+const provider = {
+  getBlockNumber: async () => HEAD,
+  getBlock: async (n) => (n >= 0 && n <= HEAD ? { number: n, timestamp: GENESIS + n } : null),
+  getNetwork: async () => ({ chainId: 31337 }),
+};
+const period = { startDate: new Date((GENESIS + 1000) * 1000), endDate: new Date((GENESIS + 2000) * 1000) };
+
+const juror = (n) => `0x${String(n).padStart(40, "0")}`;
+
+/**
+ * Creates a snapshot of jurors who keep the same stake for the whole period.
+ * Each stake is either a number, staked in court 1, or the stake in each court, indexed by the court ID.
+ */
+async function createSnapshot(stakes, options) {
+  const stakeChanges = stakes.flatMap((stake, i) => {
+    const courtStakes = typeof stake === "number" ? { 1: stake } : stake;
+    let totalStake = 0;
+    return Object.entries(courtStakes).map(([courtId, courtStake], j) => ({
+      address: juror(i + 1),
+      courtId,
+      courtStake: BigNumber.from(courtStake),
+      totalStake: BigNumber.from((totalStake += courtStake)),
+      blockNumber: 10 + i,
+      logIndex: j,
+    }));
+  });
+  const create = await createSnapshotCreator({
+    provider,
+    getStakeChanges: async (fromBlock, toBlock) =>
+      stakeChanges.filter(({ blockNumber }) => blockNumber >= fromBlock && blockNumber <= toBlock),
+    ...options,
+  });
+
+  const snapshot = await create({ toBlock: HEAD, ...period });
+  return {
+    ...snapshot,
+    values: stakes.map((_, i) => snapshot.merkleTree.claims[juror(i + 1)]?.value.toNumber() ?? 0),
+  };
+}
+
+describe("getStakeTimelinesByAddress", () => {
+  // The blocks of the period are evenly spaced in height, but block 150 comes three quarters of the way in time.
+  const period = { startBlock: 100, endBlock: 200, startTimestamp: 10000, endTimestamp: 10400 };
+  const stakeChanges = [
+    // Before the period, so clamped to its start as `withTimestamps` does.
+    { address: juror(1), totalStake: BigNumber.from(100), blockNumber: 50, logIndex: 0, timestamp: 10000 },
+    { address: juror(1), totalStake: BigNumber.from(300), blockNumber: 150, logIndex: 0, timestamp: 10300 },
+    { address: juror(2), totalStake: BigNumber.from(400), blockNumber: 150, logIndex: 1, timestamp: 10300 },
+  ];
+  const describeSteps = ({ averageStake, steps }) => ({
+    averageStake: averageStake.toNumber(),
+    steps: steps.map(({ from, to, weight, value }) => [from, to, weight.toNumber(), value.toNumber()]),
+  });
+
+  it("measures the steps in blocks with block weighting", () => {
+    const timelines = getStakeTimelinesByAddress({ ...period, weighting: "block" }, stakeChanges);
+
+    assert.deepEqual(describeSteps(timelines[juror(1)]), {
+      averageStake: 200,
+      steps: [
+        [100, 150, 50, 100],
+        [150, 200, 50, 300],
+      ],
+    });
+  });
+
+  it("measures the steps in seconds with timestamp weighting", () => {
+    const timelines = getStakeTimelinesByAddress({ ...period, weighting: "timestamp" }, stakeChanges);
+
+    assert.deepEqual(describeSteps(timelines[juror(1)]), {
+      averageStake: 150,
+      steps: [
+        [10000, 10300, 300, 100],
+        [10300, 10400, 100, 300],
+      ],
+    });
+    // Nothing was staked before the first stake change within the period.
+    assert.deepEqual(describeSteps(timelines[juror(2)]), {
+      averageStake: 100,
+      steps: [
+        [10000, 10300, 300, 0],
+        [10300, 10400, 100, 400],
+      ],
+    });
+  });
+
+  it("gives a single step to a stake that did not change during the period", () => {
+    const timelines = getStakeTimelinesByAddress({ ...period, weighting: "timestamp" }, stakeChanges.slice(0, 1));
+    assert.deepEqual(describeSteps(timelines[juror(1)]), { averageStake: 100, steps: [[10000, 10400, 400, 100]] });
+  });
+});
+
+describe("createSnapshotCreator court multipliers", () => {
+  it("adds the stake in each boosted court times the multiplier minus one", async () => {
+    const snapshot = await createSnapshot([{ 1: 100, 2: 100 }, { 1: 200 }, { 2: 50, 3: 150 }], {
+      droppedAmount: BigNumber.from(1000),
+      courtMultipliers: { 2: "1.5", 3: "0" },
+    });
+
+    // 200 + 100 * 0.5, 200, then 200 + 50 * 0.5 - 150.
+    const { claims } = snapshot.merkleTree;
+    assert.deepEqual(
+      [1, 2, 3].map((n) => claims[juror(n)].multiplier),
+      ["1.25", "1.0", "0.375"]
+    );
+    assert.deepEqual(snapshot.values, [476, 380, 142]);
+    assert.equal(snapshot.averageTotalStaked.toNumber(), 600);
+    assert.equal(snapshot.averageTotalWeightedStake.toNumber(), 525);
+    assert.deepEqual(snapshot.courtMultipliers, { 2: "1.5", 3: "0.0" });
+  });
+
+  it("records the average stake in each court", async () => {
+    const snapshot = await createSnapshot([{ 1: 100, 2: 100 }], { droppedAmount: BigNumber.from(1000) });
+
+    const { averageStake, averageStakeByCourt } = snapshot.merkleTree.claims[juror(1)];
+    assert.equal(averageStake.toNumber(), 200);
+    assert.deepEqual(
+      Object.entries(averageStakeByCourt).map(([courtId, stake]) => [courtId, stake.toNumber()]),
+      [
+        ["1", 100],
+        ["2", 100],
+      ]
+    );
+  });
+
+  it("rejects the negative multipliers", async () => {
+    await assert.rejects(
+      createSnapshotCreator({ provider, getStakeChanges: async () => [], courtMultipliers: { 2: "-1" } }),
+      /Invalid multiplier -1 for court 2/
+    );
+  });
+});
+
+describe("createSnapshotCreator excluded addresses", () => {
+  it("leaves the excluded jurors out of the total staked and gives their share to everyone else", async () => {
+    const snapshot = await createSnapshot([50, 30, 20], {
+      droppedAmount: BigNumber.from(1000),
+      excludedAddresses: [juror(1).toLowerCase()],
+    });
+
+    assert.deepEqual(snapshot.values, [0, 600, 400]);
+    assert.equal(snapshot.averageTotalStaked.toNumber(), 50);
+    assert.equal(snapshot.totalClaimable.toNumber(), 1000);
+    assert.deepEqual(Object.keys(snapshot.excluded), [juror(1)]);
+    assert.equal(snapshot.excluded[juror(1)].toNumber(), 50);
+  });
+
+  it("leaves the excluded stake out of the share of the supply staked", async () => {
+    const stakePercent = async (excludedAddresses) => {
+      const { averageTotalStaked } = await createSnapshot([50, 30, 20], {
+        droppedAmount: BigNumber.from(0),
+        excludedAddresses,
+      });
+      const emission = computeEmission(loadEmissionParams(), {
+        date: new Date("2026-01-01T00:00:00Z"),
+        lastAmount: BigNumber.from(1000),
+        totalStaked: averageTotalStaked,
+        totalSupply: BigNumber.from(1000),
+        chains: [{ chainId: 1, pnkDropRatio: BigNumber.from(1000000000) }],
+      });
+      return emission.stakePercent.toString();
+    };
+
+    assert.equal(await stakePercent([]), "100000000");
+    assert.equal(await stakePercent([juror(1)]), "50000000");
+  });
+
+  it("records the excluded addresses that had nothing staked", async () => {
+    const snapshot = await createSnapshot([50], { droppedAmount: BigNumber.from(1000), excludedAddresses: [juror(9)] });
+
+    assert.equal(snapshot.excluded[juror(9)].toNumber(), 0);
+    assert.deepEqual(snapshot.values, [1000]);
+  });
+});
+
+describe("createSnapshotCreator claim caps", () => {
+  it("leaves as dust what nobody can claim if the cap is too low for the dropped amount", async () => {
+    const snapshot = await createSnapshot([50, 30, 20], {
+      droppedAmount: BigNumber.from(1000),
+      allocation: "largest-remainder",
+      claimCap: { amount: BigNumber.from(100) },
+    });
+
+    assert.deepEqual(snapshot.values, [100, 100, 100]);
+    assert.equal(snapshot.totalClaimable.toNumber(), 300);
+    assert.equal(snapshot.dust.toNumber(), 700);
+    assert.deepEqual(Object.keys(snapshot.capped), [juror(1), juror(2), juror(3)]);
+  });
+
+  it("caps again the jurors pushed over the cap by what was taken from the others", async () => {
+    const snapshot = await createSnapshot([50, 25, 15, 10], {
+      droppedAmount: BigNumber.from(1000),
+      claimCap: { percentage: "30" },
+    });
+
+    // 500 is capped to 300, then the 700 left give 350 to the second juror, which is capped as well.
+    assert.deepEqual(snapshot.values, [300, 300, 240, 160]);
+    assert.deepEqual(Object.keys(snapshot.capped), [juror(1), juror(2)]);
+    assert.equal(snapshot.claimCap.value.toNumber(), 300);
+    assert.equal(snapshot.totalClaimable.toNumber(), 1000);
+  });
+
+  it("hands out the whole dropped amount with the largest remainders, even when capped", async () => {
+    const snapshot = await createSnapshot([50, 25, 15, 10], {
+      droppedAmount: BigNumber.from(1001),
+      allocation: "largest-remainder",
+      claimCap: { percentage: "30" },
+    });
+
+    assert.deepEqual(snapshot.values, [300, 300, 241, 160]);
+    // The wei lost by rounding down is still reported as dust, though it went to the third juror.
+    assert.equal(snapshot.dust.toNumber(), 1);
+    assert.equal(snapshot.totalClaimable.toString(), snapshot.droppedAmount.toString());
+  });
+});
+
+describe("createSnapshotCreator allocations", () => {
+  it("breaks ties between equal remainders by address", async () => {
+    const floor = await createSnapshot([1, 1], { droppedAmount: BigNumber.from(3) });
+    assert.deepEqual(floor.values, [1, 1]);
+    assert.equal(floor.dust.toNumber(), 1);
+
+    const largestRemainder = await createSnapshot([1, 1], {
+      droppedAmount: BigNumber.from(3),
+      allocation: "largest-remainder",
+    });
+    assert.deepEqual(largestRemainder.values, [2, 1]);
+    assert.equal(largestRemainder.totalClaimable.toNumber(), 3);
+  });
+});
+
+describe("createSnapshotCreator checkpoints", () => {
+  const createCheckpointStore = () => {
+    const saved = [];
+    return { saved, getLatest: async () => null, put: async (checkpoint) => saved.push(checkpoint.block) };
+  };
+
+  it("saves the checkpoints at the start and at the end of the period once they are confirmed", async () => {
+    const checkpoints = createCheckpointStore();
+    const snapshot = await createSnapshot([50, 50], { droppedAmount: BigNumber.from(1000), checkpoints });
+
+    assert.deepEqual(checkpoints.saved, [snapshot.manifest.startBlock, snapshot.manifest.endBlock + 1]);
+    assert.deepEqual(snapshot.values, [500, 500]);
+  });
+
+  it("does not save the checkpoints within the confirmation depth", async () => {
+    const checkpoints = createCheckpointStore();
+    // Only the blocks up to 1500 are confirmed, so the period ending around block 2000 is not.
+    await createSnapshot([50, 50], { droppedAmount: BigNumber.from(1000), checkpoints, confirmations: 1501 });
+    assert.equal(checkpoints.saved.length, 1);
+    assert.ok(checkpoints.saved[0] <= 1500);
+
+    const none = createCheckpointStore();
+    await createSnapshot([50, 50], { droppedAmount: BigNumber.from(1000), checkpoints: none, confirmations: 2500 });
+    assert.deepEqual(none.saved, []);
+  });
+});
+
+describe("createStakeTimelineReader checkpoints", () => {
+  const stakeChanges = [
+    [juror(1), 100, 10],
+    [juror(2), 300, 20],
+    [juror(1), 200, 1200],
+    [juror(1), 0, 2500],
+  ].map(([address, stake, blockNumber]) => ({
+    address,
+    courtId: "1",
+    courtStake: BigNumber.from(stake),
+    totalStake: BigNumber.from(stake),
+    blockNumber,
+    logIndex: 0,
+  }));
+
+  const months = [
+    [1000, 2000],
+    [2000, 2800],
+  ].map(([start, end]) => ({
+    startDate: new Date((GENESIS + start) * 1000),
+    endDate: new Date((GENESIS + end) * 1000),
+  }));
+
+  /*
+   * Reads the timelines of a juror month after month, as the juror command does, and the ranges of blocks
+   * the stake changes were read in.
+   */
+  async function readTimelines(options) {
+    const ranges = [];
+    const getStakeTimeline = createStakeTimelineReader({
+      provider,
+      getStakeChanges: async (fromBlock, toBlock) => {
+        ranges.push([fromBlock, toBlock]);
+        return stakeChanges.filter(({ blockNumber }) => blockNumber >= fromBlock && blockNumber <= toBlock);
+      },
+      ...options,
+    });
+
+    const timelines = [];
+    for (const month of months) {
+      timelines.push(await getStakeTimeline({ address: juror(1), ...month }));
+    }
+    return { ranges, timelines };
+  }
+
+  it("gives the same timelines from the checkpoints, only reading the stake changes after them", async () => {
+    const saved = [];
+    const checkpoints = {
+      getLatest: async ({ block }) =>
+        saved.filter((checkpoint) => checkpoint.block <= block).sort((a, b) => b.block - a.block)[0] ?? null,
+      put: async (checkpoint) => saved.push(checkpoint),
+    };
+    const withCheckpoints = await readTimelines({ checkpoints });
+    const withoutCheckpoints = await readTimelines();
+
+    const [first, second] = withCheckpoints.timelines;
+    assert.deepEqual(withCheckpoints.timelines, withoutCheckpoints.timelines);
+    assert.deepEqual(
+      first.stakeChanges.map(({ blockNumber }) => blockNumber),
+      [10, 1200]
+    );
+    assert.equal(second.averageStake.toNumber(), 125);
+
+    assert.equal(withCheckpoints.ranges[1][0], first.endBlock + 1);
+    assert.deepEqual(
+      withoutCheckpoints.ranges.map(([fromBlock]) => fromBlock),
+      [0, 0]
+    );
+  });
+});
+
+describe("createSnapshotCreator returns", () => {
+  it("has no rate when nothing was staked", async () => {
+    const snapshot = await createSnapshot([0, 0], { droppedAmount: BigNumber.from(1000) });
+
+    assert.equal(snapshot.averageTotalStaked.toNumber(), 0);
+    assert.equal(snapshot.apy, null);
+    assert.deepEqual([snapshot.returns.rate, snapshot.returns.apr, snapshot.returns.apy], [null, null, null]);
+    assert.deepEqual(snapshot.merkleTree.claims, {});
+  });
+});
@@ -29,6 +29,7 @@ import {
 } from "ramda";
 import { createGetBlockWithTimestamp } from "./helpers/blocks.js";
 import { createGetEvents } from "./helpers/events.js";
+import { getReturns } from "./helpers/returns.js";
 
 dayjs.extend(utc);
 
@@ -78,8 +79,10 @@ export async function createSnapshotCreator({
     );
 
     const rateBasisPoints = toBasisPoints(getRateWithMultiplier(droppedAmount, averageTotalStaked));
-    const quantity = Math.max(1, dayjs.utc(endDate).diff(dayjs.utc(startDate), "month"));
+    const quantity = Math.max(1, dayjs.utc(endDate).diff(dayjs.utc(startDate), frequency));
+    // Kept for the readers of `apy`, which counts months and weeks of fixed length. `returns` uses the actual period.
     const apy = calculateApy(rateBasisPoints, frequency, quantity);
+    const returns = getReturns({ droppedAmount, averageTotalStaked, startDate, endDate });
 
     return {
       merkleTree: {
@@ -95,6 +98,7 @@ export async function createSnapshotCreator({
       droppedAmount,
       totalClaimable,
       apy,
+      returns,
     };
   }
 
@@ -0,0 +1,348 @@
+import { readFileSync } from "fs";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import { BigNumber } from "ethers";
+import { parseUnits } from "ethers/lib/utils.js";
+import { isMonth } from "./helpers/periods.js";
+
+dayjs.extend(utc);
+
+/**
+ * The versioned parameters of the reward formula.
+ */
+export const DEFAULT_EMISSION_FILE = new URL("../config/emission.json", import.meta.url);
+
+const SUPPORTED_VERSIONS = [1];
+
+/**
+ * Percentages, ratios and multipliers use 9 decimals: `EMISSION_BASIS` is 100 %.
+ * It is the same basis as the drop ratios of the chain registry.
+ * @type {BigNumber}
+ */
+export const EMISSION_BASIS = BigNumber.from(1000000000);
+
+// A percentage with 7 decimals is a fraction with 9 decimals.
+const PERCENTAGE_DECIMALS = 7;
+
+/**
+ * The length of an average month, a twelfth of 365 days, which periods of other lengths are scaled to.
+ * @type {number}
+ */
+export const MONTH_SECONDS = (365 * 24 * 60 * 60) / 12;
+
+/**
+ * The ways the reward can be split among the chains.
+ * - `fixed`: by the `pnkDropRatio` of each chain in the chain registry.
+ * - `stake`: by the average total staked in each chain in the period, so a PNK staked earns the same in every chain,
+ *    within the minimum and maximum share of each chain.
+ */
+export const SPLIT_MODES = ["fixed", "stake"];
+
+/**
+ * @typedef {import('ethers').BigNumber} BigNumber
+ *
+ * @typedef {object} EmissionParams
+ * @prop {number} version The version of the parameters format.
+ * @prop {object} target The schedule of the target share of the supply staked.
+ * @prop {string} target.startMonth The month the schedule starts in [YYYY-MM].
+ * @prop {string} target.initialPercentage The target in the first month, as a decimal percentage.
+ * @prop {string} target.monthlyIncreasePercentage How much the target increases each month, as a decimal percentage.
+ * @prop {string} target.maxPercentage The maximum target, as a decimal percentage.
+ * @prop {object} [split] How the reward is split among the chains. Defaults to the `fixed` mode.
+ * @prop {string} split.mode One of `SPLIT_MODES`.
+ * @prop {Object<string, { minPercentage?: string, maxPercentage?: string }>} [split.limits] The minimum and maximum
+ * share of the reward of each chain in the `stake` mode, as decimal percentages, indexed by chain ID.
+ *
+ * @typedef {object} ChainEmission
+ * @prop {number} chainId The chain ID.
+ * @prop {BigNumber} pnkDropRatio The share of the reward dropped in the chain, with 9 decimals.
+ * @prop {BigNumber|null} stakeShare The share of the stake of all the chains, with 9 decimals. `stake` mode only.
+ * @prop {string|null} limit `min` or `max` if the share of the reward was brought to a limit of the chain.
+ * @prop {BigNumber} droppedAmount The amount dropped in the chain, in wei.
+ *
+ * @typedef {object} Emission
+ * @prop {string} month The month the distribution starts in [YYYY-MM].
+ * @prop {number} monthsSinceStart The number of months since the start of the target schedule.
+ * @prop {BigNumber} lastAmount The amount distributed in the previous period, in wei.
+ * @prop {BigNumber} totalStaked The average amount staked in all the chains in the previous period, in wei.
+ * @prop {BigNumber} totalSupply The total supply of PNK, in wei.
+ * @prop {BigNumber} stakePercent The share of the supply staked, with 9 decimals.
+ * @prop {BigNumber} target The target share of the supply staked, with 9 decimals.
+ * @prop {BigNumber} multiplier `1 + target - stakePercent`, with 9 decimals.
+ * @prop {number|null} periodSeconds The length of the period, if it is not a calendar month.
+ * @prop {BigNumber} periodMultiplier The multiplier scaled to the length of the period, with 9 decimals.
+ * The same as `multiplier` for calendar months.
+ * @prop {BigNumber} fullReward The amount distributed in the period, in wei.
+ * @prop {string} splitMode How the reward was split among the chains. See `SPLIT_MODES`.
+ * @prop {ChainEmission[]} chains The split of the reward among the chains.
+ */
+
+/**
+ * Reads and validates the parameters of the reward formula.
+ * @param {Object} [options] The options for the function.
+ * @param {string|URL} [options.file=DEFAULT_EMISSION_FILE] The parameters file.
+ * @returns {EmissionParams} The parameters.
+ */
+export function loadEmissionParams({ file = DEFAULT_EMISSION_FILE } = {}) {
+  const params = JSON.parse(readFileSync(file));
+
+  if (!SUPPORTED_VERSIONS.includes(params.version)) {
+    throw new Error(`Unsupported emission parameters version ${params.version} in ${file}`);
+  }
+
+  const errors = validateEmissionParams(params);
+  if (errors.length > 0) {
+    throw new Error(`Invalid emission parameters ${file}:\n${errors.map((error) => `  - ${error}`).join("\n")}`);
+  }
+
+  return params;
+}
+
+/**
+ * Checks the parameters of the reward formula have the right shape.
+ * @param {Object} params The parameters as they are in the file.
+ * @returns {string[]} The errors found.
+ */
+export function validateEmissionParams({ target, split }) {
+  if (typeof target !== "object" || target === null) {
+    return ["`target` must be an object"];
+  }
+
+  const errors = [];
+  if (typeof target.startMonth !== "string" || !isMonth(target.startMonth)) {
+    errors.push("`target.startMonth` must be a month [YYYY-MM]");
+  }
+
+  for (const field of ["initialPercentage", "monthlyIncreasePercentage", "maxPercentage"]) {
+    const percentage = parsePercentage(target[field]);
+    if (percentage === null) {
+      errors.push(`\`target.${field}\` must be a decimal string with at most ${PERCENTAGE_DECIMALS} decimals`);
+    } else if (percentage.gt(EMISSION_BASIS)) {
+      errors.push(`\`target.${field}\` must not be over 100`);
+    }
+  }
+
+  if (errors.length === 0 && parsePercentage(target.initialPercentage).gt(parsePercentage(target.maxPercentage))) {
+    errors.push("`target.initialPercentage` must not be over `target.maxPercentage`");
+  }
+
+  return split === undefined ? errors : [...errors, ...validateSplit(split)];
+}
+
+function validateSplit(split) {
+  if (typeof split !== "object" || split === null) {
+    return ["`split` must be an object"];
+  }
+
+  const { mode, limits = {} } = split;
+  const errors = [];
+  if (!SPLIT_MODES.includes(mode)) {
+    errors.push(`\`split.mode\` must be one of ${SPLIT_MODES.join(", ")}`);
+  }
+
+  if (typeof limits !== "object" || limits === null) {
+    return [...errors, "`split.limits` must be an object"];
+  }
+
+  for (const [chainId, limit] of Object.entries(limits)) {
+    const { minPercentage = "0", maxPercentage = "100" } = limit ?? {};
+    const [min, max] = [parsePercentage(minPercentage), parsePercentage(maxPercentage)];
+    if (min === null || max === null || max.gt(EMISSION_BASIS)) {
+      errors.push(`\`split.limits.${chainId}\` must have percentages between 0 and 100`);
+    } else if (min.gt(max)) {
+      errors.push(`\`split.limits.${chainId}\` must not have a minimum over its maximum`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Overrides the way the reward is split among the chains, keeping the limits of the chains.
+ * @param {EmissionParams} params The parameters.
+ * @param {string} [mode] One of `SPLIT_MODES`. If not given, the parameters are returned as they are.
+ * @returns {EmissionParams} The parameters.
+ */
+export function withSplitMode(params, mode) {
+  return mode ? { ...params, split: { ...params.split, mode } } : params;
+}
+
+function parsePercentage(percentage) {
+  if (typeof percentage !== "string" || !/^\d+(\.\d+)?$/.test(percentage)) {
+    return null;
+  }
+
+  try {
+    return parseUnits(percentage, PERCENTAGE_DECIMALS);
+  } catch {
+    // More decimals than the basis allows.
+    return null;
+  }
+}
+
+/**
+ * Gets the number of months between the start of the target schedule and the month a distribution starts in.
+ * @param {EmissionParams} params The parameters.
+ * @param {Date|string} date A date within the month the distribution starts in.
+ * @returns {number} The number of months.
+ */
+export function getMonthsSinceStart({ target }, date) {
+  const start = dayjs.utc(`${target.startMonth}-01`);
+  const monthDiff = dayjs.utc(date).startOf("month").diff(start, "month");
+  if (monthDiff < 0) {
+    throw new Error(`The target schedule starts in ${target.startMonth}`);
+  }
+
+  return monthDiff;
+}
+
+/**
+ * Gets the target share of the supply staked in a month: the initial target, increased each month, up to the maximum.
+ * @param {EmissionParams} params The parameters.
+ * @param {Date|string} date A date within the month the distribution starts in.
+ * @returns {BigNumber} The target, with 9 decimals.
+ */
+export function getTarget(params, date) {
+  const { initialPercentage, monthlyIncreasePercentage, maxPercentage } = params.target;
+  const target = parsePercentage(initialPercentage).add(
+    parsePercentage(monthlyIncreasePercentage).mul(getMonthsSinceStart(params, date))
+  );
+  const max = parsePercentage(maxPercentage);
+
+  return target.gt(max) ? max : target;
+}
+
+const sumAll = (amounts) => amounts.reduce((acc, amount) => acc.add(amount), BigNumber.from(0));
+
+/**
+ * Splits the reward among the chains.
+ *
+ * In the `stake` mode each chain gets its share of the stake. Chains whose share is below their minimum or over their
+ * maximum are brought to it, and the rest is split again among the others by their stake, until every chain is
+ * within its limits. The ratios lost by rounding down go to the largest chain within its limits.
+ * @param {Object} [split] The `split` of the parameters. Defaults to the `fixed` mode.
+ * @param {{ chainId: number, pnkDropRatio: BigNumber, averageTotalStaked?: BigNumber }[]} chains The active chains,
+ * with the average total staked in the period in the `stake` mode.
+ * @returns {{ chainId: number, pnkDropRatio: BigNumber, stakeShare: BigNumber|null, limit: string|null }[]}
+ * The share of the reward of each chain, with 9 decimals.
+ */
+export function getChainSplit({ mode = "fixed", limits = {} } = {}, chains) {
+  if (mode === "fixed") {
+    return chains.map(({ chainId, pnkDropRatio }) => ({
+      chainId,
+      pnkDropRatio: BigNumber.from(pnkDropRatio),
+      stakeShare: null,
+      limit: null,
+    }));
+  }
+
+  if (chains.some(({ averageTotalStaked }) => averageTotalStaked === undefined)) {
+    throw new Error("Splitting the reward by stake needs the average total staked in each chain");
+  }
+
+  const stakes = chains.map(({ averageTotalStaked }) => BigNumber.from(averageTotalStaked));
+  const totalStake = sumAll(stakes);
+  const bounds = chains.map(({ chainId }) => ({
+    min: parsePercentage(limits[chainId]?.minPercentage ?? "0"),
+    max: parsePercentage(limits[chainId]?.maxPercentage ?? "100"),
+  }));
+  if (
+    sumAll(bounds.map(({ min }) => min)).gt(EMISSION_BASIS) ||
+    sumAll(bounds.map(({ max }) => max)).lt(EMISSION_BASIS)
+  ) {
+    throw new Error("The limits of the split must allow the shares of the active chains to add up to 100 %");
+  }
+
+  const ratios = chains.map(() => null);
+  const reached = chains.map(() => null);
+  for (;;) {
+    const free = chains.map((_, i) => i).filter((i) => ratios[i] === null);
+    if (free.length === 0) {
+      break;
+    }
+
+    const remaining = EMISSION_BASIS.sub(sumAll(ratios.filter((ratio) => ratio !== null)));
+    const freeStake = sumAll(free.map((i) => stakes[i]));
+    const proposals = Object.fromEntries(
+      free.map((i) => [i, freeStake.isZero() ? remaining.div(free.length) : stakes[i].mul(remaining).div(freeStake)])
+    );
+
+    const over = free.filter((i) => proposals[i].gt(bounds[i].max));
+    const under = free.filter((i) => proposals[i].lt(bounds[i].min));
+    if (over.length === 0 && under.length === 0) {
+      free.forEach((i) => (ratios[i] = proposals[i]));
+      break;
+    }
+
+    // Bringing the largest violations to their limit first means no chain is ever brought back.
+    const excess = sumAll(over.map((i) => proposals[i].sub(bounds[i].max)));
+    const deficit = sumAll(under.map((i) => bounds[i].min.sub(proposals[i])));
+    const [limited, limit] = excess.gte(deficit) ? [over, "max"] : [under, "min"];
+    for (const i of limited) {
+      ratios[i] = bounds[i][limit];
+      reached[i] = limit;
+    }
+  }
+
+  const dust = EMISSION_BASIS.sub(sumAll(ratios));
+  const candidates = chains.map((_, i) => i).filter((i) => reached[i] === null);
+  const receiver = (candidates.length > 0 ? candidates : chains.map((_, i) => i)).reduce((a, b) =>
+    stakes[b].gt(stakes[a]) ? b : a
+  );
+  ratios[receiver] = ratios[receiver].add(dust);
+
+  return chains.map(({ chainId }, i) => ({
+    chainId,
+    pnkDropRatio: ratios[i],
+    stakeShare: totalStake.isZero() ? BigNumber.from(0) : stakes[i].mul(EMISSION_BASIS).div(totalStake),
+    limit: reached[i],
+  }));
+}
+
+/**
+ * Computes the amount distributed in a period and its split among the chains.
+ *
+ * The reward is the amount distributed in the previous period times `1 + target - stakePercent`,
+ * so it grows while less than the target share of the supply is staked and shrinks otherwise.
+ * The multiplier is for a month: for periods of another length, `multiplier - 1` is scaled by their share of
+ * `MONTH_SECONDS`, so a weekly series grows or shrinks about as fast as the monthly one.
+ * @param {EmissionParams} params The parameters.
+ * @param {Object} inputs The inputs of the formula.
+ * @param {Date|string} inputs.date A date within the month the distribution starts in.
+ * @param {BigNumber} inputs.lastAmount The amount distributed in the previous period, in wei.
+ * @param {BigNumber} inputs.totalStaked The average amount staked in all the chains in the previous period, in wei.
+ * @param {BigNumber} inputs.totalSupply The total supply of PNK, in wei.
+ * @param {{ chainId: number, pnkDropRatio: BigNumber, averageTotalStaked?: BigNumber }[]} inputs.chains
+ * The active chains, with the average total staked in the period when the reward is split by stake.
+ * @param {number} [inputs.periodSeconds] The length of the period, for periods other than a calendar month.
+ * @returns {Emission} The breakdown of the computation.
+ */
+export function computeEmission(params, { date, lastAmount, totalStaked, totalSupply, chains, periodSeconds }) {
+  const target = getTarget(params, date);
+  const stakePercent = BigNumber.from(totalStaked).mul(EMISSION_BASIS).div(totalSupply);
+  const multiplier = EMISSION_BASIS.add(target).sub(stakePercent);
+  const periodMultiplier =
+    periodSeconds === undefined
+      ? multiplier
+      : EMISSION_BASIS.add(multiplier.sub(EMISSION_BASIS).mul(periodSeconds).div(MONTH_SECONDS));
+  const fullReward = BigNumber.from(lastAmount).mul(periodMultiplier).div(EMISSION_BASIS);
+
+  return {
+    month: dayjs.utc(date).format("YYYY-MM"),
+    monthsSinceStart: getMonthsSinceStart(params, date),
+    lastAmount: BigNumber.from(lastAmount),
+    totalStaked: BigNumber.from(totalStaked),
+    totalSupply: BigNumber.from(totalSupply),
+    stakePercent,
+    target,
+    multiplier,
+    periodSeconds: periodSeconds ?? null,
+    periodMultiplier,
+    fullReward,
+    splitMode: params.split?.mode ?? "fixed",
+    chains: getChainSplit(params.split, chains).map((split) => ({
+      ...split,
+      droppedAmount: fullReward.mul(split.pnkDropRatio).div(EMISSION_BASIS),
+    })),
+  };
+}
@@ -0,0 +1,265 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { describe, it } from "node:test";
+import { BigNumber } from "ethers";
+import { parseEther } from "ethers/lib/utils.js";
+import {
+  computeEmission,
+  getChainSplit,
+  getMonthsSinceStart,
+  getTarget,
+  loadEmissionParams,
+  validateEmissionParams,
+} from "./emission.js";
+
+const params = loadEmissionParams();
+
+const inputs = {
+  date: new Date("2025-09-01T00:00:00Z"),
+  lastAmount: parseEther("1000000"),
+  totalStaked: parseEther("400000000"),
+  totalSupply: parseEther("1000000000"),
+  chains: [
+    { chainId: 1, pnkDropRatio: BigNumber.from(900000000) },
+    { chainId: 100, pnkDropRatio: BigNumber.from(100000000) },
+  ],
+};
+
+describe("getTarget", () => {
+  it("starts at 33 % in September 2025", () => {
+    assert.equal(getTarget(params, "2025-09-01").toString(), "330000000");
+    assert.equal(getTarget(params, "2025-09-30T23:59:59Z").toString(), "330000000");
+  });
+
+  it("increases by 0.2 % each month", () => {
+    assert.equal(getTarget(params, "2025-10-01").toString(), "332000000");
+    assert.equal(getTarget(params, "2026-09-01").toString(), "354000000");
+  });
+
+  it("matches the schedule the formula used before it was parameterized", () => {
+    for (let months = 0; months <= 100; months++) {
+      const date = new Date(Date.UTC(2025, 8 + months, 1));
+      const legacy = Math.floor(Math.min(33 + 0.2 * months, 50) * 1e7);
+      assert.equal(getTarget(params, date).toNumber(), legacy, `${months} months after September 2025`);
+    }
+  });
+
+  it("stops at 50 %", () => {
+    assert.equal(getTarget(params, "2032-10-01").toString(), "500000000");
+    assert.equal(getTarget(params, "2040-01-01").toString(), "500000000");
+  });
+
+  it("follows the parameters", () => {
+    const custom = {
+      version: 1,
+      target: { startMonth: "2026-01", initialPercentage: "40", monthlyIncreasePercentage: "1.5", maxPercentage: "42" },
+    };
+    assert.equal(getTarget(custom, "2026-02-15").toString(), "415000000");
+    assert.equal(getTarget(custom, "2026-03-01").toString(), "420000000");
+  });
+
+  it("fails before the start of the schedule", () => {
+    assert.throws(() => getMonthsSinceStart(params, "2025-08-31T23:59:59Z"), /starts in 2025-09/);
+  });
+});
+
+describe("computeEmission", () => {
+  it("gives the full breakdown", () => {
+    const emission = computeEmission(params, inputs);
+
+    assert.equal(emission.month, "2025-09");
+    assert.equal(emission.monthsSinceStart, 0);
+    assert.equal(emission.stakePercent.toString(), "400000000");
+    assert.equal(emission.target.toString(), "330000000");
+    assert.equal(emission.multiplier.toString(), "930000000");
+    assert.equal(emission.fullReward.toString(), parseEther("930000").toString());
+    assert.deepEqual(
+      emission.chains.map(({ chainId, droppedAmount }) => [chainId, droppedAmount.toString()]),
+      [
+        [1, parseEther("837000").toString()],
+        [100, parseEther("93000").toString()],
+      ]
+    );
+  });
+
+  it("increases the reward while the stake is below the target", () => {
+    const emission = computeEmission(params, { ...inputs, totalStaked: parseEther("300000000") });
+
+    assert.equal(emission.multiplier.toString(), "1030000000");
+    assert.equal(emission.fullReward.toString(), parseEther("1030000").toString());
+  });
+
+  it("scales the multiplier to the length of the period", () => {
+    const week = 7 * 24 * 60 * 60;
+    const emission = computeEmission(params, { ...inputs, periodSeconds: week });
+
+    assert.equal(emission.multiplier.toString(), "930000000");
+    assert.equal(emission.periodSeconds, week);
+    // 1 - 7 % × 604800 / 2628000, rounded towards 100 %.
+    assert.equal(emission.periodMultiplier.toString(), "983890411");
+    assert.equal(emission.fullReward.toString(), parseEther("983890.411").toString());
+  });
+
+  it("does not scale calendar months", () => {
+    const emission = computeEmission(params, inputs);
+
+    assert.equal(emission.periodSeconds, null);
+    assert.ok(emission.periodMultiplier.eq(emission.multiplier));
+  });
+
+  it("rounds down", () => {
+    const emission = computeEmission(params, {
+      ...inputs,
+      lastAmount: BigNumber.from(7),
+      chains: [
+        { chainId: 1, pnkDropRatio: BigNumber.from(500000000) },
+        { chainId: 100, pnkDropRatio: BigNumber.from(500000000) },
+      ],
+    });
+
+    assert.equal(emission.fullReward.toString(), "6");
+    assert.deepEqual(
+      emission.chains.map(({ droppedAmount }) => droppedAmount.toString()),
+      ["3", "3"]
+    );
+  });
+});
+
+describe("getChainSplit", () => {
+  const chains = [
+    { chainId: 1, pnkDropRatio: BigNumber.from(900000000), averageTotalStaked: parseEther("880") },
+    { chainId: 100, pnkDropRatio: BigNumber.from(100000000), averageTotalStaked: parseEther("120") },
+  ];
+  const ratios = (split) => split.map(({ chainId, pnkDropRatio, limit }) => [chainId, pnkDropRatio.toString(), limit]);
+
+  it("uses the drop ratios of the registry in the fixed mode", () => {
+    assert.deepEqual(ratios(getChainSplit({ mode: "fixed" }, chains)), [
+      [1, "900000000", null],
+      [100, "100000000", null],
+    ]);
+    assert.deepEqual(ratios(getChainSplit(undefined, chains)), ratios(getChainSplit({ mode: "fixed" }, chains)));
+  });
+
+  it("follows the stake in the stake mode, so a PNK staked earns the same in every chain", () => {
+    const split = getChainSplit({ mode: "stake" }, chains);
+
+    assert.deepEqual(ratios(split), [
+      [1, "880000000", null],
+      [100, "120000000", null],
+    ]);
+    assert.deepEqual(
+      split.map(({ stakeShare }) => stakeShare.toString()),
+      ["880000000", "120000000"]
+    );
+  });
+
+  it("raises a chain to its minimum", () => {
+    const split = getChainSplit({ mode: "stake", limits: { 100: { minPercentage: "15" } } }, chains);
+
+    assert.deepEqual(ratios(split), [
+      [1, "850000000", null],
+      [100, "150000000", "min"],
+    ]);
+  });
+
+  it("caps a chain at its maximum and splits the rest by stake", () => {
+    const three = [...chains, { chainId: 42, pnkDropRatio: BigNumber.from(0), averageTotalStaked: parseEther("120") }];
+    const split = getChainSplit({ mode: "stake", limits: { 1: { maxPercentage: "70" } } }, three);
+
+    assert.deepEqual(ratios(split), [
+      [1, "700000000", "max"],
+      [100, "150000000", null],
+      [42, "150000000", null],
+    ]);
+  });
+
+  it("hands out the ratios lost by rounding down so they add up to 100 %", () => {
+    const equal = [1, 100, 42].map((chainId) => ({ chainId, pnkDropRatio: 0, averageTotalStaked: parseEther("1") }));
+    const split = getChainSplit({ mode: "stake" }, equal);
+
+    assert.deepEqual(
+      split.map(({ pnkDropRatio }) => pnkDropRatio.toString()),
+      ["333333334", "333333333", "333333333"]
+    );
+  });
+
+  it("fails without the stake of each chain or with limits that cannot add up to 100 %", () => {
+    assert.throws(() => getChainSplit({ mode: "stake" }, [{ chainId: 1, pnkDropRatio: 1 }]), /average total staked/);
+    assert.throws(
+      () =>
+        getChainSplit({ mode: "stake", limits: { 1: { maxPercentage: "50" }, 100: { maxPercentage: "40" } } }, chains),
+      /add up to 100/
+    );
+  });
+
+  it("is used by computeEmission", () => {
+    const emission = computeEmission(
+      { ...params, split: { mode: "stake" } },
+      {
+        ...inputs,
+        chains: inputs.chains.map((chain, i) => ({ ...chain, averageTotalStaked: chains[i].averageTotalStaked })),
+      }
+    );
+
+    assert.equal(emission.splitMode, "stake");
+    assert.deepEqual(
+      emission.chains.map(({ droppedAmount }) => droppedAmount.toString()),
+      [parseEther("818400").toString(), parseEther("111600").toString()]
+    );
+  });
+});
+
+describe("validateEmissionParams", () => {
+  const target = params.target;
+
+  it("accepts the default parameters", () => {
+    assert.deepEqual(validateEmissionParams(params), []);
+  });
+
+  it("rejects malformed fields", () => {
+    assert.deepEqual(validateEmissionParams({ version: 1 }), ["`target` must be an object"]);
+    assert.equal(validateEmissionParams({ target: { ...target, startMonth: "2025-9" } }).length, 1);
+    assert.equal(validateEmissionParams({ target: { ...target, startMonth: "2025-13" } }).length, 1);
+    assert.equal(validateEmissionParams({ target: { ...target, initialPercentage: 33 } }).length, 1);
+    assert.equal(validateEmissionParams({ target: { ...target, maxPercentage: "-1" } }).length, 1);
+    assert.equal(validateEmissionParams({ target: { ...target, monthlyIncreasePercentage: "0.00000001" } }).length, 1);
+    assert.equal(validateEmissionParams({ target: { ...target, maxPercentage: "100.5" } }).length, 1);
+  });
+
+  it("rejects malformed splits", () => {
+    assert.equal(validateEmissionParams({ target, split: { mode: "equal" } }).length, 1);
+    assert.equal(
+      validateEmissionParams({ target, split: { mode: "stake", limits: { 1: { maxPercentage: "101" } } } }).length,
+      1
+    );
+    assert.deepEqual(
+      validateEmissionParams({
+        target,
+        split: { mode: "stake", limits: { 1: { minPercentage: "60", maxPercentage: "50" } } },
+      }),
+      ["`split.limits.1` must not have a minimum over its maximum"]
+    );
+  });
+
+  it("rejects an initial target over the maximum", () => {
+    assert.deepEqual(validateEmissionParams({ target: { ...target, initialPercentage: "51" } }), [
+      "`target.initialPercentage` must not be over `target.maxPercentage`",
+    ]);
+  });
+});
+
+describe("loadEmissionParams", () => {
+  it("rejects unsupported versions", () => {
+    const dir = mkdtempSync(join(tmpdir(), "pnk-drop-emission-"));
+    const file = join(dir, "emission.json");
+    writeFileSync(file, JSON.stringify({ ...params, version: 2 }));
+
+    try {
+      assert.throws(() => loadEmissionParams({ file }), /Unsupported emission parameters version 2/);
+    } finally {
+      rmSync(dir, { recursive: true });
+    }
+  });
+});
@@ -14,4 +14,17 @@ export const fileToIpfs = async (filePath) => {
     const fileName = path.basename(filePath);
     const cid = await filebase.storeDirectory([new File([content], `${fileName}`, { type: mimeType })]);
     return cid;
-  };
\ No newline at end of file
+  };
+
+// Stores the files of a directory under a single CID, keeping their relative paths.
+export const directoryToIpfs = async (dirPath, filePaths) => {
+  const mimeType = "application/json";
+  const files = await Promise.all(
+    filePaths.map(async (filePath) => {
+      const content = await fs.promises.readFile(path.join(dirPath, filePath));
+      return new File([content], filePath, { type: mimeType });
+    })
+  );
+  const cid = await filebase.storeDirectory(files);
+  return cid;
+};
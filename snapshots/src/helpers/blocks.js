@@ -1,16 +1,11 @@
 import dayjs from "dayjs";
 import utc from "dayjs/plugin/utc.js";
-import leveldown from "leveldown";
-import levelup from "levelup";
-import { dirname, join, resolve } from "path";
 import { pick } from "ramda";
-import { fileURLToPath } from "url";
 import { debuglog } from "util";
+import { getPersistentCache, isNotFoundError } from "./cache.js";
 
 const debug = debuglog("blocks");
 
-const persistentCache = levelup(leveldown(resolve(join(dirname(fileURLToPath(import.meta.url)), "../../.cache/"))));
-
 const PROPS_WHITELIST = ["timestamp"];
 
 const hotCache = {};
@@ -167,9 +162,9 @@ export function createGetBlockWithTimestamp(provider) {
 
       let persistedData;
       try {
-        persistedData = await persistentCache.get(`${chainId}/${blockHeight}`);
+        persistedData = await getPersistentCache().get(`${chainId}/${blockHeight}`);
       } catch (err) {
-        if (err.type !== "NotFoundError") {
+        if (!isNotFoundError(err)) {
           throw err;
         }
         debug(`Persistent cache miss for block ${blockHeight}. Fetching from the blockchain...`);
@@ -182,7 +177,7 @@ export function createGetBlockWithTimestamp(provider) {
 
         request.then((data) => {
           debug(`Successfully fetched data for block ${blockHeight} from the blockchain.`);
-          return persistentCache.put(`${chainId}/${blockHeight}`, JSON.stringify(data));
+          return getPersistentCache().put(`${chainId}/${blockHeight}`, JSON.stringify(data));
         });
 
         hotCache[chainId][blockHeight] = request;
@@ -0,0 +1,88 @@
+import leveldown from "leveldown";
+import levelup from "levelup";
+import { dirname, join, resolve } from "path";
+import { fileURLToPath } from "url";
+
+/**
+ * The default directory of the local cache, shared by everything that persists data between runs.
+ * It can be changed with the `PNK_DROP_CACHE_DIR` environment variable or `setCacheDir`.
+ * @type {string}
+ */
+export const DEFAULT_CACHE_DIR = resolve(join(dirname(fileURLToPath(import.meta.url)), "../../.cache/"));
+
+let cacheDir = process.env.PNK_DROP_CACHE_DIR ? resolve(process.env.PNK_DROP_CACHE_DIR) : DEFAULT_CACHE_DIR;
+
+let persistentCache = null;
+
+/**
+ * Gets the directory of the local cache.
+ * @returns {string} The directory.
+ */
+export function getCacheDir() {
+  return cacheDir;
+}
+
+/**
+ * Changes the directory of the local cache. Must be called before anything is cached.
+ * @param {string} dir The directory.
+ */
+export function setCacheDir(dir) {
+  if (persistentCache) {
+    throw new Error("The cache directory can not be changed once the cache is open");
+  }
+
+  cacheDir = resolve(dir);
+}
+
+/**
+ * Gets the leveldb database in the cache directory, opening it on first use.
+ * It can only be opened once per process, so it must always be obtained from here.
+ * Keys are namespaced by their first segment: `{chainId}/{blockHeight}` for blocks, `stake-events/...` for stake events.
+ * @returns {import('levelup').LevelUp} The database.
+ */
+export function getPersistentCache() {
+  persistentCache = persistentCache ?? levelup(leveldown(cacheDir));
+  return persistentCache;
+}
+
+/**
+ * Closes the leveldb database in the cache directory, if it was opened.
+ * @returns {Promise<void>}
+ */
+export async function closePersistentCache() {
+  if (persistentCache) {
+    await persistentCache.close();
+    persistentCache = null;
+  }
+}
+
+/**
+ * Tells whether an error from `getPersistentCache().get` means the key does not exist.
+ * @param {Error} err The error.
+ * @returns {boolean} Whether the key does not exist.
+ */
+export function isNotFoundError(err) {
+  return err.type === "NotFoundError";
+}
+
+/**
+ * Gets the range of the keys starting with a prefix, for `createReadStream` and the like.
+ * @param {string} prefix The prefix.
+ * @returns {{ gte: string, lt: string }} The range.
+ */
+export function getPrefixRange(prefix) {
+  return { gte: prefix, lt: `${prefix}\uffff` };
+}
+
+/**
+ * Reads a stream from the database until its end.
+ * @param {AsyncIterable} stream The stream.
+ * @returns {Promise<Array>} Everything read.
+ */
+export async function readAll(stream) {
+  const items = [];
+  for await (const item of stream) {
+    items.push(item);
+  }
+  return items;
+}
@@ -0,0 +1,475 @@
+import { readFileSync } from "fs";
+import { BigNumber, Contract, getDefaultProvider, utils } from "ethers";
+import { filter, map, pluck, prop, uniq } from "ramda";
+import { createFixtureProvider, fetchWithFixtures as fetch, getFixtureMode } from "./fixtures.js";
+import { FREQUENCIES, isDate } from "./periods.js";
+import { KLEROS_VERSIONS } from "./stake-sources.js";
+
+/**
+ * The registry of the chains taking part in the drop.
+ */
+export const DEFAULT_CHAINS_FILE = new URL("../../config/chains.json", import.meta.url);
+
+const SUPPORTED_VERSIONS = [1];
+
+// Drop ratios use 9 decimals, so the ratios of the active chains must add up to this.
+const DROP_RATIO_BASIS = BigNumber.from(1000000000);
+
+/**
+ * @typedef {import('ethers').providers.Provider} Provider
+ *
+ * @typedef {object} Chain
+ * @prop {number} chainId The chain ID.
+ * @prop {string} name A human-readable name.
+ * @prop {boolean} active Whether the chain takes part in the monthly distribution.
+ * @prop {number} klerosVersion The version of Kleros deployed in the chain, either `1` or `2`. Defaults to `1`.
+ * @prop {string} rpcUrl The JSON-RPC URL, with `${VAR}` placeholders already replaced from the environment,
+ * unless replaying fixtures.
+ * @prop {string} [subgraphEndpoint] The endpoint of the subgraph indexing the `StakeSet` events. Kleros v1 only.
+ * @prop {string} [klerosLiquidAddress] The address of the KlerosLiquid contract. Kleros v1 only.
+ * @prop {string} [klerosCoreAddress] The address of the KlerosCore contract. Kleros v2 only.
+ * @prop {string} [sortitionModuleAddress] The address of the SortitionModule contract, which emits `StakeSet`. Kleros v2 only.
+ * @prop {string} token The address of the PNK token.
+ * @prop {string} merkleRedeemAddress The address of the MerkleRedeem contract.
+ * @prop {BigNumber} pnkDropRatio The share of the reward dropped in the chain, with 9 decimals.
+ * @prop {string} filePrefix The prefix of the snapshot file names.
+ * @prop {number} fromBlock The block to start querying events from.
+ * @prop {number} blocksPerSecond The average number of blocks per second.
+ * @prop {number} basePeriod The period number used in `seedAllocations` for September 2025.
+ * @prop {number} [maxPeriod] The last period number of the monthly distribution before the numbers of a series
+ * seeded in the same MerkleRedeem contract. Only set for active chains.
+ * @prop {string} [prerequisite] What must be done before seeding the allocations.
+ * @prop {string[]} [steps] The manual steps to fund the MerkleRedeem contract. `{amount}` is replaced by the dropped amount.
+ * @prop {Provider} [provider] The provider for the chain. Only set for active chains.
+ *
+ * @typedef {object} SeriesChain
+ * @prop {number} basePeriod The period number used in `seedAllocations` for the first period of the series.
+ * @prop {BigNumber} pnkDropRatio The share of the reward of the series dropped in the chain, with 9 decimals.
+ * @prop {string} merkleRedeemAddress The MerkleRedeem contract. Defaults to the one of the chain.
+ * @prop {number} maxPeriod The last period number before the numbers of the next series seeded in the same
+ * MerkleRedeem contract.
+ *
+ * @typedef {object} Series
+ * @prop {string} frequency How often the periods start. See `FREQUENCIES`.
+ * @prop {number} [days] The length of the periods in days, for the `days` frequency.
+ * @prop {string} startDate The start of the first period [YYYY-MM-DD]. The first day of a month for monthly series.
+ * @prop {Object<string, SeriesChain>} chains The chains taking part in the series, indexed by chain ID.
+ * They must be active.
+ *
+ * @typedef {object} ChainRegistry
+ * @prop {number} version The version of the registry format.
+ * @prop {number} supplyChainId The chain whose PNK total supply is used by the reward formula.
+ * @prop {Chain[]} chains All the chains in the registry.
+ * @prop {Object<string, Series>} series The distributions that run besides the monthly one, indexed by name.
+ */
+
+const REQUIRED_FIELDS = {
+  chainId: "number",
+  name: "string",
+  active: "boolean",
+  token: "address",
+  filePrefix: "string",
+};
+
+const REQUIRED_ACTIVE_FIELDS = {
+  rpcUrl: "string",
+  merkleRedeemAddress: "address",
+  pnkDropRatio: "integer",
+  fromBlock: "number",
+  blocksPerSecond: "number",
+  basePeriod: "number",
+};
+
+const REQUIRED_VERSION_FIELDS = {
+  1: {
+    subgraphEndpoint: "string",
+    klerosLiquidAddress: "address",
+  },
+  2: {
+    klerosCoreAddress: "address",
+    sortitionModuleAddress: "address",
+  },
+};
+
+const REQUIRED_SERIES_CHAIN_FIELDS = {
+  basePeriod: "number",
+  pnkDropRatio: "integer",
+};
+
+// Series names are part of the snapshot file names, after the prefix of the chain.
+const SERIES_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+// The contracts that must be deployed for each version of Kleros, besides the token and MerkleRedeem.
+const KLEROS_CONTRACTS = {
+  1: ["klerosLiquidAddress"],
+  2: ["klerosCoreAddress", "sortitionModuleAddress"],
+};
+
+/**
+ * Reads and validates the chain registry.
+ * @param {Object} [options] The options for the function.
+ * @param {string|URL} [options.file=DEFAULT_CHAINS_FILE] The registry file.
+ * @param {Object<string, string>} [options.env=process.env] The environment used to replace the `${VAR}` placeholders.
+ * @returns {ChainRegistry} The registry.
+ */
+export function loadChainRegistry({ file = DEFAULT_CHAINS_FILE, env = process.env } = {}) {
+  const registry = JSON.parse(readFileSync(file));
+
+  if (!SUPPORTED_VERSIONS.includes(registry.version)) {
+    throw new Error(`Unsupported chain registry version ${registry.version} in ${file}`);
+  }
+
+  const errors = validateChainRegistry(registry);
+  if (errors.length > 0) {
+    throw new Error(`Invalid chain registry ${file}:\n${errors.map((error) => `  - ${error}`).join("\n")}`);
+  }
+
+  const maxPeriods = getMaxPeriods(registry);
+  const chains = map((chain) => {
+    if (!chain.active) {
+      return chain;
+    }
+
+    // Nothing goes to the network when replaying fixtures, so the environment variables are not needed.
+    const rpcUrl = getFixtureMode() === "replay" ? chain.rpcUrl : interpolate(chain.rpcUrl, env, chain);
+    return {
+      ...chain,
+      rpcUrl,
+      klerosVersion: chain.klerosVersion ?? 1,
+      pnkDropRatio: BigNumber.from(chain.pnkDropRatio),
+      steps: chain.steps ?? [],
+      maxPeriod: maxPeriods[`${chain.chainId}:monthly`],
+      provider: createFixtureProvider({
+        chainId: chain.chainId,
+        name: chain.name,
+        createProvider: () => getDefaultProvider(rpcUrl),
+      }),
+    };
+  }, registry.chains);
+
+  const series = Object.fromEntries(
+    Object.entries(registry.series ?? {}).map(([name, definition]) => [
+      name,
+      {
+        ...definition,
+        chains: Object.fromEntries(
+          Object.entries(definition.chains).map(([chainId, seriesChain]) => [
+            chainId,
+            {
+              ...seriesChain,
+              pnkDropRatio: BigNumber.from(seriesChain.pnkDropRatio),
+              merkleRedeemAddress: getSeriesMerkleRedeem(registry.chains, chainId, seriesChain),
+              maxPeriod: maxPeriods[`${chainId}:${name}`],
+            },
+          ])
+        ),
+      },
+    ])
+  );
+
+  return { ...registry, chains, series };
+}
+
+/**
+ * Gets the chains taking part in a series, with the base period, the drop ratio and the MerkleRedeem contract
+ * of the series.
+ * @param {ChainRegistry} registry The registry, as loaded by `loadChainRegistry`.
+ * @param {string} name The name of the series.
+ * @returns {Chain[]} The chains, in the order of the registry.
+ */
+export function getSeriesChains({ chains, series }, name) {
+  const definition = series[name];
+  if (!definition) {
+    const names = Object.keys(series);
+    throw new Error(`Unknown series ${name}. The chain registry has ${names.length > 0 ? names.join(", ") : "none"}`);
+  }
+
+  return chains
+    .filter(({ chainId }) => definition.chains[chainId])
+    .map((chain) => ({ ...chain, ...definition.chains[chain.chainId] }));
+}
+
+/**
+ * Gets the chains taking part in the distribution.
+ * @param {Object} [options] The same options as `loadChainRegistry`.
+ * @returns {Chain[]} The active chains.
+ */
+export function getActiveChains(options) {
+  return filter(prop("active"), loadChainRegistry(options).chains);
+}
+
+/**
+ * Checks the chain registry has the right shape. Does not touch the network.
+ * @param {Object} registry The registry as it is in the file.
+ * @returns {string[]} The errors found.
+ */
+export function validateChainRegistry({ supplyChainId, chains, series = {} }) {
+  const errors = [];
+
+  if (!Array.isArray(chains)) {
+    return ["`chains` must be an array"];
+  }
+
+  for (const chain of chains) {
+    const label = `Chain ${chain.chainId ?? "?"}`;
+    const klerosVersion = chain.klerosVersion ?? 1;
+    if (!KLEROS_VERSIONS.includes(klerosVersion)) {
+      errors.push(`${label}: unsupported \`klerosVersion\` ${JSON.stringify(klerosVersion)}`);
+      continue;
+    }
+
+    const fields = chain.active
+      ? { ...REQUIRED_FIELDS, ...REQUIRED_ACTIVE_FIELDS, ...REQUIRED_VERSION_FIELDS[klerosVersion] }
+      : REQUIRED_FIELDS;
+
+    for (const [field, type] of Object.entries(fields)) {
+      const error = checkType(chain[field], type);
+      if (error) {
+        errors.push(`${label}: \`${field}\` ${error}`);
+      }
+    }
+  }
+
+  const chainIds = pluck("chainId", chains);
+  if (uniq(chainIds).length !== chainIds.length) {
+    errors.push("Chain IDs must be unique");
+  }
+
+  const filePrefixes = pluck("filePrefix", chains);
+  if (uniq(filePrefixes).length !== filePrefixes.length) {
+    errors.push("File prefixes must be unique, otherwise snapshots would overwrite each other");
+  }
+
+  const activeChains = filter(prop("active"), chains);
+  if (!activeChains.some(({ chainId }) => chainId === supplyChainId)) {
+    errors.push("`supplyChainId` must be the ID of an active chain");
+  }
+
+  if (activeChains.length === 0) {
+    errors.push("At least one chain must be active");
+  } else if (errors.length === 0) {
+    const totalRatio = activeChains.reduce((acc, { pnkDropRatio }) => acc.add(pnkDropRatio), BigNumber.from(0));
+    if (!totalRatio.eq(DROP_RATIO_BASIS)) {
+      errors.push(`The drop ratios of the active chains add up to ${totalRatio} instead of ${DROP_RATIO_BASIS}`);
+    }
+  }
+
+  if (errors.length === 0) {
+    errors.push(...validateSeries(series, chains));
+  }
+
+  return errors;
+}
+
+function validateSeries(series, chains) {
+  if (!series || typeof series !== "object" || Array.isArray(series)) {
+    return ["`series` must be an object"];
+  }
+
+  const errors = [];
+  for (const [name, { frequency, days, startDate, chains: seriesChains }] of Object.entries(series)) {
+    const label = `Series ${name}`;
+    if (!SERIES_NAME_PATTERN.test(name) || name === "monthly") {
+      // `monthly` is how the period numbers of the monthly distribution are told apart from those of the series.
+      errors.push(
+        `${label}: the name must be lowercase letters, digits and dashes, starting with a letter, other than monthly`
+      );
+    }
+    if (!FREQUENCIES.includes(frequency)) {
+      errors.push(`${label}: \`frequency\` must be one of ${FREQUENCIES.join(", ")}, got ${JSON.stringify(frequency)}`);
+    }
+    if (frequency === "days" ? !(Number.isInteger(days) && days > 0) : days !== undefined) {
+      errors.push(`${label}: \`days\` must be a positive integer with the days frequency, and only with it`);
+    }
+    if (typeof startDate !== "string" || !isDate(startDate)) {
+      errors.push(`${label}: \`startDate\` must be a date [YYYY-MM-DD], got ${JSON.stringify(startDate)}`);
+    } else if (frequency === "month" && !startDate.endsWith("-01")) {
+      errors.push(`${label}: \`startDate\` must be the first day of a month with the month frequency`);
+    }
+
+    if (!seriesChains || typeof seriesChains !== "object" || Object.keys(seriesChains).length === 0) {
+      errors.push(`${label}: \`chains\` must have at least one chain`);
+      continue;
+    }
+
+    const chainErrors = [];
+    for (const [chainId, seriesChain] of Object.entries(seriesChains)) {
+      if (!chains.some((chain) => String(chain.chainId) === chainId && chain.active)) {
+        chainErrors.push(`${label}: chain ${chainId} must be an active chain of the registry`);
+        continue;
+      }
+      for (const [field, type] of Object.entries(REQUIRED_SERIES_CHAIN_FIELDS)) {
+        const error = checkType(seriesChain[field], type);
+        if (error) {
+          chainErrors.push(`${label}: chain ${chainId}: \`${field}\` ${error}`);
+        }
+      }
+      if (seriesChain.merkleRedeemAddress !== undefined) {
+        const error = checkType(seriesChain.merkleRedeemAddress, "address");
+        if (error) {
+          chainErrors.push(`${label}: chain ${chainId}: \`merkleRedeemAddress\` ${error}`);
+        }
+      }
+    }
+    errors.push(...chainErrors);
+
+    if (chainErrors.length === 0) {
+      const totalRatio = Object.values(seriesChains).reduce(
+        (acc, { pnkDropRatio }) => acc.add(pnkDropRatio),
+        BigNumber.from(0)
+      );
+      if (!totalRatio.eq(DROP_RATIO_BASIS)) {
+        errors.push(`${label}: the drop ratios add up to ${totalRatio} instead of ${DROP_RATIO_BASIS}`);
+      }
+    }
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  for (const bases of Object.values(getPeriodBases({ chains, series }))) {
+    const [{ chainId, merkleRedeemAddress }] = bases;
+    const label = `MerkleRedeem ${merkleRedeemAddress} in chain ${chainId}`;
+    const monthly = bases.find(({ name }) => name === "monthly");
+    if (monthly && bases[0] !== monthly) {
+      // The periods below the base period of the monthly distribution were seeded by the previous ones.
+      errors.push(`${label}: the series ${bases[0].name} must have a base period over ${monthly.basePeriod}`);
+    }
+    if (uniq(pluck("basePeriod", bases)).length !== bases.length) {
+      errors.push(`${label}: the series seeded in the same contract must have different base periods`);
+    }
+  }
+
+  return errors;
+}
+
+/*
+ * Groups the base periods of the monthly distribution and of the series by the MerkleRedeem contract they are
+ * seeded in, each group sorted by base period.
+ */
+function getPeriodBases({ chains, series = {} }) {
+  const bases = {};
+  const add = (chainId, merkleRedeemAddress, name, basePeriod) => {
+    const key = `${chainId}:${merkleRedeemAddress}`;
+    bases[key] = [...(bases[key] ?? []), { chainId, merkleRedeemAddress, name, basePeriod }].sort(
+      (a, b) => a.basePeriod - b.basePeriod
+    );
+  };
+
+  for (const chain of filter(prop("active"), chains)) {
+    add(chain.chainId, chain.merkleRedeemAddress, "monthly", chain.basePeriod);
+  }
+  for (const [name, { chains: seriesChains }] of Object.entries(series)) {
+    for (const [chainId, seriesChain] of Object.entries(seriesChains)) {
+      add(Number(chainId), getSeriesMerkleRedeem(chains, chainId, seriesChain), name, seriesChain.basePeriod);
+    }
+  }
+
+  return bases;
+}
+
+/*
+ * Each distribution seeded in a MerkleRedeem contract can use the period numbers from its base period
+ * up to the base period of the next one, so their periods never collide.
+ */
+function getMaxPeriods(registry) {
+  const maxPeriods = {};
+  for (const bases of Object.values(getPeriodBases(registry))) {
+    bases.forEach(({ chainId, name }, i) => {
+      maxPeriods[`${chainId}:${name}`] = i + 1 < bases.length ? bases[i + 1].basePeriod - 1 : Infinity;
+    });
+  }
+
+  return maxPeriods;
+}
+
+function getSeriesMerkleRedeem(chains, chainId, { merkleRedeemAddress }) {
+  return merkleRedeemAddress ?? chains.find((chain) => String(chain.chainId) === String(chainId)).merkleRedeemAddress;
+}
+
+/**
+ * Checks the registry against the chains themselves: the RPC URL points to the right chain,
+ * the contracts are deployed, MerkleRedeem holds the right token and the subgraph answers.
+ * @param {Chain} chain An active chain.
+ * @returns {Promise<string[]>} The errors found.
+ */
+export async function checkChain(chain) {
+  const errors = [];
+  const { provider } = chain;
+
+  const { chainId } = await provider.getNetwork();
+  if (chainId !== chain.chainId) {
+    return [`The RPC URL points to chain ${chainId}`];
+  }
+
+  for (const field of [...KLEROS_CONTRACTS[chain.klerosVersion], "token", "merkleRedeemAddress"]) {
+    const code = await provider.getCode(chain[field]);
+    if (code === "0x") {
+      errors.push(`There is no contract at \`${field}\` (${chain[field]})`);
+    }
+  }
+
+  if (errors.length === 0) {
+    const merkleRedeem = new Contract(chain.merkleRedeemAddress, ["function token() view returns (address)"], provider);
+    const token = await merkleRedeem.token();
+    if (token !== chain.token) {
+      errors.push(`MerkleRedeem distributes ${token} instead of \`token\` (${chain.token})`);
+    }
+  }
+
+  const currentBlock = await provider.getBlockNumber();
+  if (chain.fromBlock > currentBlock) {
+    errors.push(`\`fromBlock\` (${chain.fromBlock}) is ahead of the current block (${currentBlock})`);
+  }
+
+  if (!chain.subgraphEndpoint) {
+    return errors;
+  }
+
+  try {
+    const response = await fetch(chain.subgraphEndpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ query: "{ _meta { block { number } } }" }),
+    });
+    const { data, errors: queryErrors } = await response.json();
+    if (queryErrors || !data?._meta) {
+      errors.push(`The subgraph returned an error: ${JSON.stringify(queryErrors)}`);
+    }
+  } catch (err) {
+    errors.push(`The subgraph could not be reached: ${err.message}`);
+  }
+
+  return errors;
+}
+
+function checkType(value, type) {
+  if (value === undefined || value === null) {
+    return "is required";
+  }
+
+  switch (type) {
+    case "address":
+      if (!utils.isAddress(value) || utils.getAddress(value) !== value) {
+        return `must be a checksummed address, got ${value}`;
+      }
+      return null;
+    case "integer":
+      if (typeof value !== "string" || !/^\d+$/.test(value)) {
+        return `must be a decimal integer string, got ${JSON.stringify(value)}`;
+      }
+      return null;
+    default:
+      return typeof value === type ? null : `must be a ${type}, got ${JSON.stringify(value)}`;
+  }
+}
+
+function interpolate(template, env, chain) {
+  return template.replace(/\$\{(\w+)\}/g, (_, name) => {
+    if (!env[name]) {
+      throw new Error(`Chain ${chain.chainId}: missing environment variable ${name} for the RPC URL`);
+    }
+
+    return env[name];
+  });
+}
@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { describe, it } from "node:test";
+import { DEFAULT_CHAINS_FILE, validateChainRegistry } from "./chains.js";
+
+const registry = JSON.parse(readFileSync(DEFAULT_CHAINS_FILE));
+const weekly = {
+  frequency: "week",
+  startDate: "2026-11-02",
+  chains: { 100: { basePeriod: 1000, pnkDropRatio: "1000000000" } },
+};
+
+describe("validateChainRegistry", () => {
+  it("accepts the default registry and series", () => {
+    assert.deepEqual(validateChainRegistry(registry), []);
+    assert.deepEqual(validateChainRegistry({ ...registry, series: { "weekly-pilot": weekly } }), []);
+  });
+
+  it("rejects malformed series", () => {
+    const errors = validateChainRegistry({
+      ...registry,
+      series: {
+        Weekly: weekly,
+        monthly: weekly,
+        "ten-days": { ...weekly, frequency: "days" },
+        quarterly: { ...weekly, frequency: "quarter" },
+        pilot: { ...weekly, chains: { 42: { basePeriod: 1000, pnkDropRatio: "1000000000" } } },
+        split: { ...weekly, chains: { 100: { basePeriod: 1000, pnkDropRatio: "500000000" } } },
+      },
+    });
+
+    assert.deepEqual(errors, [
+      "Series Weekly: the name must be lowercase letters, digits and dashes, starting with a letter, other than monthly",
+      "Series monthly: the name must be lowercase letters, digits and dashes, starting with a letter, other than monthly",
+      "Series ten-days: `days` must be a positive integer with the days frequency, and only with it",
+      'Series quarterly: `frequency` must be one of month, week, biweek, days, got "quarter"',
+      "Series pilot: chain 42 must be an active chain of the registry",
+      "Series split: the drop ratios add up to 500000000 instead of 1000000000",
+    ]);
+  });
+
+  it("rejects series whose periods would collide in a MerkleRedeem contract", () => {
+    const below = { ...weekly, chains: { 100: { basePeriod: 49, pnkDropRatio: "1000000000" } } };
+    assert.deepEqual(validateChainRegistry({ ...registry, series: { below } }), [
+      "MerkleRedeem 0xf1A9589880DbF393F32A5b2d5a0054Fa10385074 in chain 100: " +
+        "the series below must have a base period over 50",
+    ]);
+    assert.equal(validateChainRegistry({ ...registry, series: { a: weekly, b: weekly } }).length, 1);
+
+    const ownContract = {
+      ...weekly,
+      chains: {
+        100: { ...below.chains[100], merkleRedeemAddress: "0x0000000000000000000000000000000000000001" },
+      },
+    };
+    assert.deepEqual(validateChainRegistry({ ...registry, series: { weekly, "own-contract": ownContract } }), []);
+  });
+});
@@ -0,0 +1,125 @@
+import { debuglog } from "util";
+import { getPersistentCache, getPrefixRange, readAll } from "./cache.js";
+import { deserializeStakeChange, serializeStakeChange, sortStakeChanges } from "./stake-sources.js";
+
+const debug = debuglog("checkpoints");
+
+/**
+ * @typedef {import('./stake-sources.js').StakeChange} StakeChange
+ */
+
+/**
+ * The stake of every juror right before a period boundary.
+ *
+ * The average stakes of a period only depend on the last stake change of each juror before the period,
+ * and on the stake changes within it, so a checkpoint keeps, for each juror and court, the last stake change
+ * before `block`. Replaying the stake changes from there gives exactly the same averages as replaying all
+ * the history from `fromBlock`.
+ * @typedef {object} StakeCheckpoint
+ * @prop {number} version The version of the checkpoint format.
+ * @prop {number} fromBlock The block the history starts at.
+ * @prop {number} block The boundary block. The checkpoint holds the stake changes before it.
+ * @prop {StakeChange[]} stakeChanges The last stake change of each juror in each court, sorted.
+ */
+
+const VERSION = 1;
+
+const NAMESPACE = "stake-checkpoints";
+
+const getCheckpointsPrefix = (chainId) => `${NAMESPACE}/${chainId}/`;
+
+const getCheckpointKey = (chainId, block) => `${getCheckpointsPrefix(chainId)}${String(block).padStart(12, "0")}`;
+
+/**
+ * Creates the checkpoint at the first block of the history, where nobody has staked yet.
+ * @param {number} fromBlock The block the history starts at.
+ * @returns {StakeCheckpoint} The checkpoint.
+ */
+export function createEmptyCheckpoint(fromBlock) {
+  return { version: VERSION, fromBlock, block: fromBlock, stakeChanges: [] };
+}
+
+/**
+ * Moves a checkpoint forward, applying the stake changes between its block and the new one.
+ * @param {StakeCheckpoint} checkpoint The checkpoint.
+ * @param {StakeChange[]} stakeChanges The stake changes, sorted. Those outside of `[checkpoint.block, block)` are ignored.
+ * @param {number} block The new boundary block.
+ * @returns {StakeCheckpoint} The checkpoint at `block`.
+ */
+export function advanceCheckpoint(checkpoint, stakeChanges, block) {
+  if (block < checkpoint.block) {
+    throw new Error(`Can not move a checkpoint back from block ${checkpoint.block} to block ${block}`);
+  }
+
+  const latest = new Map(checkpoint.stakeChanges.map((change) => [`${change.address}/${change.courtId}`, change]));
+  for (const change of stakeChanges) {
+    if (change.blockNumber >= checkpoint.block && change.blockNumber < block) {
+      latest.set(`${change.address}/${change.courtId}`, change);
+    }
+  }
+
+  /*
+   * Jurors whose last stake change left them with nothing staked are dropped:
+   * having no stake change at all before the period means the same.
+   */
+  const lastByAddress = new Map();
+  for (const change of sortStakeChanges([...latest.values()])) {
+    lastByAddress.set(change.address, change);
+  }
+  const stillStaked = [...latest.values()].filter(({ address }) => !lastByAddress.get(address).totalStake.isZero());
+
+  return { ...checkpoint, block, stakeChanges: sortStakeChanges(stillStaked) };
+}
+
+/**
+ * Creates the store of the stake checkpoints of a chain, kept in the leveldb cache.
+ * @param {Object} options The options for the function.
+ * @param {number} options.chainId The chain ID.
+ * @param {import('levelup').LevelUp} [options.cache] The database. Defaults to the shared leveldb cache.
+ */
+export function createCheckpointStore({ chainId, cache = getPersistentCache() }) {
+  /**
+   * Gets the latest checkpoint at or before a block.
+   * @param {Object} options The options for the function.
+   * @param {number} options.fromBlock The block the history must start at.
+   * @param {number} options.block The block.
+   * @returns {Promise<StakeCheckpoint|null>} The checkpoint, or `null` if there is none.
+   */
+  async function getLatest({ fromBlock, block }) {
+    for await (const value of cache.createValueStream({
+      gte: getCheckpointsPrefix(chainId),
+      lte: getCheckpointKey(chainId, block),
+      reverse: true,
+    })) {
+      const { stakeChanges, ...checkpoint } = JSON.parse(value);
+      if (checkpoint.version === VERSION && checkpoint.fromBlock === fromBlock) {
+        debug(`Found the checkpoint at block ${checkpoint.block} for block ${block} of chain ${chainId}`);
+        return { ...checkpoint, stakeChanges: stakeChanges.map(deserializeStakeChange) };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Saves a checkpoint, replacing the one at the same block.
+   * @param {StakeCheckpoint} checkpoint The checkpoint.
+   */
+  async function put({ stakeChanges, ...checkpoint }) {
+    debug(`Saving the checkpoint at block ${checkpoint.block} of chain ${chainId}`);
+    await cache.put(
+      getCheckpointKey(chainId, checkpoint.block),
+      JSON.stringify({ ...checkpoint, stakeChanges: stakeChanges.map(serializeStakeChange) })
+    );
+  }
+
+  /**
+   * Removes all the checkpoints of the chain.
+   */
+  async function clear() {
+    const keys = await readAll(cache.createKeyStream(getPrefixRange(getCheckpointsPrefix(chainId))));
+    await cache.batch(keys.map((key) => ({ type: "del", key })));
+  }
+
+  return { getLatest, put, clear };
+}
@@ -0,0 +1,111 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { BigNumber } from "ethers";
+import { map } from "ramda";
+import { getAverageCourtStakesByAddress, getAverageStakesByAddress } from "../create-snapshot-from-block-limits.js";
+import { advanceCheckpoint, createEmptyCheckpoint } from "./checkpoints.js";
+import { sortStakeChanges } from "./stake-sources.js";
+
+const FROM_BLOCK = 10;
+const [alice, bob, carol] = [
+  "0x0000000000000000000000000000000000000001",
+  "0x00000000000000000000000000000000000000b0",
+  "0x0000000000000000000000000000000000000c00",
+];
+
+const change = (address, courtId, courtStake, totalStake, blockNumber, logIndex = 0) => ({
+  address,
+  courtId,
+  courtStake: BigNumber.from(courtStake),
+  totalStake: BigNumber.from(totalStake),
+  blockNumber,
+  logIndex,
+});
+
+const stakeChanges = sortStakeChanges([
+  // Several courts, changed before and within the periods.
+  change(alice, "1", 100, 100, 20),
+  change(alice, "2", 50, 150, 25),
+  change(alice, "2", 80, 180, 120),
+  change(alice, "1", 0, 80, 170),
+  // Unstakes to zero before the first period, then stakes again within it.
+  change(bob, "1", 300, 300, 30),
+  change(bob, "1", 0, 0, 60),
+  change(bob, "3", 40, 40, 140),
+  // Several changes in the same blocks, the last one by log index being the one that counts.
+  change(carol, "1", 10, 10, 40, 1),
+  change(carol, "1", 20, 20, 40, 2),
+  change(carol, "2", 5, 25, 40, 3),
+  change(carol, "1", 70, 75, 100, 0),
+  change(carol, "1", 0, 5, 100, 4),
+  change(carol, "2", 0, 0, 150, 1),
+  change(carol, "1", 60, 60, 150, 2),
+]);
+
+const describeAverages = (period, events) => ({
+  stakes: map(String, getAverageStakesByAddress(period, events)),
+  courtStakes: map(map(String), getAverageCourtStakesByAddress(period, events)),
+});
+
+/*
+ * Replays the stake changes the way a snapshot does when it starts from the checkpoints, moving the checkpoint
+ * forward through every boundary up to the start of the period.
+ */
+const replayFromCheckpoints = (boundaries, period) => {
+  const checkpoint = boundaries.reduce(
+    (checkpoint, block) => advanceCheckpoint(checkpoint, stakeChanges, block),
+    createEmptyCheckpoint(FROM_BLOCK)
+  );
+  const after = stakeChanges.filter(({ blockNumber }) => blockNumber >= checkpoint.block);
+
+  return describeAverages(period, [...checkpoint.stakeChanges, ...after]);
+};
+
+describe("advanceCheckpoint", () => {
+  it("gives the same averages as replaying all the history", () => {
+    for (const period of [
+      { startBlock: 50, endBlock: 99 },
+      { startBlock: 100, endBlock: 149 },
+      { startBlock: 150, endBlock: 199 },
+    ]) {
+      const expected = describeAverages(period, stakeChanges);
+
+      assert.deepEqual(replayFromCheckpoints([period.startBlock], period), expected);
+      assert.deepEqual(replayFromCheckpoints([45, 50, period.startBlock], period), expected);
+    }
+  });
+
+  it("leaves out of the checkpoint the changes in its own block", () => {
+    // Block 100 has two changes of carol, which belong to the period starting there.
+    const checkpoint = advanceCheckpoint(createEmptyCheckpoint(FROM_BLOCK), stakeChanges, 100);
+
+    assert.ok(checkpoint.stakeChanges.every(({ blockNumber }) => blockNumber < 100));
+    assert.deepEqual(
+      checkpoint.stakeChanges
+        .filter(({ address }) => address === carol)
+        .map(({ courtId, logIndex }) => [courtId, logIndex]),
+      [
+        ["1", 2],
+        ["2", 3],
+      ]
+    );
+    const period = { startBlock: 100, endBlock: 149 };
+    assert.deepEqual(replayFromCheckpoints([100], period), describeAverages(period, stakeChanges));
+  });
+
+  it("drops the jurors left with nothing staked", () => {
+    const checkpoint = advanceCheckpoint(createEmptyCheckpoint(FROM_BLOCK), stakeChanges, 100);
+    assert.ok(!checkpoint.stakeChanges.some(({ address }) => address === bob));
+
+    const later = advanceCheckpoint(checkpoint, stakeChanges, 160);
+    assert.deepEqual(
+      later.stakeChanges.filter(({ address }) => address === bob).map(({ courtId }) => courtId),
+      ["3"]
+    );
+  });
+
+  it("can not move back", () => {
+    const checkpoint = advanceCheckpoint(createEmptyCheckpoint(FROM_BLOCK), stakeChanges, 100);
+    assert.throws(() => advanceCheckpoint(checkpoint, stakeChanges, 99), /Can not move a checkpoint back/);
+  });
+});
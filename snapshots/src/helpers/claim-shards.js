@@ -0,0 +1,101 @@
+import { mkdir, writeFile } from "fs/promises";
+import { join } from "path";
+import { normalizeSnapshot, SNAPSHOT_SCHEMA_VERSION } from "./snapshot-schema.js";
+
+/**
+ * The number of hex characters of the address used to pick the shard of a claim by default.
+ * With 2 there are 256 shards, so even with tens of thousands of jurors each shard stays small.
+ * @type {number}
+ */
+export const DEFAULT_SHARD_PREFIX_LENGTH = 2;
+
+const MAX_SHARD_PREFIX_LENGTH = 3;
+
+const HEX_DIGITS = "0123456789abcdef";
+
+/**
+ * Gets the prefix of the shard holding the claim of an address: the first hex characters after `0x`, in lowercase.
+ * @param {string} address The address.
+ * @param {number} [prefixLength=DEFAULT_SHARD_PREFIX_LENGTH] The length of the prefix.
+ * @returns {string} The prefix.
+ */
+export function getShardPrefix(address, prefixLength = DEFAULT_SHARD_PREFIX_LENGTH) {
+  return address.slice(2, 2 + prefixLength).toLowerCase();
+}
+
+/**
+ * Gets the path of a shard, relative to the root of the export.
+ * @param {string} prefix The prefix of the shard.
+ * @returns {string} The path.
+ */
+export function getShardPath(prefix) {
+  return `claims/${prefix}.json`;
+}
+
+function getAllPrefixes(prefixLength) {
+  return Array.from({ length: prefixLength }).reduce(
+    (prefixes) => prefixes.flatMap((prefix) => [...HEX_DIGITS].map((digit) => `${prefix}${digit}`)),
+    [""]
+  );
+}
+
+/**
+ * Splits the claims of a snapshot into shards keyed by address prefix, along with an index describing them.
+ *
+ * Every possible shard is created, even if empty, so a client can tell a juror with no claim (an empty shard)
+ * from a failed download, and can fetch the shard of an address without reading the index first.
+ * Each shard holds the merkle root, so the proofs can be checked from the shard alone.
+ * @param {Object} snapshot The snapshot.
+ * @param {Object} [options] The options for the function.
+ * @param {number} [options.prefixLength=DEFAULT_SHARD_PREFIX_LENGTH] The number of hex characters of the prefixes.
+ * @param {Object} [options.metadata={}] Additional fields for the index, such as the chain ID and the period.
+ * @returns {{ index: Object, shards: Object<string, Object> }} The index and the shards, indexed by prefix.
+ */
+export function createClaimShards(snapshot, { prefixLength = DEFAULT_SHARD_PREFIX_LENGTH, metadata = {} } = {}) {
+  if (!Number.isInteger(prefixLength) || prefixLength < 1 || prefixLength > MAX_SHARD_PREFIX_LENGTH) {
+    throw new Error(`The shard prefix length must be between 1 and ${MAX_SHARD_PREFIX_LENGTH}, got ${prefixLength}`);
+  }
+
+  const { merkleTree, startDate, endDate, droppedAmount, totalClaimable } = normalizeSnapshot(snapshot);
+  const shards = Object.fromEntries(
+    getAllPrefixes(prefixLength).map((prefix) => [prefix, { root: merkleTree.root, claims: {} }])
+  );
+  for (const [address, { value, proof }] of Object.entries(merkleTree.claims)) {
+    shards[getShardPrefix(address, prefixLength)].claims[address] = { value, proof };
+  }
+
+  const index = {
+    ...metadata,
+    schemaVersion: SNAPSHOT_SCHEMA_VERSION,
+    root: merkleTree.root,
+    startDate,
+    endDate,
+    droppedAmount,
+    totalClaimable,
+    claimCount: Object.keys(merkleTree.claims).length,
+    prefixLength,
+    shardPath: getShardPath("{prefix}"),
+  };
+
+  return { index, shards };
+}
+
+/**
+ * Writes the claim shards of a snapshot in a directory: `index.json` and `claims/{prefix}.json`.
+ * @param {string} dir The directory.
+ * @param {Object} snapshot The snapshot.
+ * @param {Object} [options] The same options as `createClaimShards`.
+ * @returns {Promise<string[]>} The paths of the files written, relative to `dir`, sorted.
+ */
+export async function writeClaimShards(dir, snapshot, options) {
+  const { index, shards } = createClaimShards(snapshot, options);
+
+  await mkdir(join(dir, "claims"), { recursive: true });
+  const files = [
+    ["index.json", index],
+    ...Object.entries(shards).map(([prefix, shard]) => [getShardPath(prefix), shard]),
+  ];
+  await Promise.all(files.map(([file, content]) => writeFile(join(dir, file), JSON.stringify(content))));
+
+  return files.map(([file]) => file).sort();
+}
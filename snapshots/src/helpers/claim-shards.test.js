@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, readdirSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { describe, it } from "node:test";
+import { utils } from "ethers";
+import { createClaimShards, getShardPrefix, writeClaimShards } from "./claim-shards.js";
+
+const ROOT = `0x${"ab".repeat(32)}`;
+
+// Addresses spread over the prefixes, some of them sharing the first characters.
+const addresses = Array.from({ length: 300 }, (_, i) => utils.getAddress(utils.hexDataSlice(utils.id(String(i)), 12)));
+
+const snapshot = {
+  merkleTree: {
+    root: ROOT,
+    claims: Object.fromEntries(
+      addresses.map((address, i) => [address, { value: String(i + 1), node: utils.id(address), proof: [ROOT] }])
+    ),
+  },
+  startDate: "2026-01-01T00:00:00.000Z",
+  endDate: "2026-02-01T00:00:00.000Z",
+  droppedAmount: "45150",
+  totalClaimable: "45150",
+};
+
+describe("createClaimShards", () => {
+  it("puts every claim in exactly one shard, the one of its prefix", () => {
+    for (const prefixLength of [1, 2, 3]) {
+      const { index, shards } = createClaimShards(snapshot, { prefixLength, metadata: { chainId: 1 } });
+
+      assert.equal(Object.keys(shards).length, 16 ** prefixLength);
+      const sharded = Object.entries(shards).flatMap(([prefix, { root, claims }]) => {
+        assert.equal(root, ROOT);
+        return Object.keys(claims).map((address) => {
+          assert.equal(getShardPrefix(address, prefixLength), prefix);
+          return address;
+        });
+      });
+      assert.deepEqual(sharded.sort(), [...addresses].sort());
+
+      assert.equal(index.claimCount, addresses.length);
+      assert.equal(index.prefixLength, prefixLength);
+      assert.equal(index.chainId, 1);
+    }
+  });
+
+  it("keeps the value and the proof of each claim", () => {
+    const [address] = addresses;
+    const { shards } = createClaimShards(snapshot);
+
+    assert.deepEqual(shards[address.slice(2, 4).toLowerCase()].claims[address], { value: "1", proof: [ROOT] });
+  });
+
+  it("rejects the prefix lengths out of range", () => {
+    for (const prefixLength of [0, 4, 1.5, "2"]) {
+      assert.throws(
+        () => createClaimShards(snapshot, { prefixLength }),
+        new RegExp(`The shard prefix length must be between 1 and 3, got ${prefixLength}`)
+      );
+    }
+  });
+});
+
+describe("writeClaimShards", () => {
+  it("writes the index and every shard, even the empty ones", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "pnk-drop-shards-"));
+    try {
+      const files = await writeClaimShards(dir, snapshot, { prefixLength: 1 });
+
+      assert.equal(files.length, 17);
+      assert.equal(readdirSync(join(dir, "claims")).length, 16);
+      const index = JSON.parse(readFileSync(join(dir, "index.json")));
+      assert.equal(index.shardPath, "claims/{prefix}.json");
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,234 @@
+import { createHash } from "crypto";
+import { map } from "ramda";
+import { debuglog } from "util";
+import { getPersistentCache, getPrefixRange, isNotFoundError, readAll } from "./cache.js";
+import { deserializeStakeChange, serializeStakeChange } from "./stake-sources.js";
+
+const debug = debuglog("event-store");
+
+/**
+ * @typedef {import('./stake-sources.js').StakeChange} StakeChange
+ * @typedef {import('./stake-sources.js').GetStakeChanges} GetStakeChanges
+ */
+
+/**
+ * What the event store knows about the stake changes it holds for a chain.
+ * @typedef {object} EventStoreMetadata
+ * @prop {number} version The version of the storage format.
+ * @prop {number} chainId The chain ID.
+ * @prop {number} fromBlock The first block synced [inclusive].
+ * @prop {number} lastBlock The last block synced [inclusive].
+ * @prop {number} count The number of stake changes stored.
+ * @prop {string} hash The hash of all the stake changes, in order. See `hashStakeChanges`.
+ * @prop {string} updatedAt When the store was last synced, as an ISO 8601 date.
+ */
+
+const VERSION = 1;
+
+/**
+ * How many of the most recent blocks are never stored by default, as they could still be reorganized.
+ * @type {number}
+ */
+export const DEFAULT_CONFIRMATIONS = 100;
+
+const NAMESPACE = "stake-events";
+
+const getMetadataKey = (chainId) => `${NAMESPACE}/${chainId}/meta`;
+
+const getEventsPrefix = (chainId) => `${NAMESPACE}/${chainId}/event/`;
+
+// Padded, so the lexicographic order of the keys is the order of the stake changes.
+const getEventKey = (chainId, blockNumber, logIndex) =>
+  `${getEventsPrefix(chainId)}${String(blockNumber).padStart(12, "0")}/${String(logIndex).padStart(6, "0")}`;
+
+/**
+ * Hashes a list of stake changes, continuing from a previous hash, so the hash of a store can be updated
+ * with the new stake changes only: `hash(a ++ b) = hashStakeChanges(b, hashStakeChanges(a))`.
+ * @param {StakeChange[]} stakeChanges The stake changes, in order.
+ * @param {string} [previousHash=""] The hash of the stake changes before them.
+ * @returns {string} The hash, in hex.
+ */
+export function hashStakeChanges(stakeChanges, previousHash = "") {
+  return stakeChanges.reduce(
+    (hash, stakeChange) => createHash("sha256").update(hash).update(serializeStakeChange(stakeChange)).digest("hex"),
+    previousHash
+  );
+}
+
+/**
+ * Creates a local store of the stake changes of a chain, kept in the leveldb cache.
+ *
+ * The store only asks the source for the blocks newer than the last one synced,
+ * so once it is synced, snapshots of past periods need no stake queries at all.
+ * The last `confirmations` blocks are never stored, since a reorganization would leave the store out of step
+ * with the chain: their stake changes are fetched on every read instead.
+ * @param {Object} options The options for the function.
+ * @param {number} options.chainId The chain ID.
+ * @param {number} options.fromBlock The first block of the chain that matters. The store starts there.
+ * @param {GetStakeChanges} options.getStakeChanges Fetches the stake changes missing from the store.
+ * @param {import('ethers').providers.Provider} options.provider The provider of the chain, to get its head.
+ * @param {number} [options.confirmations=DEFAULT_CONFIRMATIONS] How many of the most recent blocks are not stored.
+ * @param {import('levelup').LevelUp} [options.cache] The database. Defaults to the shared leveldb cache.
+ */
+export function createEventStore({
+  chainId,
+  fromBlock,
+  getStakeChanges,
+  provider,
+  confirmations = DEFAULT_CONFIRMATIONS,
+  cache = getPersistentCache(),
+}) {
+  /**
+   * Gets the metadata of the store.
+   * @returns {Promise<EventStoreMetadata|null>} The metadata, or `null` if the store is empty.
+   */
+  async function getMetadata() {
+    try {
+      return JSON.parse(await cache.get(getMetadataKey(chainId)));
+    } catch (err) {
+      if (isNotFoundError(err)) {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  function getEmptyMetadata() {
+    return { version: VERSION, chainId, fromBlock, lastBlock: fromBlock - 1, count: 0, hash: "", updatedAt: null };
+  }
+
+  /**
+   * Fetches the stake changes after the last block synced, up to `toBlock`.
+   * @param {number} toBlock The last block to sync [exclusive].
+   * @returns {Promise<EventStoreMetadata>} The metadata after syncing.
+   */
+  async function sync(toBlock) {
+    let metadata = await getMetadata();
+    if (metadata && (metadata.version !== VERSION || metadata.fromBlock !== fromBlock)) {
+      debug(`The store of chain ${chainId} does not match the current settings, rebuilding it`);
+      await clear();
+      metadata = null;
+    }
+    metadata = metadata ?? getEmptyMetadata();
+
+    if (metadata.lastBlock >= toBlock - 1) {
+      return metadata;
+    }
+
+    debug(`Syncing chain ${chainId} from block ${metadata.lastBlock + 1} to block ${toBlock - 1}`);
+    const stakeChanges = await getStakeChanges(metadata.lastBlock + 1, toBlock);
+    const outOfRange = stakeChanges.find(
+      ({ blockNumber }) => blockNumber <= metadata.lastBlock || blockNumber >= toBlock
+    );
+    if (outOfRange) {
+      throw new Error(`Chain ${chainId}: got a stake change from block ${outOfRange.blockNumber} while syncing`);
+    }
+
+    const updated = {
+      ...metadata,
+      lastBlock: toBlock - 1,
+      count: metadata.count + stakeChanges.length,
+      hash: hashStakeChanges(stakeChanges, metadata.hash),
+      updatedAt: new Date().toISOString(),
+    };
+
+    // A single batch, so the metadata never gets out of step with the stake changes.
+    await cache.batch([
+      ...stakeChanges.map((stakeChange) => ({
+        type: "put",
+        key: getEventKey(chainId, stakeChange.blockNumber, stakeChange.logIndex),
+        value: serializeStakeChange(stakeChange),
+      })),
+      { type: "put", key: getMetadataKey(chainId), value: JSON.stringify(updated) },
+    ]);
+    debug(`Stored ${stakeChanges.length} stake changes of chain ${chainId}`);
+
+    return updated;
+  }
+
+  async function readRange(from, to) {
+    const range = { gte: getEventKey(chainId, from, 0), lt: getEventKey(chainId, to, 0) };
+    return map(deserializeStakeChange, await readAll(cache.createValueStream(range)));
+  }
+
+  /**
+   * Gets the stake changes in a block range, syncing the store first if needed.
+   * Only the confirmed blocks are synced, the rest of the range is fetched without being stored.
+   * @type {GetStakeChanges}
+   */
+  async function getStoredStakeChanges(from, to) {
+    if (from < fromBlock) {
+      throw new Error(`Chain ${chainId}: the event store starts at block ${fromBlock}, got ${from}`);
+    }
+
+    const confirmedTo = (await provider.getBlockNumber()) - confirmations + 1;
+    const { lastBlock } = await sync(Math.min(to, confirmedTo));
+    const syncedTo = Math.min(to, lastBlock + 1);
+
+    const stored = from < syncedTo ? await readRange(from, syncedTo) : [];
+    if (syncedTo >= to) {
+      return stored;
+    }
+
+    debug(`Fetching the unconfirmed stake changes of chain ${chainId} from block ${Math.max(from, syncedTo)}`);
+    return [...stored, ...(await getStakeChanges(Math.max(from, syncedTo), to))];
+  }
+
+  /**
+   * Checks the stake changes stored against the metadata.
+   * @returns {Promise<string[]>} The errors found.
+   */
+  async function verify() {
+    const metadata = await getMetadata();
+    if (!metadata) {
+      return [];
+    }
+
+    const errors = [];
+    const values = await readAll(cache.createValueStream(getPrefixRange(getEventsPrefix(chainId))));
+    const stakeChanges = map(deserializeStakeChange, values);
+    if (stakeChanges.length !== metadata.count) {
+      errors.push(`The store holds ${stakeChanges.length} stake changes instead of ${metadata.count}`);
+    }
+
+    const outOfRange = stakeChanges.filter(
+      ({ blockNumber }) => blockNumber < metadata.fromBlock || blockNumber > metadata.lastBlock
+    );
+    if (outOfRange.length > 0) {
+      errors.push(`${outOfRange.length} stake changes are outside of the synced blocks`);
+    }
+
+    const hash = hashStakeChanges(stakeChanges);
+    if (hash !== metadata.hash) {
+      errors.push(`The hash of the stake changes is ${hash} instead of ${metadata.hash}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Removes everything stored for the chain.
+   */
+  async function clear() {
+    const keys = await readAll(cache.createKeyStream(getPrefixRange(`${NAMESPACE}/${chainId}/`)));
+    await cache.batch(keys.map((key) => ({ type: "del", key })));
+  }
+
+  /**
+   * Removes everything stored for the chain and syncs it again from scratch.
+   * @param {number} toBlock The last block to sync [exclusive].
+   * @returns {Promise<EventStoreMetadata>} The metadata after syncing.
+   */
+  async function rebuild(toBlock) {
+    await clear();
+    return await sync(toBlock);
+  }
+
+  return {
+    getStakeChanges: getStoredStakeChanges,
+    getMetadata,
+    sync,
+    verify,
+    rebuild,
+  };
+}
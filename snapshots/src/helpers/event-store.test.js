@@ -0,0 +1,130 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, describe, it } from "node:test";
+import { BigNumber } from "ethers";
+import leveldown from "leveldown";
+import levelup from "levelup";
+import { getPrefixRange, readAll } from "./cache.js";
+import { createEventStore, hashStakeChanges } from "./event-store.js";
+
+const dir = mkdtempSync(join(tmpdir(), "pnk-drop-event-store-"));
+const cache = levelup(leveldown(dir));
+after(async () => {
+  await cache.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+const change = (blockNumber, logIndex = 0) => ({
+  address: "0x0000000000000000000000000000000000000001",
+  courtId: "1",
+  courtStake: BigNumber.from(blockNumber),
+  totalStake: BigNumber.from(blockNumber),
+  blockNumber,
+  logIndex,
+});
+
+const history = [change(5), change(50), change(50, 1), change(150), change(190), change(199)];
+
+/*
+ * Each store gets its own chain ID, so they do not share the database entries.
+ */
+let chainId = 0;
+function createStore({ head = 200, confirmations = 100 } = {}) {
+  const chain = { head };
+  const requests = [];
+  const store = createEventStore({
+    chainId: ++chainId,
+    fromBlock: 0,
+    getStakeChanges: async (from, to) => {
+      requests.push([from, to]);
+      return history.filter(({ blockNumber }) => blockNumber >= from && blockNumber < to);
+    },
+    provider: { getBlockNumber: async () => chain.head },
+    confirmations,
+    cache,
+  });
+
+  return { store, chain, requests, chainId };
+}
+
+const blocks = (stakeChanges) => stakeChanges.map(({ blockNumber, logIndex }) => `${blockNumber}/${logIndex}`);
+const countStored = async (chainId) =>
+  (await readAll(cache.createKeyStream(getPrefixRange(`stake-events/${chainId}/event/`)))).length;
+
+describe("createEventStore", () => {
+  it("only stores the confirmed stake changes and fetches the others on every read", async () => {
+    const { store, requests, chainId } = createStore();
+
+    assert.deepEqual(blocks(await store.getStakeChanges(0, 201)), ["5/0", "50/0", "50/1", "150/0", "190/0", "199/0"]);
+    assert.deepEqual(requests.splice(0), [
+      [0, 101],
+      [101, 201],
+    ]);
+    assert.equal((await store.getMetadata()).lastBlock, 100);
+    assert.equal(await countStored(chainId), 3);
+
+    assert.deepEqual(blocks(await store.getStakeChanges(120, 201)), ["150/0", "190/0", "199/0"]);
+    assert.deepEqual(requests.splice(0), [[120, 201]]);
+    assert.equal(await countStored(chainId), 3);
+  });
+
+  it("only fetches the blocks after the last one stored", async () => {
+    const { store, chain, requests, chainId } = createStore();
+    await store.getStakeChanges(0, 201);
+    requests.splice(0);
+
+    assert.deepEqual(blocks(await store.getStakeChanges(0, 60)), ["5/0", "50/0", "50/1"]);
+    assert.deepEqual(requests.splice(0), []);
+
+    chain.head = 400;
+    assert.equal((await store.getStakeChanges(0, 201)).length, history.length);
+    assert.deepEqual(requests.splice(0), [[101, 201]]);
+    assert.equal((await store.getMetadata()).lastBlock, 200);
+    assert.equal(await countStored(chainId), history.length);
+  });
+
+  it("keeps a hash of all the stake changes, updated with the new ones", async () => {
+    const { store, chain } = createStore();
+    await store.getStakeChanges(0, 201);
+    chain.head = 400;
+    await store.getStakeChanges(0, 201);
+
+    const metadata = await store.getMetadata();
+    assert.equal(metadata.count, history.length);
+    assert.equal(metadata.hash, hashStakeChanges(history));
+    assert.equal(hashStakeChanges(history.slice(3), hashStakeChanges(history.slice(0, 3))), metadata.hash);
+    assert.deepEqual(await store.verify(), []);
+  });
+
+  it("fails to verify a store whose stake changes were tampered with", async () => {
+    const { store, chainId } = createStore({ head: 400 });
+    await store.getStakeChanges(0, 201);
+
+    const entries = await readAll(cache.createReadStream(getPrefixRange(`stake-events/${chainId}/event/`)));
+    const { key, value } = entries[1];
+    await cache.put(key, JSON.stringify({ ...JSON.parse(value), totalStake: "1000" }));
+
+    const [error, ...rest] = await store.verify();
+    assert.match(error, /^The hash of the stake changes is [0-9a-f]+ instead of /);
+    assert.deepEqual(rest, []);
+  });
+
+  it("syncs again from scratch when rebuilt", async () => {
+    const { store, requests, chainId } = createStore({ head: 400 });
+    await store.getStakeChanges(0, 201);
+    requests.splice(0);
+
+    const metadata = await store.rebuild(101);
+    assert.deepEqual(requests, [[0, 101]]);
+    assert.equal(metadata.lastBlock, 100);
+    assert.equal(await countStored(chainId), 3);
+    assert.deepEqual(await store.verify(), []);
+  });
+
+  it("rejects the blocks before the start of the store", async () => {
+    const { store } = createStore();
+    await assert.rejects(store.getStakeChanges(-1, 10), /the event store starts at block 0, got -1/);
+  });
+});
@@ -0,0 +1,30 @@
+import { readFileSync } from "fs";
+import { utils } from "ethers";
+import { uniq } from "ramda";
+
+/**
+ * The versioned list of addresses excluded from the drop.
+ */
+export const DEFAULT_EXCLUDED_ADDRESSES_FILE = new URL("../../config/excluded-addresses.json", import.meta.url);
+
+const SUPPORTED_VERSIONS = [1];
+
+/**
+ * Reads the addresses excluded from the drop in a given chain.
+ * @param {Object} options The options for the function.
+ * @param {number} options.chainId The chain ID.
+ * @param {string|URL} [options.file=DEFAULT_EXCLUDED_ADDRESSES_FILE] The exclusion list file.
+ * @param {string[]} [options.extra=[]] Additional addresses to exclude.
+ * @returns {string[]} The checksummed addresses.
+ */
+export function getExcludedAddresses({ chainId, file = DEFAULT_EXCLUDED_ADDRESSES_FILE, extra = [] }) {
+  const { version, addresses } = JSON.parse(readFileSync(file));
+
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    throw new Error(`Unsupported exclusion list version ${version} in ${file}`);
+  }
+
+  const entries = [...(addresses["*"] ?? []), ...(addresses[chainId] ?? [])];
+
+  return uniq([...entries.map(({ address }) => address), ...extra].map((address) => utils.getAddress(address)));
+}
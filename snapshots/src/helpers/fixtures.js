@@ -0,0 +1,169 @@
+import { createHash } from "crypto";
+import { providers } from "ethers";
+import { mkdirSync, readFileSync, writeFileSync } from "fs";
+import fetch from "node-fetch";
+import { join, resolve } from "path";
+import { debuglog } from "util";
+
+const debug = debuglog("fixtures");
+
+/**
+ * How external responses are handled.
+ * - `live`: requests go to the network and nothing is saved.
+ * - `record`: requests go to the network and every response is saved in the fixtures directory.
+ * - `replay`: responses are served from the fixtures directory and nothing goes to the network.
+ */
+export const FIXTURE_MODES = ["live", "record", "replay"];
+
+let mode = "live";
+let fixturesDir = null;
+
+/**
+ * Sets how external responses are handled, for the whole process.
+ * Must be called before any provider is created or any request is made.
+ * @param {Object} options The options for the function.
+ * @param {"live"|"record"|"replay"} options.mode The mode.
+ * @param {string} [options.dir] The fixtures directory. Required to record or replay.
+ */
+export function configureFixtures({ mode: newMode, dir }) {
+  if (!FIXTURE_MODES.includes(newMode)) {
+    throw new Error(`Invalid fixture mode ${newMode}`);
+  }
+  if (newMode !== "live" && !dir) {
+    throw new Error(`A fixtures directory is required to ${newMode}`);
+  }
+
+  mode = newMode;
+  fixturesDir = dir ? resolve(dir) : null;
+  // The responses of the previous configuration belong to another run.
+  recorded.clear();
+  if (mode === "record") {
+    mkdirSync(fixturesDir, { recursive: true });
+  }
+}
+
+/**
+ * Gets how external responses are handled.
+ * @returns {"live"|"record"|"replay"} The mode.
+ */
+export function getFixtureMode() {
+  return mode;
+}
+
+/*
+ * Each response is saved in a file of its own, named by the hash of its key, as soon as it is received.
+ * The key is saved along with it, so the fixtures can be audited.
+ *
+ * A key is answered the same way for the whole run, even when recording: the latest block number, for one,
+ * is pinned at its first value, so the same requests are made in the same order when replaying.
+ */
+const recorded = new Map();
+
+const getFixtureFile = (key) => join(fixturesDir, `${createHash("sha256").update(key).digest("hex")}.json`);
+
+/**
+ * Gets a response from the fixtures when replaying, or from `request` otherwise, saving it when recording.
+ * @template T
+ * @param {string} key What identifies the request.
+ * @param {function(): Promise<T>} request Makes the request. Its result must be serializable as JSON.
+ * @returns {Promise<T>} The response.
+ */
+export async function withFixture(key, request) {
+  if (mode === "live") {
+    return await request();
+  }
+
+  if (!recorded.has(key)) {
+    recorded.set(
+      key,
+      mode === "replay" ? Promise.resolve(readFixture(key)) : request().then((response) => saveFixture(key, response))
+    );
+  }
+
+  // Responses are copied, so they can not be modified by whoever gets them.
+  return JSON.parse(JSON.stringify(await recorded.get(key)));
+}
+
+function readFixture(key) {
+  try {
+    return JSON.parse(readFileSync(getFixtureFile(key))).response;
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      throw new Error(`There is no fixture for ${key} in ${fixturesDir}`);
+    }
+    throw err;
+  }
+}
+
+function saveFixture(key, response) {
+  debug("Recording", key);
+  writeFileSync(getFixtureFile(key), JSON.stringify({ key, response: response ?? null }, null, 2));
+  return response;
+}
+
+/**
+ * A drop-in replacement of `fetch` for the JSON APIs, going through the fixtures.
+ * Only the status and the body of the responses are kept.
+ * @param {string} url The URL.
+ * @param {Object} [options] The same options as `fetch`.
+ * @returns {Promise<{ ok: boolean, status: number, statusText: string, json: function(): Promise<any> }>} The response.
+ */
+export async function fetchWithFixtures(url, options = {}) {
+  const { status, statusText, body } = await withFixture(
+    `fetch ${options.method ?? "GET"} ${url} ${options.body ?? ""}`,
+    async () => {
+      const response = await fetch(url, options);
+      return { status: response.status, statusText: response.statusText, body: await response.text() };
+    }
+  );
+
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText,
+    json: async () => JSON.parse(body),
+    text: async () => body,
+  };
+}
+
+/**
+ * A provider whose requests go through the fixtures.
+ *
+ * It hooks into `perform`, where every ethers provider ends up for `getBlock`, `getLogs`, `call`...,
+ * so the responses are recorded before ethers formats them and are formatted the same way when replaying.
+ */
+class FixtureProvider extends providers.BaseProvider {
+  constructor(network, provider) {
+    super(network);
+    this.provider = provider;
+  }
+
+  // The network is given, and asking the wrapped provider for it would not go through the fixtures.
+  async detectNetwork() {
+    return this._network;
+  }
+
+  async perform(method, params) {
+    const { chainId } = await this.getNetwork();
+    return await withFixture(`provider ${chainId} ${method} ${JSON.stringify(params)}`, () =>
+      this.provider.perform(method, params)
+    );
+  }
+}
+
+/**
+ * Wraps a provider so its requests go through the fixtures.
+ * @param {Object} options The options for the function.
+ * @param {number} options.chainId The chain ID.
+ * @param {string} [options.name] The name of the chain.
+ * @param {function(): import('ethers').providers.BaseProvider} options.createProvider Creates the provider for
+ * live and record modes. It is not called when replaying.
+ * @returns {import('ethers').providers.Provider} The provider.
+ */
+export function createFixtureProvider({ chainId, name = `chain-${chainId}`, createProvider }) {
+  if (mode === "live") {
+    return createProvider();
+  }
+
+  return new FixtureProvider({ chainId, name }, mode === "record" ? createProvider() : null);
+}
@@ -0,0 +1,142 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, readdirSync, rmSync } from "node:fs";
+import { createServer } from "node:http";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { BigNumber, constants, utils } from "ethers";
+import { closePersistentCache, setCacheDir } from "./cache.js";
+import { configureFixtures, createFixtureProvider } from "./fixtures.js";
+import { serializeSnapshot } from "./snapshot-schema.js";
+import { createStakeSource } from "./stake-sources.js";
+
+let createSnapshotCreator;
+before(async () => {
+  // Read by the block fetchers when they are loaded: the fake chain below has a block per second.
+  process.env.PNK_DROP_AVERAGE_BLOCKS_PER_SECOND = "1";
+  ({ createSnapshotCreator } = await import("../create-snapshot-from-block-limits.js"));
+});
+
+const CHAIN_ID = 31337;
+const GENESIS = Date.UTC(2026, 0, 1) / 1000;
+const HEAD = 3000;
+const period = { startDate: new Date((GENESIS + 1000) * 1000), endDate: new Date((GENESIS + 2000) * 1000) };
+
+const dir = mkdtempSync(join(tmpdir(), "pnk-drop-fixtures-"));
+const fixturesDir = join(dir, "fixtures");
+after(async () => {
+  await closePersistentCache();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+const requests = { rpc: 0, subgraph: 0 };
+
+/*
+ * A chain with a block per second, answering the requests ethers makes to its JSON-RPC provider.
+ */
+const rpc = {
+  async perform(method, { blockTag }) {
+    requests.rpc += 1;
+    if (method === "getBlockNumber") {
+      return utils.hexValue(HEAD);
+    }
+    if (method !== "getBlock") {
+      throw new Error(`Unexpected ${method}`);
+    }
+
+    const number = BigNumber.from(blockTag).toNumber();
+    return number > HEAD
+      ? null
+      : {
+          hash: utils.hexZeroPad(utils.hexValue(number + 1), 32),
+          parentHash: utils.hexZeroPad(utils.hexValue(number), 32),
+          number: utils.hexValue(number),
+          timestamp: utils.hexValue(GENESIS + number),
+          nonce: "0x0000000000000000",
+          difficulty: "0x0",
+          gasLimit: "0x0",
+          gasUsed: "0x0",
+          miner: constants.AddressZero,
+          extraData: "0x",
+          transactions: [],
+        };
+  },
+};
+
+const stakeSets = [
+  ["0x00000000000000000000000000000000000000a1", "500", 10],
+  ["0x00000000000000000000000000000000000000b2", "300", 20],
+  ["0x00000000000000000000000000000000000000b2", "0", 1500],
+].map(([address, stake, blocknumber], i) => ({
+  id: String(i),
+  address,
+  subcourtID: "1",
+  stake,
+  newTotalStake: stake,
+  blocknumber: String(blocknumber),
+  logIndex: "0",
+}));
+
+const subgraph = createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    requests.subgraph += 1;
+    const { query } = JSON.parse(body);
+    const lastId = query.match(/id_gt: "(.*?)"/)?.[1];
+    const data = query.includes("_meta")
+      ? { _meta: { block: { number: HEAD } } }
+      : { stakeSets: stakeSets.filter(({ id }) => id > lastId) };
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({ data }));
+  });
+});
+
+let subgraphEndpoint;
+before(async () => {
+  await new Promise((resolve) => subgraph.listen(0, "127.0.0.1", resolve));
+  subgraphEndpoint = `http://127.0.0.1:${subgraph.address().port}/`;
+});
+after(() => subgraph.close());
+
+/*
+ * Configures the fixtures as the CLI does, with a cache of its own for each run, and creates a snapshot.
+ */
+let runs = 0;
+async function run(mode, { startDate, endDate } = period) {
+  await closePersistentCache();
+  setCacheDir(join(dir, `cache-${++runs}`));
+  configureFixtures({ mode, dir: fixturesDir });
+
+  // Only called when recording.
+  const provider = createFixtureProvider({ chainId: CHAIN_ID, createProvider: () => rpc });
+
+  const chain = { chainId: CHAIN_ID, subgraphEndpoint, provider };
+  const createSnapshot = await createSnapshotCreator({
+    provider,
+    getStakeChanges: createStakeSource(chain, { source: "subgraph" }),
+    droppedAmount: BigNumber.from(1000),
+  });
+
+  return serializeSnapshot(await createSnapshot({ startDate, endDate }));
+}
+
+describe("fixtures", () => {
+  it("replays a recorded run to the same snapshot, without any request", async () => {
+    const recorded = await run("record");
+    assert.equal(Object.keys(JSON.parse(recorded).merkleTree.claims).length, 2);
+    assert.ok(requests.rpc > 0);
+    assert.ok(requests.subgraph > 0);
+    assert.ok(readdirSync(fixturesDir).length > 0);
+
+    const counts = { ...requests };
+    const replayed = await run("replay");
+    assert.equal(replayed, recorded);
+    assert.deepEqual(requests, counts);
+  });
+
+  it("fails to replay a request that was not recorded", async () => {
+    const other = { startDate: new Date((GENESIS + 500) * 1000), endDate: period.endDate };
+    await assert.rejects(run("replay", other), /There is no fixture for /);
+  });
+});
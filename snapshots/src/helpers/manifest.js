@@ -0,0 +1,185 @@
+import { execFileSync } from "child_process";
+import { readFileSync } from "fs";
+import { BigNumber } from "ethers";
+import { fileURLToPath } from "url";
+import { advanceCheckpoint, createEmptyCheckpoint } from "./checkpoints.js";
+import { hashStakeChanges } from "./event-store.js";
+import { getDefaultStakeSource } from "./stake-sources.js";
+import { normalizeSnapshot } from "./snapshot-schema.js";
+
+/**
+ * @typedef {import('./stake-sources.js').StakeChange} StakeChange
+ */
+
+/**
+ * Everything needed to compute a snapshot again and check it.
+ * @typedef {object} SnapshotManifest
+ * @prop {number} version The version of the manifest format.
+ * @prop {{ name: string, version: string, commit: string|null }} generator The code that produced the snapshot.
+ * @prop {number} chainId The chain ID.
+ * @prop {number} klerosVersion The version of Kleros deployed in the chain.
+ * @prop {"subgraph"|"rpc"|"both"} eventSource Where the stake changes were read from.
+ * @prop {Object<string, string>} contracts The contracts the stake changes were read from, and the subgraph endpoint.
+ * @prop {number} fromBlock The first block of the stake history [inclusive].
+ * @prop {number} toBlock The latest block when the snapshot was created.
+ * @prop {number} startBlock The first block of the period, resolved from its start date [inclusive].
+ * @prop {number} endBlock The last block of the period, resolved from its end date [inclusive].
+ * @prop {{ count: number, hash: string }} stakeChanges The stake changes the snapshot was computed from.
+ * See `getPeriodStakeChanges`.
+ * @prop {string|null} [previousSnapshot] Where the snapshot the returns history was carried over from was read.
+ * @prop {Object} params The parameters of the computation: amounts as decimal strings, the rest as given.
+ */
+
+/**
+ * The version of the manifest format.
+ * @type {number}
+ */
+export const MANIFEST_VERSION = 1;
+
+const PACKAGE_FILE = new URL("../../package.json", import.meta.url);
+
+let generator = null;
+
+/**
+ * Identifies the code producing the snapshots: the package version and, when running from a git checkout, the commit.
+ * @returns {{ name: string, version: string, commit: string|null }} The generator.
+ */
+export function getGenerator() {
+  if (!generator) {
+    const { name, version } = JSON.parse(readFileSync(PACKAGE_FILE));
+    let commit = null;
+    try {
+      commit = execFileSync("git", ["rev-parse", "HEAD"], {
+        cwd: fileURLToPath(new URL(".", import.meta.url)),
+        stdio: ["ignore", "pipe", "ignore"],
+      })
+        .toString()
+        .trim();
+    } catch {
+      // Not a git checkout, e.g. when installed from npm.
+    }
+    generator = { name, version, commit };
+  }
+
+  return generator;
+}
+
+/**
+ * Describes where the stake changes of a chain are read from, for the manifest.
+ * @param {import('./chains.js').Chain} chain The chain.
+ * @param {Object} options The options for the function.
+ * @param {"subgraph"|"rpc"|"both"} [options.eventSource] Where the stake changes are read from.
+ * Defaults to `getDefaultStakeSource(chain)`.
+ * @returns {Pick<SnapshotManifest, "chainId"|"klerosVersion"|"eventSource"|"contracts">} The description.
+ */
+export function describeStakeSource(chain, { eventSource = getDefaultStakeSource(chain) } = {}) {
+  if (chain.klerosVersion === 2) {
+    return {
+      chainId: chain.chainId,
+      klerosVersion: 2,
+      // Kleros v2 stake changes are always read through the RPC.
+      eventSource: "rpc",
+      contracts: { klerosCore: chain.klerosCoreAddress, sortitionModule: chain.sortitionModuleAddress },
+    };
+  }
+
+  return {
+    chainId: chain.chainId,
+    klerosVersion: 1,
+    eventSource,
+    contracts: {
+      klerosLiquid: chain.klerosLiquidAddress,
+      ...(eventSource !== "rpc" ? { subgraphEndpoint: chain.subgraphEndpoint } : {}),
+    },
+  };
+}
+
+/**
+ * Normalizes the stake changes a period is computed from, so they are the same however they were fetched:
+ * the last stake change of each juror in each court before the period, as in a checkpoint,
+ * followed by the stake changes from the start of the period on.
+ * @param {StakeChange[]} stakeChanges The stake changes, sorted, either all of them since `fromBlock`
+ * or starting from a checkpoint.
+ * @param {Object} options The options for the function.
+ * @param {number} options.fromBlock The first block of the stake history.
+ * @param {number} options.startBlock The first block of the period.
+ * @returns {StakeChange[]} The normalized stake changes.
+ */
+export function getPeriodStakeChanges(stakeChanges, { fromBlock, startBlock }) {
+  const { stakeChanges: beforePeriod } = advanceCheckpoint(createEmptyCheckpoint(fromBlock), stakeChanges, startBlock);
+  return [...beforePeriod, ...stakeChanges.filter(({ blockNumber }) => blockNumber >= startBlock)];
+}
+
+/**
+ * Summarizes the stake changes a period is computed from.
+ * @param {StakeChange[]} stakeChanges The stake changes, sorted. See `getPeriodStakeChanges`.
+ * @param {Object} options The options for the function.
+ * @param {number} options.fromBlock The first block of the stake history.
+ * @param {number} options.startBlock The first block of the period.
+ * @returns {{ count: number, hash: string }} The number and the hash of the normalized stake changes.
+ */
+export function summarizeStakeChanges(stakeChanges, options) {
+  const normalized = getPeriodStakeChanges(stakeChanges, options);
+  return { count: normalized.length, hash: hashStakeChanges(normalized) };
+}
+
+/**
+ * Compares a published snapshot with the one computed again from its manifest.
+ * Both are compared in canonical form, so the published one can be of any schema version.
+ * @param {Object} published The published snapshot.
+ * @param {Object} recomputed The snapshot computed again.
+ * @returns {string[]} The differences found. Empty if the snapshots match.
+ */
+export function compareSnapshots(published, recomputed) {
+  const [expected, actual] = [published, recomputed].map(normalizeSnapshot);
+  const errors = [];
+
+  for (const key of ["startBlock", "endBlock"]) {
+    if (expected.manifest[key] !== actual.manifest[key]) {
+      errors.push(`The ${key} resolves to ${actual.manifest[key]} instead of ${expected.manifest[key]}`);
+    }
+  }
+
+  const { stakeChanges: expectedChanges } = expected.manifest;
+  const { stakeChanges: actualChanges } = actual.manifest;
+  if (expectedChanges.hash !== actualChanges.hash) {
+    errors.push(
+      `The stake changes hash to ${actualChanges.hash} (${actualChanges.count} changes) ` +
+        `instead of ${expectedChanges.hash} (${expectedChanges.count} changes)`
+    );
+  }
+
+  for (const key of ["droppedAmount", "totalClaimable", "averageTotalStaked"]) {
+    if (!BigNumber.from(expected[key]).eq(BigNumber.from(actual[key]))) {
+      errors.push(`The ${key} is ${BigNumber.from(actual[key])} instead of ${BigNumber.from(expected[key])}`);
+    }
+  }
+
+  if (expected.merkleTree.root !== actual.merkleTree.root) {
+    errors.push(`The merkle root is ${actual.merkleTree.root} instead of ${expected.merkleTree.root}`);
+  }
+
+  const addresses = new Set([...Object.keys(expected.merkleTree.claims), ...Object.keys(actual.merkleTree.claims)]);
+  for (const address of addresses) {
+    const expectedClaim = expected.merkleTree.claims[address];
+    const actualClaim = actual.merkleTree.claims[address];
+    if (!actualClaim) {
+      errors.push(`The claim of ${address} is not in the recomputed snapshot`);
+    } else if (!expectedClaim) {
+      errors.push(`The claim of ${address} is missing from the published snapshot`);
+    } else if (!BigNumber.from(expectedClaim.value).eq(BigNumber.from(actualClaim.value))) {
+      errors.push(
+        `The claim of ${address} is ${BigNumber.from(actualClaim.value)} instead of ${BigNumber.from(
+          expectedClaim.value
+        )}`
+      );
+    } else if (
+      expectedClaim.node !== actualClaim.node ||
+      JSON.stringify(expectedClaim.proof) !== JSON.stringify(actualClaim.proof)
+    ) {
+      errors.push(`The proof of the claim of ${address} does not match`);
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { BigNumber, utils } from "ethers";
+import { compareSnapshots } from "./manifest.js";
+import { normalizeSnapshot } from "./snapshot-schema.js";
+
+let createSnapshotCreator;
+before(async () => {
+  // Read by the block fetchers when they are loaded: the fake chain below has a block per second.
+  process.env.PNK_DROP_AVERAGE_BLOCKS_PER_SECOND = "1";
+  ({ createSnapshotCreator } = await import("../create-snapshot-from-block-limits.js"));
+});
+
+const GENESIS = Date.UTC(2026, 0, 1) / 1000;
+const HEAD = 3000;
+const provider = {
+  getBlockNumber: async () => HEAD,
+  getBlock: async (n) => (n >= 0 && n <= HEAD ? { number: n, timestamp: GENESIS + n } : null),
+  getNetwork: async () => ({ chainId: 31337 }),
+};
+const period = { startDate: new Date((GENESIS + 1000) * 1000), endDate: new Date((GENESIS + 2000) * 1000) };
+
+const [alice, bob, carol] = [
+  "0x00000000000000000000000000000000000000a1",
+  "0x00000000000000000000000000000000000000b2",
+  "0x00000000000000000000000000000000000000c3",
+].map(utils.getAddress);
+
+const change = (address, stake, blockNumber, logIndex = 0) => ({
+  address,
+  courtId: "1",
+  courtStake: BigNumber.from(stake),
+  totalStake: BigNumber.from(stake),
+  blockNumber,
+  logIndex,
+});
+
+const history = [change(alice, 500, 10), change(bob, 300, 20), change(bob, 0, 500), change(carol, 200, 1500)];
+
+async function createSnapshot(stakeChanges = history, options) {
+  const create = await createSnapshotCreator({
+    provider,
+    getStakeChanges: async (fromBlock, toBlock) =>
+      stakeChanges.filter(({ blockNumber }) => blockNumber >= fromBlock && blockNumber <= toBlock),
+    droppedAmount: BigNumber.from(1000),
+    ...options,
+  });
+
+  return create({ toBlock: HEAD, ...period });
+}
+
+describe("compareSnapshots", () => {
+  it("matches a snapshot computed again, even when published in the legacy format", async () => {
+    const published = await createSnapshot();
+
+    assert.deepEqual(compareSnapshots(published, await createSnapshot()), []);
+    const legacy = JSON.parse(JSON.stringify(published));
+    assert.deepEqual(compareSnapshots(legacy, await createSnapshot()), []);
+  });
+
+  it("matches a snapshot computed again from a checkpoint instead of the whole history", async () => {
+    const published = await createSnapshot();
+    const saved = [];
+    const checkpoints = {
+      getLatest: async ({ block }) => saved.filter((checkpoint) => checkpoint.block <= block).at(-1) ?? null,
+      put: async (checkpoint) => saved.push(checkpoint),
+    };
+    await createSnapshot(history, { checkpoints });
+    assert.ok(saved.length > 0);
+
+    assert.deepEqual(compareSnapshots(published, await createSnapshot(history, { checkpoints })), []);
+  });
+
+  it("reports the claims of a different value and the stake changes they come from", async () => {
+    const published = await createSnapshot();
+    // Carol stakes 400 instead of 200 for the last half of the period.
+    const recomputed = await createSnapshot([...history.slice(0, 3), change(carol, 400, 1500)]);
+
+    const [hash, ...rest] = compareSnapshots(published, recomputed);
+    assert.match(hash, /^The stake changes hash to [0-9a-f]+ \(2 changes\) instead of [0-9a-f]+ \(2 changes\)$/);
+    assert.deepEqual(rest, [
+      "The averageTotalStaked is 700 instead of 600",
+      `The merkle root is ${recomputed.merkleTree.root} instead of ${published.merkleTree.root}`,
+      `The claim of ${alice} is 714 instead of 833`,
+      `The claim of ${carol} is 285 instead of 166`,
+    ]);
+  });
+
+  it("reports a claim whose proof changed, and a different root", async () => {
+    const published = normalizeSnapshot(await createSnapshot());
+    const recomputed = normalizeSnapshot(published);
+    recomputed.merkleTree.claims[alice].proof = [recomputed.merkleTree.claims[alice].node];
+    recomputed.merkleTree.root = `0x${"0".repeat(64)}`;
+
+    assert.deepEqual(compareSnapshots(published, recomputed), [
+      `The merkle root is 0x${"0".repeat(64)} instead of ${published.merkleTree.root}`,
+      `The proof of the claim of ${alice} does not match`,
+    ]);
+  });
+
+  it("reports the claims missing from either snapshot", async () => {
+    const published = normalizeSnapshot(await createSnapshot());
+    const recomputed = normalizeSnapshot(published);
+    recomputed.merkleTree.claims[bob] = recomputed.merkleTree.claims[carol];
+    delete recomputed.merkleTree.claims[carol];
+
+    assert.deepEqual(compareSnapshots(published, recomputed), [
+      `The claim of ${carol} is not in the recomputed snapshot`,
+      `The claim of ${bob} is missing from the published snapshot`,
+    ]);
+  });
+});
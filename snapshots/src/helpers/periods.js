@@ -0,0 +1,137 @@
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+
+dayjs.extend(utc);
+
+/**
+ * September 2025, when the current target schedule and period numbering start.
+ * @type {Dayjs}
+ */
+export const BASE_MONTH = dayjs.utc("2025-09-01");
+
+/**
+ * Checks a month is written as YYYY-MM and exists. dayjs rolls `2025-13` over to January 2026 instead of failing.
+ * @param {string} value The month.
+ * @returns {boolean} Whether it is a valid month.
+ */
+export function isMonth(value) {
+  return /^\d{4}-\d{2}$/.test(value) && dayjs.utc(`${value}-01`).format("YYYY-MM") === value;
+}
+
+/**
+ * Checks a date is written as YYYY-MM-DD and exists, so `2025-02-30` is not taken for March 2nd.
+ * @param {string} value The date.
+ * @returns {boolean} Whether it is a valid date.
+ */
+export function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && dayjs.utc(value).format("YYYY-MM-DD") === value;
+}
+
+/**
+ * Gets the number of months between the start of the schedule and the month a distribution starts in.
+ * @param {Date|string|Dayjs} date A date within the month the distribution starts in.
+ * @returns {number} The number of months, 0 for September 2025.
+ */
+export function getMonthsSinceBase(date) {
+  const monthDiff = dayjs.utc(date).startOf("month").diff(BASE_MONTH, "month");
+  if (monthDiff < 0) {
+    throw new Error(`The distribution schedule starts in ${BASE_MONTH.format("YYYY-MM")}`);
+  }
+
+  return monthDiff;
+}
+
+/**
+ * How often the periods of a series start:
+ * - `month`: every calendar month;
+ * - `week` and `biweek`: every 7 and 14 days;
+ * - `days`: every `days` days.
+ */
+export const FREQUENCIES = ["month", "week", "biweek", "days"];
+
+const DAYS_BY_FREQUENCY = { week: 7, biweek: 14 };
+
+// The frequencies `createSnapshotCreator` understands, the periods being a whole number of them.
+const SNAPSHOT_FREQUENCIES = { month: "month", week: "week", biweek: "week", days: "day" };
+
+/**
+ * Gets the period a distribution is seeded with in MerkleRedeem (the `_week` of `seedAllocations`).
+ * Each chain has its own period for September 2025, which increases by 1 each month.
+ * @param {{ basePeriod: number, maxPeriod?: number }} chain The chain.
+ * @param {Date|string|Dayjs} date A date within the month the distribution starts in.
+ * @returns {number} The period.
+ */
+export function getPeriod(chain, date) {
+  return getSeriesPeriodNumber(chain, getMonthsSinceBase(date));
+}
+
+/**
+ * Gets a period of a series by its index.
+ * @param {{ frequency: string, days?: number, startDate: string }} series The series.
+ * @param {number} index The index of the period, 0 for the one starting on the `startDate` of the series.
+ * Negative indexes are the periods of the same length before the series started.
+ * @returns {{ index: number, startDate: Dayjs, endDate: Dayjs }} The period. The end date is exclusive.
+ */
+export function getSeriesPeriodAt(series, index) {
+  const start = dayjs.utc(series.startDate);
+  if (series.frequency === "month") {
+    return { index, startDate: start.add(index, "month"), endDate: start.add(index + 1, "month") };
+  }
+
+  const days = getPeriodDays(series);
+  return { index, startDate: start.add(index * days, "day"), endDate: start.add((index + 1) * days, "day") };
+}
+
+/**
+ * Gets the period of a series a date falls in.
+ * @param {{ frequency: string, days?: number, startDate: string }} series The series.
+ * @param {Date|string|Dayjs} date The date.
+ * @returns {{ index: number, startDate: Dayjs, endDate: Dayjs }} The period. The end date is exclusive.
+ */
+export function getSeriesPeriod(series, date) {
+  const start = dayjs.utc(series.startDate);
+  const day = dayjs.utc(date);
+  if (day.isBefore(start)) {
+    throw new Error(`The series starts on ${start.format("YYYY-MM-DD")}`);
+  }
+
+  const index =
+    series.frequency === "month"
+      ? day.startOf("month").diff(start, "month")
+      : Math.floor(day.diff(start, "day") / getPeriodDays(series));
+  return getSeriesPeriodAt(series, index);
+}
+
+/**
+ * Gets the period a distribution of a series is seeded with in MerkleRedeem.
+ * Each series has its own base period in each chain, which increases by 1 each period.
+ * @param {{ basePeriod: number, maxPeriod?: number }} chain The chain, with the base period of the series and
+ * the last period before the numbers of the next series seeded in the same MerkleRedeem contract.
+ * @param {number} index The index of the period in the series.
+ * @returns {number} The period.
+ */
+export function getSeriesPeriodNumber({ basePeriod, maxPeriod = Infinity }, index) {
+  const period = basePeriod + index;
+  if (period > maxPeriod) {
+    throw new Error(`Period ${period} reaches the periods of another series seeded in the same MerkleRedeem contract`);
+  }
+
+  return period;
+}
+
+/**
+ * Gets the frequency the snapshots of a series are created with. See `createSnapshotCreator`.
+ * @param {{ frequency: string }} series The series.
+ * @returns {string} The frequency.
+ */
+export function getSnapshotFrequency({ frequency }) {
+  return SNAPSHOT_FREQUENCIES[frequency];
+}
+
+function getPeriodDays({ frequency, days }) {
+  return frequency === "days" ? days : DAYS_BY_FREQUENCY[frequency];
+}
+
+/**
+ * @typedef {import('dayjs').Dayjs} Dayjs
+ */
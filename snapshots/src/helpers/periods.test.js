@@ -0,0 +1,80 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { getPeriod, getSeriesPeriod, getSeriesPeriodAt, getSeriesPeriodNumber, isDate, isMonth } from "./periods.js";
+
+const format = ({ index, startDate, endDate }) => [index, startDate.toISOString(), endDate.toISOString()];
+
+describe("getSeriesPeriod", () => {
+  const weekly = { frequency: "week", startDate: "2026-11-02" };
+
+  it("splits weekly series in 7 days from their start", () => {
+    assert.deepEqual(format(getSeriesPeriod(weekly, "2026-11-02")), [
+      0,
+      "2026-11-02T00:00:00.000Z",
+      "2026-11-09T00:00:00.000Z",
+    ]);
+    assert.deepEqual(format(getSeriesPeriod(weekly, "2026-11-22T23:59:59Z")), [
+      2,
+      "2026-11-16T00:00:00.000Z",
+      "2026-11-23T00:00:00.000Z",
+    ]);
+  });
+
+  it("splits biweekly and custom series by their length", () => {
+    assert.equal(getSeriesPeriod({ frequency: "biweek", startDate: "2026-01-01" }, "2026-01-15").index, 1);
+    assert.deepEqual(format(getSeriesPeriod({ frequency: "days", days: 10, startDate: "2026-01-01" }, "2026-01-31")), [
+      3,
+      "2026-01-31T00:00:00.000Z",
+      "2026-02-10T00:00:00.000Z",
+    ]);
+  });
+
+  it("follows calendar months in monthly series", () => {
+    assert.deepEqual(format(getSeriesPeriod({ frequency: "month", startDate: "2026-01-01" }, "2026-03-31")), [
+      2,
+      "2026-03-01T00:00:00.000Z",
+      "2026-04-01T00:00:00.000Z",
+    ]);
+  });
+
+  it("gives the window before the start of the series as period -1", () => {
+    assert.deepEqual(format(getSeriesPeriodAt(weekly, -1)), [
+      -1,
+      "2026-10-26T00:00:00.000Z",
+      "2026-11-02T00:00:00.000Z",
+    ]);
+    assert.throws(() => getSeriesPeriod(weekly, "2026-11-01"), /starts on 2026-11-02/);
+  });
+});
+
+describe("getSeriesPeriodNumber", () => {
+  it("counts from the base period of the series", () => {
+    assert.equal(getSeriesPeriodNumber({ basePeriod: 1000 }, 0), 1000);
+    assert.equal(getSeriesPeriodNumber({ basePeriod: 1000, maxPeriod: 1999 }, 999), 1999);
+  });
+
+  it("fails before reaching the periods of the next series in the same contract", () => {
+    assert.throws(() => getSeriesPeriodNumber({ basePeriod: 1000, maxPeriod: 1999 }, 1000), /Period 2000 reaches/);
+    assert.throws(() => getPeriod({ basePeriod: 55, maxPeriod: 56 }, "2025-11-01"), /Period 57 reaches/);
+  });
+
+  it("keeps the monthly numbering", () => {
+    assert.equal(getPeriod({ basePeriod: 55 }, "2025-09-01"), 55);
+    assert.equal(getPeriod({ basePeriod: 55, maxPeriod: Infinity }, "2026-10-15"), 68);
+  });
+});
+
+describe("isMonth and isDate", () => {
+  it("accept months and dates that exist", () => {
+    assert.ok(isMonth("2025-12"));
+    assert.ok(isDate("2028-02-29"));
+  });
+
+  it("reject the ones dayjs would roll over", () => {
+    assert.ok(!isMonth("2025-13"));
+    assert.ok(!isMonth("2025-00"));
+    assert.ok(!isMonth("2025-1"));
+    assert.ok(!isDate("2025-02-30"));
+    assert.ok(!isDate("2025-12-32"));
+  });
+});
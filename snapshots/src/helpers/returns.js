@@ -0,0 +1,109 @@
+import { BigNumber } from "ethers";
+import { formatUnits } from "ethers/lib/utils.js";
+
+/**
+ * The length of a year the returns are annualized over, 365 days.
+ * @type {number}
+ */
+export const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+/**
+ * The number of previous periods kept in the `returnsHistory` of a snapshot.
+ * @type {number}
+ */
+export const RETURNS_HISTORY_LENGTH = 12;
+
+// The rate is computed on whole tokens, then turned into a number.
+const RATE_DECIMALS = 18;
+
+/**
+ * Gets what staking yielded in a period, from its actual length.
+ * @param {Object} params The parameters of the function.
+ * @param {BigNumber|string} params.droppedAmount The amount distributed in the period.
+ * @param {BigNumber|string} params.averageTotalStaked The average total stake in the period.
+ * @param {Date|string} params.startDate The start of the period.
+ * @param {Date|string} params.endDate The end of the period, exclusive.
+ * @returns {Returns} The returns. The rates are `null` if nothing was staked.
+ */
+export function getReturns({ droppedAmount, averageTotalStaked, startDate, endDate }) {
+  const periodSeconds = (new Date(endDate).getTime() - new Date(startDate).getTime()) / 1000;
+  if (!(periodSeconds > 0)) {
+    throw new Error(`Invalid period ${new Date(startDate).toISOString()} → ${new Date(endDate).toISOString()}`);
+  }
+
+  const staked = BigNumber.from(averageTotalStaked);
+  if (staked.isZero()) {
+    return { periodSeconds, rate: null, apr: null, apy: null };
+  }
+
+  const rate = Number(
+    formatUnits(BigNumber.from(droppedAmount).mul(BigNumber.from(10).pow(RATE_DECIMALS)).div(staked), RATE_DECIMALS)
+  );
+  const periodsPerYear = SECONDS_PER_YEAR / periodSeconds;
+
+  return {
+    periodSeconds,
+    rate,
+    apr: rate * periodsPerYear,
+    // Reinvesting the reward of each period, (1 + rate)^periodsPerYear - 1, precise for small rates.
+    apy: Math.expm1(periodsPerYear * Math.log1p(rate)),
+  };
+}
+
+/**
+ * Gets the returns of the same period across chains, each weighted by its stake:
+ * the total distributed over the total staked.
+ * @param {Array<{ droppedAmount: BigNumber|string, averageTotalStaked: BigNumber|string }>} chains The chains.
+ * @param {{ startDate: Date|string, endDate: Date|string }} period The period of every chain.
+ * @returns {Returns & { droppedAmount: BigNumber, averageTotalStaked: BigNumber }} The returns, with the totals.
+ */
+export function combineReturns(chains, { startDate, endDate }) {
+  const sum = (key) => chains.reduce((acc, chain) => acc.add(chain[key]), BigNumber.from(0));
+  const droppedAmount = sum("droppedAmount");
+  const averageTotalStaked = sum("averageTotalStaked");
+
+  return {
+    droppedAmount,
+    averageTotalStaked,
+    ...getReturns({ droppedAmount, averageTotalStaked, startDate, endDate }),
+  };
+}
+
+/**
+ * Gets the returns of the periods before a snapshot, oldest first, from the snapshot of the previous period.
+ * Snapshots without `returns` have them computed from their amounts and dates.
+ * @param {Object|null} previous The snapshot of the previous period in canonical form, or `null` if there is none.
+ * @param {Object} [options] The options for the function.
+ * @param {number} [options.limit=RETURNS_HISTORY_LENGTH] The number of periods kept.
+ * @returns {ReturnsHistoryEntry[]} The returns of the previous periods, at most `limit`.
+ */
+export function getReturnsHistory(previous, { limit = RETURNS_HISTORY_LENGTH } = {}) {
+  if (!previous) {
+    return [];
+  }
+
+  const { startDate, endDate } = previous;
+  const { apr, apy } = previous.returns ?? getReturns(previous);
+  const combined = previous.combinedReturns
+    ? { apr: previous.combinedReturns.apr, apy: previous.combinedReturns.apy }
+    : null;
+
+  return [...(previous.returnsHistory ?? []), { startDate, endDate, apr, apy, combined }].slice(-limit);
+}
+
+/**
+ * @typedef {Object} Returns
+ * @property {number} periodSeconds The length of the period in seconds.
+ * @property {number|null} rate The amount distributed over the average total stake, for the period.
+ * @property {number|null} apr The rate annualized without compounding.
+ * @property {number|null} apy The rate annualized compounding every period.
+ */
+
+/**
+ * @typedef {Object} ReturnsHistoryEntry
+ * @property {string} startDate The start of the period.
+ * @property {string} endDate The end of the period, exclusive.
+ * @property {number|null} apr The APR of the chain.
+ * @property {number|null} apy The APY of the chain.
+ * @property {{ apr: number|null, apy: number|null }|null} combined The returns across chains, if they were recorded.
+ */
@@ -0,0 +1,113 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { parseEther } from "ethers/lib/utils.js";
+import { combineReturns, getReturns, getReturnsHistory, SECONDS_PER_YEAR } from "./returns.js";
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} is not ${expected}`);
+
+describe("getReturns", () => {
+  it("annualizes from the actual length of the period", () => {
+    const returns = getReturns({
+      droppedAmount: parseEther("1"),
+      averageTotalStaked: parseEther("100"),
+      startDate: new Date("2026-02-01T00:00:00Z"),
+      endDate: new Date("2026-03-01T00:00:00Z"),
+    });
+
+    assert.equal(returns.periodSeconds, 28 * 24 * 60 * 60);
+    assert.equal(returns.rate, 0.01);
+    close(returns.apr, (0.01 * 365) / 28);
+    close(returns.apy, Math.pow(1.01, 365 / 28) - 1);
+  });
+
+  it("gives a higher APY than APR when the period is shorter than a year", () => {
+    const { apr, apy } = getReturns({
+      droppedAmount: "1000",
+      averageTotalStaked: "100000",
+      startDate: "2026-01-05T00:00:00.000Z",
+      endDate: "2026-01-12T00:00:00.000Z",
+    });
+
+    assert.ok(apy > apr);
+  });
+
+  it("gives the rate itself for a period of a year", () => {
+    const returns = getReturns({
+      droppedAmount: parseEther("5"),
+      averageTotalStaked: parseEther("100"),
+      startDate: new Date(0),
+      endDate: new Date(SECONDS_PER_YEAR * 1000),
+    });
+
+    close(returns.apr, 0.05);
+    close(returns.apy, 0.05);
+  });
+
+  it("has no rates without stake and fails on an empty period", () => {
+    const period = { startDate: "2026-01-01T00:00:00.000Z", endDate: "2026-02-01T00:00:00.000Z" };
+    assert.deepEqual(getReturns({ droppedAmount: "1", averageTotalStaked: "0", ...period }), {
+      periodSeconds: 31 * 24 * 60 * 60,
+      rate: null,
+      apr: null,
+      apy: null,
+    });
+    assert.throws(
+      () => getReturns({ droppedAmount: "1", averageTotalStaked: "1", ...period, endDate: period.startDate }),
+      /Invalid period/
+    );
+  });
+});
+
+describe("combineReturns", () => {
+  it("weights each chain by its stake", () => {
+    const period = { startDate: "2026-01-01T00:00:00.000Z", endDate: "2026-02-01T00:00:00.000Z" };
+    const combined = combineReturns(
+      [
+        { droppedAmount: parseEther("3"), averageTotalStaked: parseEther("100") },
+        { droppedAmount: parseEther("1"), averageTotalStaked: parseEther("300") },
+      ],
+      period
+    );
+
+    assert.equal(combined.droppedAmount.toString(), parseEther("4").toString());
+    assert.equal(combined.averageTotalStaked.toString(), parseEther("400").toString());
+    assert.equal(combined.rate, 0.01);
+  });
+});
+
+describe("getReturnsHistory", () => {
+  const legacy = {
+    startDate: "2025-12-01T00:00:00.000Z",
+    endDate: "2026-01-01T00:00:00.000Z",
+    droppedAmount: parseEther("2").toString(),
+    averageTotalStaked: parseEther("100").toString(),
+  };
+
+  it("is empty without a previous snapshot", () => {
+    assert.deepEqual(getReturnsHistory(null), []);
+  });
+
+  it("computes the returns of snapshots that do not record them", () => {
+    const [entry] = getReturnsHistory(legacy);
+
+    assert.equal(entry.startDate, legacy.startDate);
+    close(entry.apr, (0.02 * 365) / 31);
+    assert.equal(entry.combined, null);
+  });
+
+  it("appends the previous period to its own history, up to the limit", () => {
+    const previous = {
+      ...legacy,
+      returns: { periodSeconds: 1, rate: 0.02, apr: 0.3, apy: 0.4 },
+      combinedReturns: { periodSeconds: 1, rate: 0.01, apr: 0.1, apy: 0.2 },
+      returnsHistory: [1, 2, 3].map((apr) => ({ startDate: "", endDate: "", apr, apy: apr, combined: null })),
+    };
+    const history = getReturnsHistory(previous, { limit: 3 });
+
+    assert.deepEqual(
+      history.map(({ apr }) => apr),
+      [2, 3, 0.3]
+    );
+    assert.deepEqual(history[2].combined, { apr: 0.1, apy: 0.2 });
+  });
+});
@@ -0,0 +1,82 @@
+import { BigNumber } from "ethers";
+import { parseUnits } from "ethers/lib/utils.js";
+import { EMISSION_BASIS } from "../emission.js";
+
+// Split percentages are turned into ratios with 9 decimals, the basis of the drop ratios.
+const PERCENTAGE_DECIMALS = 7;
+
+/**
+ * Expands overrides into scenarios: every combination of their values, in order.
+ * Overrides without values are left out of the scenarios.
+ * @param {Object<string, Array>} overrides The values of each override, indexed by its name.
+ * @returns {Object[]} The scenarios. A single empty scenario if there are no overrides.
+ */
+export function getScenarios(overrides) {
+  return Object.entries(overrides)
+    .filter(([, values]) => values.length > 0)
+    .reduce(
+      (scenarios, [name, values]) =>
+        scenarios.flatMap((scenario) => values.map((value) => ({ ...scenario, [name]: value }))),
+      [{}]
+    );
+}
+
+/**
+ * Parses a split of the reward among the chains, given as percentages.
+ * @param {string} split A JSON object with the percentage of each chain as a decimal string, indexed by chain ID,
+ * e.g. `{"1":"80","100":"20"}`.
+ * @param {number[]} chainIds The active chains. Each must have a percentage.
+ * @returns {Object<string, BigNumber>} The drop ratio of each chain, with 9 decimals, indexed by chain ID.
+ */
+export function parseChainSplit(split, chainIds) {
+  const percentages = JSON.parse(split);
+  const keys = Object.keys(percentages).sort();
+  if (keys.join() !== chainIds.map(String).sort().join()) {
+    throw new Error(`The split ${split} must have a percentage for each active chain: ${chainIds.join(", ")}`);
+  }
+
+  const ratios = Object.fromEntries(
+    keys.map((chainId) => [chainId, parseUnits(String(percentages[chainId]), PERCENTAGE_DECIMALS)])
+  );
+  const total = Object.values(ratios).reduce((acc, ratio) => acc.add(ratio), BigNumber.from(0));
+  if (!total.eq(EMISSION_BASIS)) {
+    throw new Error(`The percentages of the split ${split} must add up to 100`);
+  }
+
+  return ratios;
+}
+
+/**
+ * Describes how the claims of a snapshot are distributed.
+ * @param {Object<string, { value: BigNumber|string }>} claims The claims, indexed by the juror address.
+ * @param {Object} [options] The options for the function.
+ * @param {number} [options.top=10] The number of largest claims whose share of the total is reported.
+ * @returns {{ count: number, total: BigNumber, min: BigNumber, median: BigNumber, p90: BigNumber, max: BigNumber,
+ * topShare: number }} The number of claims, their total, their quantiles and the share of the largest ones
+ * as a percentage.
+ */
+export function summarizeClaims(claims, { top = 10 } = {}) {
+  const values = Object.values(claims)
+    .map(({ value }) => BigNumber.from(value))
+    .sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+  const zero = BigNumber.from(0);
+  if (values.length === 0) {
+    return { count: 0, total: zero, min: zero, median: zero, p90: zero, max: zero, topShare: 0 };
+  }
+
+  const sum = (amounts) => amounts.reduce((acc, amount) => acc.add(amount), zero);
+  // Nearest-rank quantiles, so they are always one of the claims.
+  const quantile = (q) => values[Math.max(0, Math.ceil(q * values.length) - 1)];
+  const total = sum(values);
+
+  return {
+    count: values.length,
+    total,
+    min: values[0],
+    median: quantile(0.5),
+    p90: quantile(0.9),
+    max: values[values.length - 1],
+    // In basis points, then as a percentage with 2 decimals.
+    topShare: total.isZero() ? 0 : sum(values.slice(-top)).mul(10000).div(total).toNumber() / 100,
+  };
+}
@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { BigNumber } from "ethers";
+import { getScenarios, parseChainSplit, summarizeClaims } from "./simulation.js";
+
+describe("getScenarios", () => {
+  it("expands every combination of the overrides, in order", () => {
+    assert.deepEqual(getScenarios({ lastamount: ["1", "2"], target: ["35", "40"] }), [
+      { lastamount: "1", target: "35" },
+      { lastamount: "1", target: "40" },
+      { lastamount: "2", target: "35" },
+      { lastamount: "2", target: "40" },
+    ]);
+  });
+
+  it("leaves out the overrides without values", () => {
+    assert.deepEqual(getScenarios({ lastamount: ["1"], target: [], split: [] }), [{ lastamount: "1" }]);
+    assert.deepEqual(getScenarios({ target: [] }), [{}]);
+    assert.deepEqual(getScenarios({}), [{}]);
+  });
+});
+
+describe("parseChainSplit", () => {
+  it("turns the percentages into ratios with 9 decimals", () => {
+    const ratios = parseChainSplit('{"1":"80.5","100":"19.5"}', [1, 100]);
+
+    assert.deepEqual(
+      Object.entries(ratios).map(([chainId, ratio]) => [chainId, ratio.toString()]),
+      [
+        ["1", "805000000"],
+        ["100", "195000000"],
+      ]
+    );
+  });
+
+  it("fails if the percentages do not add up to 100", () => {
+    assert.throws(() => parseChainSplit('{"1":"80","100":"15"}', [1, 100]), /must add up to 100/);
+    assert.throws(() => parseChainSplit('{"1":"80","100":"20.000001"}', [1, 100]), /must add up to 100/);
+  });
+
+  it("fails if a chain is missing or is not active", () => {
+    assert.throws(() => parseChainSplit('{"1":"100"}', [1, 100]), /for each active chain: 1, 100/);
+    assert.throws(() => parseChainSplit('{"1":"80","42":"20"}', [1, 100]), /for each active chain/);
+  });
+});
+
+describe("summarizeClaims", () => {
+  const claims = (values) =>
+    Object.fromEntries(values.map((value, i) => [`0x${String(i).padStart(40, "0")}`, { value: String(value) }]));
+  const summary = (values, options) =>
+    Object.fromEntries(
+      Object.entries(summarizeClaims(claims(values), options)).map(([key, value]) => [
+        key,
+        BigNumber.isBigNumber(value) ? value.toNumber() : value,
+      ])
+    );
+
+  it("describes a single claim", () => {
+    assert.deepEqual(summary([7]), { count: 1, total: 7, min: 7, median: 7, p90: 7, max: 7, topShare: 100 });
+  });
+
+  it("uses nearest-rank quantiles, whatever the order of the claims", () => {
+    const values = [10, 1, 9, 2, 8, 3, 7, 4, 6, 5];
+
+    assert.deepEqual(summary(values, { top: 3 }), {
+      count: 10,
+      total: 55,
+      min: 1,
+      median: 5,
+      p90: 9,
+      max: 10,
+      // (10 + 9 + 8) / 55
+      topShare: 49.09,
+    });
+    assert.equal(summary([1, 2, 3, 4]).median, 2);
+  });
+
+  it("handles no claims and claims of nothing", () => {
+    assert.deepEqual(summary([]), { count: 0, total: 0, min: 0, median: 0, p90: 0, max: 0, topShare: 0 });
+    assert.equal(summary([0, 0]).topShare, 0);
+  });
+});
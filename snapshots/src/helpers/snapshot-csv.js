@@ -0,0 +1,102 @@
+import { BigNumber } from "ethers";
+import { formatEther, formatUnits } from "ethers/lib/utils.js";
+
+// Shares are percentages with 6 decimals.
+const SHARE_DECIMALS = 6;
+
+const wei = (amount) => BigNumber.from(amount ?? 0).toString();
+
+const pnk = (amount) => formatEther(BigNumber.from(amount ?? 0));
+
+const getShare = (value, total) =>
+  BigNumber.from(total).isZero()
+    ? "0"
+    : formatUnits(
+        BigNumber.from(value).mul(100).mul(BigNumber.from(10).pow(SHARE_DECIMALS)).div(total),
+        SHARE_DECIMALS
+      );
+
+const compareCourtIds = (a, b) => (/^\d+$/.test(a) && /^\d+$/.test(b) ? Number(a) - Number(b) : a < b ? -1 : 1);
+
+/**
+ * Gets one row per juror of a snapshot: the average stake, the claim, its share of the total claimable
+ * and, if the snapshot has them, the average stake in each court.
+ * @param {Object} snapshot The snapshot in canonical form.
+ * @returns {Object<string, string>[]} The rows, sorted by claim value, the largest first.
+ */
+export function getClaimRows({ merkleTree, totalClaimable }) {
+  const claims = Object.entries(merkleTree.claims);
+  const courtIds = [
+    ...new Set(claims.flatMap(([, { averageStakeByCourt }]) => Object.keys(averageStakeByCourt ?? {}))),
+  ].sort(compareCourtIds);
+
+  return claims
+    .sort(([addressA, a], [addressB, b]) => {
+      const [x, y] = [BigNumber.from(a.value), BigNumber.from(b.value)];
+      return y.gt(x) ? 1 : y.lt(x) ? -1 : addressA < addressB ? -1 : 1;
+    })
+    .map(([address, { averageStake, averageStakeByCourt = {}, value }]) => ({
+      address,
+      average_stake_wei: averageStake === undefined ? "" : wei(averageStake),
+      average_stake_pnk: averageStake === undefined ? "" : pnk(averageStake),
+      claim_wei: wei(value),
+      claim_pnk: pnk(value),
+      share_percent: getShare(value, totalClaimable),
+      ...Object.fromEntries(
+        courtIds.flatMap((courtId) => [
+          [`court_${courtId}_stake_wei`, wei(averageStakeByCourt[courtId])],
+          [`court_${courtId}_stake_pnk`, pnk(averageStakeByCourt[courtId])],
+        ])
+      ),
+    }));
+}
+
+/**
+ * Gets the summary row of a snapshot.
+ * @param {Object} snapshot The snapshot in canonical form.
+ * @param {Object} [options] The options for the function.
+ * @param {number|string} [options.chainId=""] The chain of the snapshot, when it has no manifest saying so.
+ * @param {string} [options.source=""] Where the snapshot was read from.
+ * @returns {Object<string, string>} The row.
+ */
+export function getSummaryRow(snapshot, { chainId = "", source = "" } = {}) {
+  const { merkleTree, startDate, endDate, averageTotalStaked, droppedAmount, totalClaimable, dust, manifest } =
+    snapshot;
+
+  return {
+    source,
+    chain_id: String(manifest?.chainId ?? chainId),
+    start_date: startDate,
+    end_date: endDate,
+    root: merkleTree.root,
+    jurors: String(Object.keys(merkleTree.claims).length),
+    average_total_staked_wei: wei(averageTotalStaked),
+    average_total_staked_pnk: pnk(averageTotalStaked),
+    dropped_amount_wei: wei(droppedAmount),
+    dropped_amount_pnk: pnk(droppedAmount),
+    total_claimable_wei: wei(totalClaimable),
+    total_claimable_pnk: pnk(totalClaimable),
+    // Legacy snapshots do not have it, but it is what the claims leave out of the dropped amount.
+    dust_wei: wei(dust ?? BigNumber.from(droppedAmount).sub(totalClaimable)),
+    dust_pnk: pnk(dust ?? BigNumber.from(droppedAmount).sub(totalClaimable)),
+  };
+}
+
+const escapeCsv = (value) => (/[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+/**
+ * Formats rows as CSV, with a header taken from the keys of the first row.
+ * @param {Object<string, string>[]} rows The rows. They must all have the same keys.
+ * @returns {string} The CSV, with CRLF line endings as in RFC 4180.
+ */
+export function toCsv(rows) {
+  if (rows.length === 0) {
+    return "";
+  }
+
+  const columns = Object.keys(rows[0]);
+  return [columns, ...rows.map((row) => columns.map((column) => row[column] ?? ""))]
+    .map((cells) => cells.map((cell) => escapeCsv(String(cell))).join(","))
+    .join("\r\n")
+    .concat("\r\n");
+}
@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { parseEther } from "ethers/lib/utils.js";
+import { getClaimRows, getSummaryRow, toCsv } from "./snapshot-csv.js";
+
+const [alice, bob] = ["0x00000000000000000000000000000000000000AA", "0x00000000000000000000000000000000000000bb"];
+
+describe("toCsv", () => {
+  it("escapes the fields with commas, quotes and line breaks", () => {
+    const csv = toCsv([
+      { source: "ipfs://Qm,1", note: 'the "first" one', plain: "1" },
+      { source: "line\nbreak", note: "carriage\rreturn", plain: "" },
+    ]);
+
+    assert.equal(
+      csv,
+      'source,note,plain\r\n"ipfs://Qm,1","the ""first"" one",1\r\n"line\nbreak","carriage\rreturn",\r\n'
+    );
+  });
+
+  it("leaves the missing fields empty and gives nothing for no rows", () => {
+    assert.equal(toCsv([{ a: "1", b: "2" }, { a: "3" }]), "a,b\r\n1,2\r\n3,\r\n");
+    assert.equal(toCsv([]), "");
+  });
+});
+
+describe("getClaimRows", () => {
+  it("lists the jurors by claim, the largest first, with a column for each court", () => {
+    const rows = getClaimRows({
+      totalClaimable: parseEther("4").toString(),
+      merkleTree: {
+        claims: {
+          [alice]: { value: parseEther("1").toString(), averageStake: "100", averageStakeByCourt: { 10: "100" } },
+          [bob]: { value: parseEther("3").toString(), averageStake: "300", averageStakeByCourt: { 2: "300" } },
+        },
+      },
+    });
+
+    assert.deepEqual(
+      rows.map(({ address, claim_pnk, share_percent }) => [address, claim_pnk, share_percent]),
+      [
+        [bob, "3.0", "75.0"],
+        [alice, "1.0", "25.0"],
+      ]
+    );
+    assert.deepEqual(Object.keys(rows[0]).slice(-4), [
+      "court_2_stake_wei",
+      "court_2_stake_pnk",
+      "court_10_stake_wei",
+      "court_10_stake_pnk",
+    ]);
+    assert.equal(rows[0].court_10_stake_wei, "0");
+  });
+});
+
+describe("getSummaryRow", () => {
+  it("computes the dust of the legacy snapshots from the amounts", () => {
+    const row = getSummaryRow(
+      {
+        merkleTree: { root: "0x01", claims: { [alice]: {} } },
+        startDate: "2026-01-01T00:00:00.000Z",
+        endDate: "2026-02-01T00:00:00.000Z",
+        averageTotalStaked: "1000",
+        droppedAmount: "100",
+        totalClaimable: "97",
+      },
+      { chainId: 100, source: "snapshot.json" }
+    );
+
+    assert.equal(row.chain_id, "100");
+    assert.equal(row.jurors, "1");
+    assert.equal(row.dust_wei, "3");
+  });
+});
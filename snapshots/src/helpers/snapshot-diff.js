@@ -0,0 +1,195 @@
+import { BigNumber } from "ethers";
+import { formatEther } from "ethers/lib/utils.js";
+
+// Relative changes are in basis points.
+const BASIS_POINTS = 10000;
+
+const ZERO = BigNumber.from(0);
+
+const absolute = (bn) => (bn.isNegative() ? bn.mul(-1) : bn);
+
+const getRelativeChange = (before, after) =>
+  before.isZero() ? null : after.sub(before).mul(BASIS_POINTS).div(before).toNumber() / 100;
+
+const compareChanges = (a, b) => {
+  const [x, y] = [absolute(BigNumber.from(a.change)), absolute(BigNumber.from(b.change))];
+  return y.gt(x) ? 1 : y.lt(x) ? -1 : a.address < b.address ? -1 : 1;
+};
+
+function getAmountChange(before, after) {
+  const [x, y] = [BigNumber.from(before ?? 0), BigNumber.from(after ?? 0)];
+  return {
+    before: x.toString(),
+    after: y.toString(),
+    change: y.sub(x).toString(),
+    changePercent: getRelativeChange(x, y),
+  };
+}
+
+function describe({ merkleTree, startDate, endDate, manifest }) {
+  return { chainId: manifest?.chainId ?? null, startDate, endDate, root: merkleTree.root };
+}
+
+/**
+ * The differences between two snapshots. Amounts are decimal strings of wei, relative changes are percentages.
+ * @typedef {object} SnapshotDiff
+ * @prop {Object} before The chain, the period and the root of the first snapshot.
+ * @prop {Object} after The chain, the period and the root of the second snapshot.
+ * @prop {string[]} warnings What makes the snapshots hard to compare, such as being from different chains.
+ * @prop {Object} totals The changes of the totals, of the number of jurors and of the APY.
+ * @prop {Object[]} joined The jurors with a claim only in the second snapshot, the largest claims first.
+ * @prop {Object[]} left The jurors with a claim only in the first snapshot, the largest claims first.
+ * @prop {Object[]} stakeChanges The largest changes of the average stake of the jurors in both snapshots.
+ * @prop {Object[]} claimChanges The largest changes of the claims of the jurors in both snapshots.
+ * @prop {Object[]} overThreshold The jurors in both snapshots whose claim moved more than the threshold,
+ * the largest relative changes first.
+ */
+
+/**
+ * Compares two snapshots, usually of the same chain in consecutive periods.
+ * @param {Object} before The first snapshot, in canonical form.
+ * @param {Object} after The second snapshot, in canonical form.
+ * @param {Object} [options] The options for the function.
+ * @param {number} [options.threshold=50] The change of a claim, as a percentage, above which it is reported.
+ * @param {number} [options.limit=10] The number of largest stake and claim changes reported.
+ * @returns {SnapshotDiff} The differences.
+ */
+export function diffSnapshots(before, after, { threshold = 50, limit = 10 } = {}) {
+  const warnings = [];
+  if (before.manifest && after.manifest && before.manifest.chainId !== after.manifest.chainId) {
+    warnings.push(`The snapshots are from different chains: ${before.manifest.chainId} and ${after.manifest.chainId}`);
+  }
+  if (new Date(after.startDate) < new Date(before.endDate)) {
+    warnings.push("The second snapshot does not start after the first one ends");
+  }
+
+  const beforeClaims = before.merkleTree.claims;
+  const afterClaims = after.merkleTree.claims;
+  const toEntry = (address, { value, averageStake }) => ({
+    address,
+    value,
+    averageStake: averageStake ?? null,
+  });
+  const byValue = (a, b) => compareChanges({ ...a, change: a.value }, { ...b, change: b.value });
+
+  const joined = Object.entries(afterClaims)
+    .filter(([address]) => !beforeClaims[address])
+    .map(([address, claim]) => toEntry(address, claim))
+    .sort(byValue);
+  const left = Object.entries(beforeClaims)
+    .filter(([address]) => !afterClaims[address])
+    .map(([address, claim]) => toEntry(address, claim))
+    .sort(byValue);
+
+  const common = Object.keys(afterClaims).filter((address) => beforeClaims[address]);
+  const getChanges = (field) =>
+    common.map((address) => ({
+      address,
+      ...getAmountChange(beforeClaims[address][field], afterClaims[address][field]),
+    }));
+  const stakeChanges = getChanges("averageStake");
+  const claimChanges = getChanges("value");
+
+  const overThreshold = claimChanges
+    .filter(({ changePercent }) => changePercent !== null && Math.abs(changePercent) > threshold)
+    .sort((a, b) => Math.abs(b.changePercent) - Math.abs(a.changePercent) || (a.address < b.address ? -1 : 1));
+
+  const apyBefore = before.apy ?? null;
+  const apyAfter = after.apy ?? null;
+
+  return {
+    before: describe(before),
+    after: describe(after),
+    warnings,
+    totals: {
+      averageTotalStaked: getAmountChange(before.averageTotalStaked, after.averageTotalStaked),
+      droppedAmount: getAmountChange(before.droppedAmount, after.droppedAmount),
+      totalClaimable: getAmountChange(before.totalClaimable, after.totalClaimable),
+      jurors: {
+        before: Object.keys(beforeClaims).length,
+        after: Object.keys(afterClaims).length,
+        change: Object.keys(afterClaims).length - Object.keys(beforeClaims).length,
+      },
+      apy: {
+        before: apyBefore,
+        after: apyAfter,
+        // Rounded, so floating point noise does not show up as a change.
+        change: apyBefore === null || apyAfter === null ? null : Math.round((apyAfter - apyBefore) * 1e9) / 1e9,
+      },
+    },
+    joined,
+    left,
+    stakeChanges: stakeChanges
+      .filter(({ change }) => !ZERO.eq(change))
+      .sort(compareChanges)
+      .slice(0, limit),
+    claimChanges: claimChanges
+      .filter(({ change }) => !ZERO.eq(change))
+      .sort(compareChanges)
+      .slice(0, limit),
+    threshold,
+    overThreshold,
+  };
+}
+
+const formatPnk = (amount) =>
+  `${parseFloat(formatEther(amount)).toLocaleString("en-US", { maximumFractionDigits: 2 })} PNK`;
+
+const formatSignedPnk = (amount) => `${BigNumber.from(amount).isNegative() ? "" : "+"}${formatPnk(amount)}`;
+
+const formatPercent = (percent) => (percent === null ? "n/a" : `${percent > 0 ? "+" : ""}${percent.toFixed(2)}%`);
+
+const formatChange = ({ before, after, change, changePercent }) =>
+  `${formatPnk(before)} → ${formatPnk(after)} (${formatSignedPnk(change)}, ${formatPercent(changePercent)})`;
+
+/**
+ * Formats a diff for people to review.
+ * @param {SnapshotDiff} diff The diff.
+ * @param {Object} [options] The options for the function.
+ * @param {number} [options.limit=10] The number of jurors listed in each section.
+ * @returns {string} The text.
+ */
+export function formatSnapshotDiff(diff, { limit = 10 } = {}) {
+  const { before, after, warnings, totals, joined, left, stakeChanges, claimChanges, threshold, overThreshold } = diff;
+  const period = ({ chainId, startDate, endDate }) =>
+    `${chainId === null ? "" : `chain ${chainId}, `}${startDate.slice(0, 10)} → ${endDate.slice(0, 10)}`;
+  const list = (entries, format) => [
+    ...entries.slice(0, limit).map((entry) => `    ${format(entry)}`),
+    ...(entries.length > limit ? [`    … and ${entries.length - limit} more`] : []),
+  ];
+
+  const apyPercent = (apy) => `${(apy * 100).toFixed(2)}%`;
+  const apy =
+    totals.apy.change === null
+      ? "n/a"
+      : `${apyPercent(totals.apy.before)} → ${apyPercent(totals.apy.after)} (${totals.apy.change >= 0 ? "+" : ""}${(
+          totals.apy.change * 100
+        ).toFixed(2)} points)`;
+  return [
+    `Before: ${period(before)} (root ${before.root})`,
+    `After:  ${period(after)} (root ${after.root})`,
+    ...warnings.map((warning) => `⚠ ${warning}`),
+    "",
+    "Totals",
+    `  Average total staked: ${formatChange(totals.averageTotalStaked)}`,
+    `  Dropped amount:       ${formatChange(totals.droppedAmount)}`,
+    `  Total claimable:      ${formatChange(totals.totalClaimable)}`,
+    `  Jurors:               ${totals.jurors.before} → ${totals.jurors.after} (${totals.jurors.change >= 0 ? "+" : ""}${
+      totals.jurors.change
+    })`,
+    `  APY:                  ${apy}`,
+    "",
+    `Joined (${joined.length})`,
+    ...list(joined, ({ address, value }) => `${address}: ${formatPnk(value)}`),
+    `Left (${left.length})`,
+    ...list(left, ({ address, value }) => `${address}: ${formatPnk(value)}`),
+    "",
+    "Largest stake changes",
+    ...list(stakeChanges, (change) => `${change.address}: ${formatChange(change)}`),
+    "Largest claim changes",
+    ...list(claimChanges, (change) => `${change.address}: ${formatChange(change)}`),
+    "",
+    `Claims that moved more than ${threshold}% (${overThreshold.length})`,
+    ...list(overThreshold, (change) => `${change.address}: ${formatChange(change)}`),
+  ].join("\n");
+}
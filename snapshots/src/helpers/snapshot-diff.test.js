@@ -0,0 +1,108 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { parseEther } from "ethers/lib/utils.js";
+import { diffSnapshots, formatSnapshotDiff } from "./snapshot-diff.js";
+
+const [alice, bob, carol, dave] = [
+  "0x00000000000000000000000000000000000000A1",
+  "0x00000000000000000000000000000000000000b2",
+  "0x00000000000000000000000000000000000000c3",
+  "0x00000000000000000000000000000000000000D4",
+];
+
+const pnk = (amount) => parseEther(String(amount)).toString();
+
+// The claims are the value and the average stake of each juror, in PNK.
+const snapshot = (startDate, endDate, claims, { chainId = 1, apy = 0.1 } = {}) => {
+  const total = Object.values(claims).reduce((total, [value]) => total + value, 0);
+  return {
+    merkleTree: {
+      root: `0x${String(total).padStart(64, "0")}`,
+      claims: Object.fromEntries(
+        Object.entries(claims).map(([address, [value, averageStake]]) => [
+          address,
+          { value: pnk(value), averageStake: pnk(averageStake) },
+        ])
+      ),
+    },
+    startDate,
+    endDate,
+    averageTotalStaked: pnk(total * 10),
+    droppedAmount: pnk(total),
+    totalClaimable: pnk(total),
+    apy,
+    manifest: { chainId },
+  };
+};
+
+const january = snapshot("2026-01-01T00:00:00.000Z", "2026-02-01T00:00:00.000Z", {
+  [alice]: [100, 1000],
+  [bob]: [200, 2000],
+  [carol]: [300, 3000],
+});
+const february = snapshot(
+  "2026-02-01T00:00:00.000Z",
+  "2026-03-01T00:00:00.000Z",
+  {
+    [alice]: [100, 1000],
+    [bob]: [350, 3000],
+    [dave]: [50, 500],
+  },
+  { apy: 0.125 }
+);
+
+describe("diffSnapshots", () => {
+  it("reports the jurors who joined, left or whose claim changed", () => {
+    const diff = diffSnapshots(january, february);
+
+    assert.deepEqual(diff.joined, [{ address: dave, value: pnk(50), averageStake: pnk(500) }]);
+    assert.deepEqual(diff.left, [{ address: carol, value: pnk(300), averageStake: pnk(3000) }]);
+    assert.deepEqual(diff.claimChanges, [
+      { address: bob, before: pnk(200), after: pnk(350), change: pnk(150), changePercent: 75 },
+    ]);
+    assert.deepEqual(diff.stakeChanges, [
+      { address: bob, before: pnk(2000), after: pnk(3000), change: pnk(1000), changePercent: 50 },
+    ]);
+    // Only the claims that moved more than 50 %.
+    assert.deepEqual(
+      diff.overThreshold.map(({ address }) => address),
+      [bob]
+    );
+    assert.deepEqual(diffSnapshots(january, february, { threshold: 80 }).overThreshold, []);
+  });
+
+  it("reports the changes of the totals", () => {
+    const { totals, warnings } = diffSnapshots(january, february);
+
+    assert.deepEqual(totals.totalClaimable, {
+      before: pnk(600),
+      after: pnk(500),
+      change: pnk(-100),
+      changePercent: -16.66,
+    });
+    assert.deepEqual(totals.jurors, { before: 3, after: 3, change: 0 });
+    assert.deepEqual(totals.apy, { before: 0.1, after: 0.125, change: 0.025 });
+    assert.deepEqual(warnings, []);
+  });
+
+  it("warns about snapshots of different chains or overlapping periods", () => {
+    const other = { ...february, startDate: "2026-01-15T00:00:00.000Z", manifest: { chainId: 100 } };
+
+    assert.deepEqual(diffSnapshots(january, other).warnings, [
+      "The snapshots are from different chains: 1 and 100",
+      "The second snapshot does not start after the first one ends",
+    ]);
+  });
+});
+
+describe("formatSnapshotDiff", () => {
+  it("lists the jurors of each section", () => {
+    const text = formatSnapshotDiff(diffSnapshots(january, february));
+
+    assert.match(text, /^Before: chain 1, 2026-01-01 → 2026-02-01 \(root 0x0+600\)$/m);
+    assert.ok(text.includes(`Joined (1)\n    ${dave}: 50 PNK\nLeft (1)\n    ${carol}: 300 PNK\n`));
+    assert.ok(text.includes(`Largest claim changes\n    ${bob}: 200 PNK → 350 PNK (+150 PNK, +75.00%)\n`));
+    assert.ok(text.includes("  Total claimable:      600 PNK → 500 PNK (-100 PNK, -16.66%)\n"));
+    assert.match(text, /^ {2}APY: {18}10\.00% → 12\.50% \(\+2\.50 points\)$/m);
+  });
+});
@@ -0,0 +1,60 @@
+import { readFileSync } from "fs";
+import { basename } from "path";
+import { fetchWithFixtures as fetch } from "./fixtures.js";
+import { parseSnapshot } from "./snapshot-schema.js";
+
+/**
+ * The gateway IPFS paths are fetched from by default.
+ * @type {string}
+ */
+export const DEFAULT_IPFS_GATEWAY = "https://cdn.kleros.link";
+
+/**
+ * Gets the URL of a snapshot, or its path if it is a local file.
+ * @param {string} location A path, a URL, an IPFS path (`/ipfs/<cid>/<file>`) or an `ipfs://` URL.
+ * @param {Object} [options] The options for the function.
+ * @param {string} [options.ipfsGateway=DEFAULT_IPFS_GATEWAY] The IPFS gateway.
+ * @returns {string} The URL or the path.
+ */
+export function resolveSnapshotLocation(location, { ipfsGateway = DEFAULT_IPFS_GATEWAY } = {}) {
+  return location.startsWith("ipfs://")
+    ? `${ipfsGateway}/ipfs/${location.slice("ipfs://".length)}`
+    : location.startsWith("/ipfs/")
+    ? `${ipfsGateway}${location}`
+    : location;
+}
+
+/**
+ * Reads a snapshot from a file, a URL or IPFS, whatever its schema version.
+ * @param {string} location Where the snapshot is. See `resolveSnapshotLocation`.
+ * @param {Object} [options] The same options as `resolveSnapshotLocation`.
+ * @returns {Promise<Object>} The snapshot in canonical form.
+ */
+export async function readSnapshot(location, options) {
+  const url = resolveSnapshotLocation(location, options);
+  if (!/^https?:\/\//.test(url)) {
+    return parseSnapshot(readFileSync(url));
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url}: HTTP ${response.status} ${response.statusText}`);
+  }
+  return parseSnapshot(await response.json());
+}
+
+/**
+ * Tells the chain of a snapshot by its file name, `{filePrefix}snapshot-{period}.json`, for the snapshots without a
+ * manifest. The longest matching prefix wins, since the prefix of mainnet is empty.
+ * @param {string} location Where the snapshot is. See `resolveSnapshotLocation`.
+ * @param {Array<{ chainId: number, filePrefix: string }>} chains The chains of the registry.
+ * @returns {number|null} The chain ID, or `null` if the name matches no chain.
+ */
+export function getChainIdFromName(location, chains) {
+  const name = basename(location.split("?")[0]);
+  const [chain] = chains
+    .filter(({ filePrefix }) => name.startsWith(`${filePrefix}snapshot-`))
+    .sort((a, b) => b.filePrefix.length - a.filePrefix.length);
+
+  return chain?.chainId ?? null;
+}
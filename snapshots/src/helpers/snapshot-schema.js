@@ -0,0 +1,228 @@
+import { MerkleTree } from "@kleros/merkle-tree";
+import { BigNumber, utils } from "ethers";
+import bigNumberJsonReplacer from "./big-number-json-replacer.js";
+
+/**
+ * The version of the snapshot format, written in the `schemaVersion` field.
+ * Snapshots without it are legacy snapshots, whose amounts are `{ type: "BigNumber", hex }` objects.
+ * @type {number}
+ */
+export const SNAPSHOT_SCHEMA_VERSION = 1;
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+const REQUIRED_FIELDS = {
+  schemaVersion: "number",
+  merkleTree: "object",
+  startDate: "date",
+  endDate: "date",
+  blockHeight: "number",
+  averageTotalStaked: "amount",
+  droppedAmount: "amount",
+  totalClaimable: "amount",
+};
+
+const OPTIONAL_FIELDS = {
+  averageTotalWeightedStake: "amount",
+  dust: "amount",
+  apy: "number",
+  returns: "object",
+  combinedReturns: "object",
+  returnsHistory: "array",
+  allocation: "string",
+  weighting: "string",
+  strategy: "object",
+  claimCap: "object",
+  capped: "object",
+  courtMultipliers: "object",
+  excluded: "object",
+  weightingReport: "object",
+  manifest: "object",
+};
+
+const REQUIRED_CLAIM_FIELDS = {
+  value: "amount",
+  node: "bytes32",
+  proof: "proofs",
+};
+
+const OPTIONAL_CLAIM_FIELDS = {
+  averageStake: "amount",
+  averageStakeByCourt: "object",
+  multiplier: "string",
+};
+
+/**
+ * Converts a snapshot to its canonical form, without validating it:
+ * - amounts are decimal strings, whether they are BigNumbers or the `{ type: "BigNumber", hex }` objects
+ *   of legacy snapshots;
+ * - addresses, as values or as keys, are checksummed;
+ * - the keys of every object are sorted, so the same snapshot is always serialized the same way.
+ * @param {Object} snapshot The snapshot, as created or as read from a file of any version.
+ * @returns {Object} The snapshot in canonical form, with `schemaVersion` set to the current version.
+ */
+export function normalizeSnapshot(snapshot) {
+  const plain = JSON.parse(JSON.stringify(snapshot, bigNumberJsonReplacer));
+  return canonicalize({ ...plain, schemaVersion: SNAPSHOT_SCHEMA_VERSION });
+}
+
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value)
+        .map(([key, item]) => [ADDRESS_PATTERN.test(key) ? utils.getAddress(key) : key, canonicalize(item)])
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    );
+  }
+  if (typeof value === "string" && ADDRESS_PATTERN.test(value)) {
+    return utils.getAddress(value);
+  }
+
+  return value;
+}
+
+/**
+ * Checks a snapshot in canonical form against the schema.
+ * Besides the shape of each field, checks that every leaf matches its claim and that the claims add up.
+ * @param {Object} snapshot The snapshot in canonical form.
+ * @returns {string[]} The errors found.
+ */
+export function validateSnapshot(snapshot) {
+  const errors = [];
+
+  if (snapshot.schemaVersion !== SNAPSHOT_SCHEMA_VERSION) {
+    return [`Unsupported snapshot schema version ${JSON.stringify(snapshot.schemaVersion)}`];
+  }
+
+  errors.push(...checkFields(snapshot, REQUIRED_FIELDS, OPTIONAL_FIELDS, "`"));
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const { claims, root } = snapshot.merkleTree;
+  const rootError = checkType(root, "bytes32");
+  if (rootError) {
+    errors.push(`\`merkleTree.root\` ${rootError}`);
+  }
+  if (!claims || typeof claims !== "object") {
+    return [...errors, "`merkleTree.claims` is required"];
+  }
+
+  let total = BigNumber.from(0);
+  for (const [address, claim] of Object.entries(claims)) {
+    const addressError = checkType(address, "address");
+    if (addressError) {
+      errors.push(`Claim ${address}: the key ${addressError}`);
+      continue;
+    }
+
+    const claimErrors = checkFields(claim, REQUIRED_CLAIM_FIELDS, OPTIONAL_CLAIM_FIELDS, `Claim ${address}: \``);
+    if (claimErrors.length > 0) {
+      errors.push(...claimErrors);
+      continue;
+    }
+
+    if (MerkleTree.makeLeafNode(address, claim.value) !== claim.node) {
+      errors.push(`Claim ${address}: \`node\` does not match the address and the value`);
+    }
+    total = total.add(claim.value);
+  }
+
+  if (errors.length === 0 && !total.eq(snapshot.totalClaimable)) {
+    errors.push(`The claims add up to ${total} instead of \`totalClaimable\` ${snapshot.totalClaimable}`);
+  }
+
+  return errors;
+}
+
+function checkFields(object, required, optional, prefix) {
+  const errors = [];
+  for (const [field, type] of Object.entries({ ...required, ...optional })) {
+    // `null` is how optional fields, such as the claim cap, say they are not set.
+    if ((object[field] === undefined || object[field] === null) && !(field in required)) {
+      continue;
+    }
+
+    const error = checkType(object[field], type);
+    if (error) {
+      errors.push(`${prefix}${field}\` ${error}`);
+    }
+  }
+
+  return errors;
+}
+
+function checkType(value, type) {
+  if (value === undefined || value === null) {
+    return "is required";
+  }
+
+  switch (type) {
+    case "address":
+      return utils.isAddress(value) && utils.getAddress(value) === value
+        ? null
+        : `must be a checksummed address, got ${value}`;
+    case "amount":
+      return typeof value === "string" && /^\d+$/.test(value)
+        ? null
+        : `must be a decimal integer string, got ${JSON.stringify(value)}`;
+    case "bytes32":
+      return typeof value === "string" && /^0x[0-9a-f]{64}$/.test(value)
+        ? null
+        : `must be a 32 bytes lowercase hex string, got ${JSON.stringify(value)}`;
+    case "proofs":
+      return Array.isArray(value) && value.every((node) => checkType(node, "bytes32") === null)
+        ? null
+        : "must be an array of 32 bytes lowercase hex strings";
+    case "date":
+      return typeof value === "string" && !Number.isNaN(Date.parse(value)) && new Date(value).toISOString() === value
+        ? null
+        : `must be an ISO 8601 date, got ${JSON.stringify(value)}`;
+    case "array":
+      return Array.isArray(value) ? null : `must be an array, got ${JSON.stringify(value)}`;
+    case "object":
+      return typeof value === "object" && !Array.isArray(value)
+        ? null
+        : `must be an object, got ${JSON.stringify(value)}`;
+    default:
+      return typeof value === type ? null : `must be a ${type}, got ${JSON.stringify(value)}`;
+  }
+}
+
+/**
+ * Serializes a snapshot in canonical form, failing if it does not match the schema.
+ * @param {Object} snapshot The snapshot.
+ * @returns {string} The JSON.
+ */
+export function serializeSnapshot(snapshot) {
+  const normalized = normalizeSnapshot(snapshot);
+  const errors = validateSnapshot(normalized);
+  if (errors.length > 0) {
+    throw new Error(`Invalid snapshot:\n${errors.map((error) => `  - ${error}`).join("\n")}`);
+  }
+
+  return JSON.stringify(normalized);
+}
+
+/**
+ * Reads a snapshot, either legacy or of the current version, in canonical form.
+ * @param {string|Buffer|Object} json The JSON of the snapshot, or the snapshot already parsed.
+ * @returns {Object} The snapshot in canonical form.
+ */
+export function parseSnapshot(json) {
+  const snapshot = typeof json === "object" && !Buffer.isBuffer(json) ? json : JSON.parse(json);
+  if (snapshot.schemaVersion !== undefined && snapshot.schemaVersion !== SNAPSHOT_SCHEMA_VERSION) {
+    throw new Error(`Unsupported snapshot schema version ${JSON.stringify(snapshot.schemaVersion)}`);
+  }
+
+  const normalized = normalizeSnapshot(snapshot);
+  const errors = validateSnapshot(normalized);
+  if (errors.length > 0) {
+    throw new Error(`Invalid snapshot:\n${errors.map((error) => `  - ${error}`).join("\n")}`);
+  }
+
+  return normalized;
+}
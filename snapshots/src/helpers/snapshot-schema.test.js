@@ -0,0 +1,131 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { MerkleTree } from "@kleros/merkle-tree";
+import { BigNumber, utils } from "ethers";
+import { normalizeSnapshot, parseSnapshot, serializeSnapshot, validateSnapshot } from "./snapshot-schema.js";
+
+// Written in lowercase, as in the legacy snapshots.
+const [alice, bob] = ["0x00000000000000000000000000000000000000aa", "0x00000000000000000000000000000000000000bb"];
+const [checksummedAlice, checksummedBob] = [alice, bob].map(utils.getAddress);
+
+/**
+ * Creates a snapshot as the snapshot creator does, with the amounts as BigNumbers.
+ */
+function createSnapshot(values) {
+  const nodes = Object.entries(values).map(([address, value]) => MerkleTree.makeLeafNode(address, value));
+  const mt = new MerkleTree(nodes);
+  const claims = Object.fromEntries(
+    Object.entries(values).map(([address, value], i) => [
+      address,
+      { value: BigNumber.from(value), node: nodes[i], proof: mt.getHexProof(nodes[i]) },
+    ])
+  );
+  const total = Object.values(values).reduce((total, value) => total + value, 0);
+
+  return {
+    merkleTree: { claims, root: mt.getHexRoot(), width: mt.getWidth(), height: mt.getHeight() },
+    startDate: "2026-01-01T00:00:00.000Z",
+    endDate: "2026-02-01T00:00:00.000Z",
+    blockHeight: 1000,
+    averageTotalStaked: BigNumber.from(total * 10),
+    droppedAmount: BigNumber.from(total),
+    totalClaimable: BigNumber.from(total),
+    claimCap: null,
+  };
+}
+
+/**
+ * Writes a snapshot the way snapshots were written before the schema, with the BigNumbers as they are serialized.
+ */
+const toLegacy = (snapshot) => JSON.parse(JSON.stringify(snapshot));
+
+describe("normalizeSnapshot", () => {
+  it("gives the same canonical form for a legacy snapshot and a current one", () => {
+    const snapshot = createSnapshot({ [alice]: 30, [bob]: 70 });
+    const legacy = toLegacy(snapshot);
+    assert.deepEqual(legacy.droppedAmount, { type: "BigNumber", hex: "0x64" });
+
+    const normalized = normalizeSnapshot(snapshot);
+    assert.deepEqual(normalizeSnapshot(legacy), normalized);
+    assert.deepEqual(normalizeSnapshot(JSON.parse(JSON.stringify(normalized))), normalized);
+
+    assert.equal(normalized.schemaVersion, 1);
+    assert.equal(normalized.droppedAmount, "100");
+    assert.deepEqual(Object.keys(normalized.merkleTree.claims), [checksummedAlice, checksummedBob]);
+    assert.equal(normalized.merkleTree.claims[checksummedBob].value, "70");
+    assert.deepEqual(validateSnapshot(normalized), []);
+  });
+
+  it("sorts the keys, so the same snapshot is always serialized the same way", () => {
+    const snapshot = createSnapshot({ [bob]: 70, [alice]: 30 });
+    const { merkleTree, ...rest } = snapshot;
+    const reordered = Object.fromEntries(Object.entries({ ...rest, merkleTree }).reverse());
+
+    assert.equal(serializeSnapshot(reordered), serializeSnapshot(snapshot));
+    assert.deepEqual(Object.keys(normalizeSnapshot(snapshot)), Object.keys(normalizeSnapshot(snapshot)).sort());
+  });
+});
+
+describe("parseSnapshot", () => {
+  it("reads a legacy snapshot from its JSON", () => {
+    const snapshot = createSnapshot({ [alice]: 30, [bob]: 70 });
+    assert.deepEqual(parseSnapshot(JSON.stringify(toLegacy(snapshot))), normalizeSnapshot(snapshot));
+    assert.deepEqual(parseSnapshot(Buffer.from(serializeSnapshot(snapshot))), normalizeSnapshot(snapshot));
+  });
+
+  it("rejects the snapshots of an unknown schema version", () => {
+    const snapshot = { ...normalizeSnapshot(createSnapshot({ [alice]: 30 })), schemaVersion: 2 };
+    assert.throws(() => parseSnapshot(snapshot), /Unsupported snapshot schema version 2/);
+  });
+});
+
+describe("validateSnapshot", () => {
+  const validate = (change) => {
+    const snapshot = normalizeSnapshot(createSnapshot({ [alice]: 30, [bob]: 70 }));
+    change(snapshot);
+    return validateSnapshot(snapshot);
+  };
+
+  it("rejects the snapshots missing a required field or with a field of the wrong type", () => {
+    assert.deepEqual(
+      validate((snapshot) => delete snapshot.totalClaimable),
+      ["`totalClaimable` is required"]
+    );
+    assert.deepEqual(
+      validate((snapshot) => (snapshot.startDate = "January")),
+      ['`startDate` must be an ISO 8601 date, got "January"']
+    );
+    assert.deepEqual(
+      validate((snapshot) => (snapshot.droppedAmount = "0x64")),
+      ['`droppedAmount` must be a decimal integer string, got "0x64"']
+    );
+  });
+
+  it("rejects the claims whose node does not match their value", () => {
+    assert.deepEqual(
+      validate((snapshot) => (snapshot.merkleTree.claims[checksummedAlice].value = "31")),
+      [`Claim ${checksummedAlice}: \`node\` does not match the address and the value`]
+    );
+  });
+
+  it("rejects the claims that do not add up to the total claimable", () => {
+    assert.deepEqual(
+      validate((snapshot) => (snapshot.totalClaimable = "99")),
+      ["The claims add up to 100 instead of `totalClaimable` 99"]
+    );
+  });
+
+  it("rejects the addresses that are not checksummed", () => {
+    const errors = validate(({ merkleTree: { claims } }) => {
+      claims[alice] = claims[checksummedAlice];
+      delete claims[checksummedAlice];
+    });
+    assert.deepEqual(errors, [`Claim ${alice}: the key must be a checksummed address, got ${alice}`]);
+  });
+
+  it("fails to serialize an invalid snapshot", () => {
+    const snapshot = createSnapshot({ [alice]: 30 });
+    snapshot.totalClaimable = BigNumber.from(31);
+    assert.throws(() => serializeSnapshot(snapshot), /Invalid snapshot:\n {2}- The claims add up to 30 instead of/);
+  });
+});
@@ -0,0 +1,289 @@
+import { readFileSync } from "fs";
+import { BigNumber, Contract, utils } from "ethers";
+import { ascend, map, prop, sortWith } from "ramda";
+import { createGetEvents } from "./events.js";
+import { getStakeSets } from "./subgraph-events.js";
+
+/**
+ * @typedef {import('ethers').providers.Provider} Provider
+ * @typedef {import('ethers').Event} Event
+ */
+
+/**
+ * A change in the stake of a juror, regardless of the version of Kleros that emitted it.
+ * @typedef {object} StakeChange
+ * @prop {string} address The checksummed address of the juror.
+ * @prop {string} courtId The ID of the court whose stake changed.
+ * @prop {BigNumber} courtStake The new stake of the juror in the court.
+ * @prop {BigNumber} totalStake The new stake of the juror across all courts.
+ * @prop {number} blockNumber The block where the change happened.
+ * @prop {number} logIndex The position of the event in the block.
+ */
+
+/**
+ * Fetches the stake changes in a block range.
+ * @callback GetStakeChanges
+ * @param {number} fromBlock The first block [inclusive].
+ * @param {number} toBlock The last block [exclusive].
+ * @returns {Promise<StakeChange[]>} The stake changes, sorted by block and log index.
+ */
+
+/**
+ * The versions of Kleros whose stake events are supported.
+ * - `1`: KlerosLiquid, which emits `StakeSet(_address, _subcourtID, _stake, _newTotalStake)`.
+ * - `2`: KlerosCore, whose SortitionModule emits `StakeSet(_address, _courtID, _amount, _amountAllCourts)`.
+ */
+export const KLEROS_VERSIONS = [1, 2];
+
+/**
+ * Where the stake changes of a chain are read from.
+ * - `subgraph`: the KlerosLiquid subgraph. Kleros v1 only.
+ * - `rpc`: the `StakeSet` logs of KlerosLiquid or of the SortitionModule, through the provider.
+ * - `both`: both of the above, failing if they do not match exactly. Kleros v1 only.
+ */
+export const STAKE_EVENT_SOURCES = ["subgraph", "rpc", "both"];
+
+/**
+ * Gets where the stake changes of a chain are read from when no source is given:
+ * the subgraph for Kleros v1 and the RPC for Kleros v2, which has no subgraph.
+ * @param {{ klerosVersion?: number }} chain The chain.
+ * @returns {"subgraph"|"rpc"} The source.
+ */
+export function getDefaultStakeSource({ klerosVersion = 1 }) {
+  return klerosVersion === 2 ? "rpc" : "subgraph";
+}
+
+// KlerosLiquid and xKlerosLiquid share the same `StakeSet` event.
+const KLEROS_LIQUID_ABI_FILE = new URL("../assets/KlerosLiquid.json", import.meta.url);
+
+const V2_STAKE_SET_ABI = [
+  "event StakeSet(address indexed _address, uint256 _courtID, uint256 _amount, uint256 _amountAllCourts)",
+];
+
+/**
+ * Normalizes a `StakeSet` entity from the KlerosLiquid subgraph.
+ * @param {Object} stakeSet The entity as returned by the subgraph.
+ * @returns {StakeChange} The stake change.
+ */
+export function fromV1SubgraphStakeSet(stakeSet) {
+  return {
+    address: utils.getAddress(stakeSet.address),
+    courtId: String(stakeSet.subcourtID),
+    courtStake: BigNumber.from(stakeSet.stake),
+    totalStake: BigNumber.from(stakeSet.newTotalStake),
+    blockNumber: Number(stakeSet.blocknumber),
+    logIndex: Number(stakeSet.logIndex),
+  };
+}
+
+/**
+ * Normalizes a `StakeSet` event from KlerosLiquid.
+ * @param {Event} event The event.
+ * @returns {StakeChange} The stake change.
+ */
+export function fromV1StakeSet({ args, blockNumber, logIndex }) {
+  return {
+    address: utils.getAddress(args._address),
+    courtId: String(args._subcourtID),
+    courtStake: BigNumber.from(args._stake),
+    totalStake: BigNumber.from(args._newTotalStake),
+    blockNumber,
+    logIndex,
+  };
+}
+
+/**
+ * Normalizes a `StakeSet` event from the SortitionModule of KlerosCore.
+ * @param {Event} event The event.
+ * @returns {StakeChange} The stake change.
+ */
+export function fromV2StakeSet({ args, blockNumber, logIndex }) {
+  return {
+    address: utils.getAddress(args._address),
+    courtId: String(args._courtID),
+    courtStake: BigNumber.from(args._amount),
+    totalStake: BigNumber.from(args._amountAllCourts),
+    blockNumber,
+    logIndex,
+  };
+}
+
+/**
+ * Sorts stake changes by block and log index.
+ * @function
+ * @param {StakeChange[]} stakeChanges The stake changes.
+ * @returns {StakeChange[]} The sorted stake changes.
+ */
+export const sortStakeChanges = sortWith([ascend(prop("blockNumber")), ascend(prop("logIndex"))]);
+
+/**
+ * Serializes a stake change as JSON, with the amounts as decimal strings.
+ * @param {StakeChange} stakeChange The stake change.
+ * @returns {string} The JSON.
+ */
+export function serializeStakeChange({ address, courtId, courtStake, totalStake, blockNumber, logIndex }) {
+  return JSON.stringify({
+    address,
+    courtId,
+    courtStake: courtStake.toString(),
+    totalStake: totalStake.toString(),
+    blockNumber,
+    logIndex,
+  });
+}
+
+/**
+ * Reads a stake change serialized with `serializeStakeChange`.
+ * @param {string|Buffer} value The JSON.
+ * @returns {StakeChange} The stake change.
+ */
+export function deserializeStakeChange(value) {
+  const { courtStake, totalStake, ...rest } = JSON.parse(value);
+  return { ...rest, courtStake: BigNumber.from(courtStake), totalStake: BigNumber.from(totalStake) };
+}
+
+/**
+ * Creates the function fetching the stake changes of a chain, picking the adapter for its version of Kleros.
+ * - Kleros v1 stake changes are read from the subgraph, the RPC or both, according to `source`.
+ * - Kleros v2 stake changes are read from the SortitionModule through the RPC. Any other source is an error.
+ * @param {Object} chain The chain, as in the chain registry.
+ * @param {number} chain.chainId The chain ID.
+ * @param {number} [chain.klerosVersion=1] The version of Kleros deployed in the chain.
+ * @param {string} [chain.subgraphEndpoint] The subgraph indexing the KlerosLiquid events. Required for v1.
+ * @param {string} [chain.klerosLiquidAddress] The address of KlerosLiquid. Required for v1.
+ * @param {string} [chain.sortitionModuleAddress] The address of the SortitionModule. Required for v2.
+ * @param {Provider} [chain.provider] The provider for the chain. Required unless only the subgraph is used.
+ * @param {Object} [options] The options for the function.
+ * @param {"subgraph"|"rpc"|"both"} [options.source] Where the stake changes are read from.
+ * Defaults to `getDefaultStakeSource(chain)`.
+ * @param {number} [options.concurrency=10] The number of concurrent queries.
+ * @returns {GetStakeChanges} The function fetching the stake changes.
+ */
+export function createStakeSource(chain, { source = getDefaultStakeSource(chain), concurrency = 10 } = {}) {
+  const { chainId, klerosVersion = 1 } = chain;
+
+  if (!STAKE_EVENT_SOURCES.includes(source)) {
+    throw new Error(`Invalid stake event source ${source}`);
+  }
+
+  switch (klerosVersion) {
+    case 1: {
+      const fromSubgraph = async (fromBlock, toBlock) => {
+        const stakeSets = await getStakeSets(fromBlock, toBlock, chain.subgraphEndpoint);
+        return sortStakeChanges(map(fromV1SubgraphStakeSet, stakeSets));
+      };
+
+      if (source === "subgraph") {
+        return fromSubgraph;
+      }
+
+      const { abi } = JSON.parse(readFileSync(KLEROS_LIQUID_ABI_FILE));
+      const klerosLiquid = new Contract(chain.klerosLiquidAddress, abi, chain.provider);
+      const fromRpc = createGetLogs(klerosLiquid, fromV1StakeSet, { concurrency });
+
+      if (source === "rpc") {
+        return fromRpc;
+      }
+
+      return async (fromBlock, toBlock) => {
+        const subgraphChanges = await fromSubgraph(fromBlock, toBlock);
+        const rpcChanges = await fromRpc(fromBlock, toBlock);
+
+        const diff = reconcileStakeChanges(subgraphChanges, rpcChanges);
+        if (diff.length > 0) {
+          throw new Error(
+            `The subgraph and the RPC disagree on ${diff.length} stake changes of chain ${chainId} ` +
+              `between blocks ${fromBlock} and ${toBlock}:\n${formatStakeChangesDiff(diff)}`
+          );
+        }
+
+        return rpcChanges;
+      };
+    }
+    case 2: {
+      // There is no subgraph for v2 stake changes.
+      if (source !== "rpc") {
+        throw new Error(`Chain ${chainId}: Kleros v2 stake changes can only be read through the RPC, not ${source}`);
+      }
+
+      const sortitionModule = new Contract(chain.sortitionModuleAddress, V2_STAKE_SET_ABI, chain.provider);
+      return createGetLogs(sortitionModule, fromV2StakeSet, { concurrency });
+    }
+    default:
+      throw new Error(`Unsupported Kleros version ${klerosVersion}`);
+  }
+}
+
+function createGetLogs(contract, normalize, { concurrency }) {
+  const { getEvents } = createGetEvents();
+
+  return async (fromBlock, toBlock) => {
+    // `queryFilter` includes the last block, unlike the subgraph queries.
+    const events = await getEvents(contract, contract.filters.StakeSet(), {
+      fromBlock,
+      toBlock: toBlock - 1,
+      concurrency,
+    });
+    return sortStakeChanges(map(normalize, events));
+  };
+}
+
+/**
+ * A stake change that is missing from one of the sources or is different in each of them.
+ * @typedef {object} StakeChangeMismatch
+ * @prop {number} blockNumber The block of the stake change.
+ * @prop {number} logIndex The position of the event in the block.
+ * @prop {StakeChange} [subgraph] The stake change according to the subgraph, if it has it.
+ * @prop {StakeChange} [rpc] The stake change according to the RPC, if it has it.
+ */
+
+/**
+ * Compares the stake changes read from the subgraph with the ones read from the RPC.
+ * Stake changes are matched by their block number and log index.
+ * @param {StakeChange[]} subgraphChanges The stake changes from the subgraph.
+ * @param {StakeChange[]} rpcChanges The stake changes from the RPC.
+ * @returns {StakeChangeMismatch[]} The mismatches, sorted by block and log index. Empty if both sources agree.
+ */
+export function reconcileStakeChanges(subgraphChanges, rpcChanges) {
+  const getKey = ({ blockNumber, logIndex }) => `${blockNumber}-${logIndex}`;
+  const bySubgraphKey = new Map(subgraphChanges.map((change) => [getKey(change), change]));
+  const byRpcKey = new Map(rpcChanges.map((change) => [getKey(change), change]));
+
+  const mismatches = [];
+  for (const key of new Set([...bySubgraphKey.keys(), ...byRpcKey.keys()])) {
+    const subgraph = bySubgraphKey.get(key);
+    const rpc = byRpcKey.get(key);
+    if (!subgraph || !rpc || !isSameStakeChange(subgraph, rpc)) {
+      const { blockNumber, logIndex } = subgraph ?? rpc;
+      mismatches.push({ blockNumber, logIndex, subgraph, rpc });
+    }
+  }
+
+  return sortStakeChanges(mismatches);
+}
+
+function isSameStakeChange(a, b) {
+  return (
+    a.address === b.address && a.courtId === b.courtId && a.courtStake.eq(b.courtStake) && a.totalStake.eq(b.totalStake)
+  );
+}
+
+/**
+ * Formats the mismatches between the sources as a diff, `-` being the subgraph and `+` the RPC.
+ * @param {StakeChangeMismatch[]} mismatches The mismatches.
+ * @returns {string} The diff.
+ */
+export function formatStakeChangesDiff(mismatches) {
+  const format = ({ address, courtId, courtStake, totalStake }) =>
+    `${address} court ${courtId}: stake ${courtStake}, total ${totalStake}`;
+
+  return mismatches
+    .map(({ blockNumber, logIndex, subgraph, rpc }) =>
+      [
+        `  @ block ${blockNumber}, log ${logIndex}`,
+        subgraph ? `  - ${format(subgraph)}` : "  - (missing from the subgraph)",
+        rpc ? `  + ${format(rpc)}` : "  + (missing from the RPC)",
+      ].join("\n")
+    )
+    .join("\n");
+}
@@ -0,0 +1,261 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { createServer } from "node:http";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, beforeEach, describe, it } from "node:test";
+import { BigNumber, utils } from "ethers";
+import { setCacheDir } from "./cache.js";
+import {
+  createStakeSource,
+  formatStakeChangesDiff,
+  fromV2StakeSet,
+  getDefaultStakeSource,
+  reconcileStakeChanges,
+} from "./stake-sources.js";
+
+const cacheDir = mkdtempSync(join(tmpdir(), "pnk-drop-stake-sources-"));
+setCacheDir(cacheDir);
+
+const [alice, bob] = ["0x0000000000000000000000000000000000000001", "0x00000000000000000000000000000000000000b0"].map(
+  utils.getAddress
+);
+const KLEROS_LIQUID = "0x000000000000000000000000000000000000c0de";
+
+const change = (address, courtStake, blockNumber, logIndex = 0) => ({
+  address,
+  courtId: "1",
+  courtStake: BigNumber.from(courtStake),
+  totalStake: BigNumber.from(courtStake),
+  blockNumber,
+  logIndex,
+});
+
+const positions = (mismatches) =>
+  mismatches.map(({ blockNumber, logIndex, subgraph, rpc }) => [blockNumber, logIndex, !!subgraph, !!rpc]);
+
+describe("reconcileStakeChanges", () => {
+  it("matches the stake changes by block and log index, whatever their order", () => {
+    const changes = [change(alice, 10, 5), change(bob, 20, 5, 1), change(alice, 30, 8)];
+    assert.deepEqual(reconcileStakeChanges(changes, [...changes].reverse()), []);
+  });
+
+  it("reports the stake changes missing from either source", () => {
+    const subgraph = [change(alice, 10, 5), change(bob, 20, 5, 1)];
+    const rpc = [change(alice, 10, 5), change(bob, 20, 5, 2)];
+
+    assert.deepEqual(positions(reconcileStakeChanges(subgraph, rpc)), [
+      [5, 1, true, false],
+      [5, 2, false, true],
+    ]);
+  });
+
+  it("reports the stake changes that differ in the same position", () => {
+    const subgraph = [change(alice, 10, 5), change(bob, 20, 6)];
+    const rpc = [change(bob, 10, 5), change(bob, 21, 6)];
+
+    const mismatches = reconcileStakeChanges(subgraph, rpc);
+    assert.deepEqual(positions(mismatches), [
+      [5, 0, true, true],
+      [6, 0, true, true],
+    ]);
+    assert.equal(
+      formatStakeChangesDiff(mismatches.slice(1)),
+      [`  @ block 6, log 0`, `  - ${bob} court 1: stake 20, total 20`, `  + ${bob} court 1: stake 21, total 21`].join(
+        "\n"
+      )
+    );
+  });
+});
+
+const sortitionModule = new utils.Interface([
+  "event StakeSet(address indexed _address, uint256 _courtID, uint256 _amount, uint256 _amountAllCourts)",
+]);
+
+describe("fromV2StakeSet", () => {
+  it("decodes the StakeSet log of the SortitionModule", () => {
+    const log = sortitionModule.encodeEventLog(sortitionModule.getEvent("StakeSet"), [
+      bob.toLowerCase(),
+      3,
+      1000,
+      2500,
+    ]);
+    const { args } = sortitionModule.parseLog(log);
+
+    assert.deepEqual(fromV2StakeSet({ args, blockNumber: 12, logIndex: 4 }), {
+      address: bob,
+      courtId: "3",
+      courtStake: BigNumber.from(1000),
+      totalStake: BigNumber.from(2500),
+      blockNumber: 12,
+      logIndex: 4,
+    });
+  });
+});
+
+/*
+ * A KlerosLiquid subgraph answering every stake sets query with `subgraphStakeSets` in a single page,
+ * and a provider answering the `getLogs` requests with the `StakeSet` logs of `rpcStakeChanges`.
+ */
+let subgraphStakeSets = [];
+let rpcStakeChanges = [];
+
+const server = createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    const { query } = JSON.parse(body);
+    const lastId = query.match(/id_gt: "(.*?)"/)?.[1];
+    const data = query.includes("_meta")
+      ? { _meta: { block: { number: 1000 } } }
+      : { stakeSets: subgraphStakeSets.filter(({ id }) => id > lastId) };
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({ data }));
+  });
+});
+
+const toStakeSet = ({ address, courtId, courtStake, totalStake, blockNumber, logIndex }) => ({
+  id: `${blockNumber}-${logIndex}`,
+  address: address.toLowerCase(),
+  subcourtID: courtId,
+  stake: courtStake.toString(),
+  newTotalStake: totalStake.toString(),
+  blocknumber: String(blockNumber),
+  logIndex: String(logIndex),
+});
+
+const klerosLiquid = new utils.Interface(
+  JSON.parse(readFileSync(new URL("../assets/KlerosLiquid.json", import.meta.url))).abi
+);
+const provider = {
+  _isProvider: true,
+  getLogs: async ({ fromBlock, toBlock }) =>
+    rpcStakeChanges
+      .filter(({ blockNumber }) => blockNumber >= fromBlock && blockNumber <= toBlock)
+      .map(({ address, courtId, courtStake, totalStake, blockNumber, logIndex }) => ({
+        ...klerosLiquid.encodeEventLog(klerosLiquid.getEvent("StakeSet"), [address, courtId, courtStake, totalStake]),
+        address: KLEROS_LIQUID,
+        blockNumber,
+        logIndex,
+      })),
+};
+
+let chain;
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  chain = {
+    chainId: 1,
+    subgraphEndpoint: `http://127.0.0.1:${server.address().port}/`,
+    klerosLiquidAddress: KLEROS_LIQUID,
+    provider,
+  };
+});
+after(() => {
+  server.close();
+  rmSync(cacheDir, { recursive: true, force: true });
+});
+beforeEach(() => {
+  subgraphStakeSets = [];
+  rpcStakeChanges = [];
+});
+
+describe("createStakeSource", () => {
+  it("reads both sources when they agree", async () => {
+    rpcStakeChanges = [change(alice, 10, 5), change(bob, 20, 5, 1)];
+    subgraphStakeSets = rpcStakeChanges.map(toStakeSet);
+
+    const getStakeChanges = createStakeSource(chain, { source: "both" });
+    const stakeChanges = await getStakeChanges(0, 10);
+    assert.deepEqual(
+      stakeChanges.map(({ address, courtStake, blockNumber, logIndex }) => [
+        address,
+        String(courtStake),
+        blockNumber,
+        logIndex,
+      ]),
+      [
+        [alice, "10", 5, 0],
+        [bob, "20", 5, 1],
+      ]
+    );
+  });
+
+  it("fails with the diff when the sources disagree", async () => {
+    rpcStakeChanges = [change(alice, 10, 5), change(bob, 20, 5, 1)];
+    subgraphStakeSets = [toStakeSet(change(alice, 10, 5)), toStakeSet(change(bob, 25, 5, 1))];
+
+    await assert.rejects(createStakeSource(chain, { source: "both" })(0, 10), (error) => {
+      assert.match(
+        error.message,
+        /^The subgraph and the RPC disagree on 1 stake changes of chain 1 between blocks 0 and 10:/
+      );
+      assert.match(error.message, /@ block 5, log 1\n {2}- .* stake 25, .*\n {2}\+ .* stake 20, /);
+      return true;
+    });
+  });
+
+  it("only reads the stake changes of Kleros v2 through the RPC", () => {
+    const v2 = { chainId: 2, klerosVersion: 2, sortitionModuleAddress: KLEROS_LIQUID, provider };
+    assert.equal(getDefaultStakeSource(v2), "rpc");
+    assert.equal(typeof createStakeSource(v2), "function");
+
+    for (const source of ["subgraph", "both"]) {
+      assert.throws(
+        () => createStakeSource(v2, { source }),
+        new RegExp(`Chain 2: Kleros v2 stake changes can only be read through the RPC, not ${source}`)
+      );
+    }
+  });
+
+  it("reads the StakeSet logs of the SortitionModule for Kleros v2, sorted and up to the last block", async () => {
+    const logs = [
+      [bob, 3, 1000, 2500, 7, 2],
+      [alice, 1, 10, 10, 5, 0],
+      [bob, 1, 1500, 2500, 7, 1],
+      [alice, 1, 20, 20, 10, 0],
+    ].map(([address, courtId, amount, amountAllCourts, blockNumber, logIndex]) => ({
+      ...sortitionModule.encodeEventLog(sortitionModule.getEvent("StakeSet"), [
+        address,
+        courtId,
+        amount,
+        amountAllCourts,
+      ]),
+      address: KLEROS_LIQUID,
+      blockNumber,
+      logIndex,
+    }));
+    const requests = [];
+    const v2Provider = {
+      _isProvider: true,
+      getLogs: async ({ fromBlock, toBlock }) => {
+        requests.push([fromBlock, toBlock]);
+        return logs.filter(({ blockNumber }) => blockNumber >= fromBlock && blockNumber <= toBlock);
+      },
+    };
+
+    const getStakeChanges = createStakeSource({
+      chainId: 2,
+      klerosVersion: 2,
+      sortitionModuleAddress: KLEROS_LIQUID,
+      provider: v2Provider,
+    });
+    const stakeChanges = await getStakeChanges(0, 10);
+
+    assert.deepEqual(requests, [[0, 9]]);
+    assert.deepEqual(
+      stakeChanges.map(({ address, courtId, courtStake, totalStake, blockNumber, logIndex }) => [
+        address,
+        courtId,
+        String(courtStake),
+        String(totalStake),
+        blockNumber,
+        logIndex,
+      ]),
+      [
+        [alice, "1", "10", "10", 5, 0],
+        [bob, "1", "1500", "2500", 7, 1],
+        [bob, "3", "1000", "2500", 7, 2],
+      ]
+    );
+  });
+});
@@ -1,5 +1,25 @@
-import { BigNumber, utils } from "ethers";
-import fetch from "node-fetch";
+import { createHash } from "crypto";
+import { mkdir, readdir, readFile, rename, rm, writeFile } from "fs/promises";
+import { join } from "path";
+import { debuglog } from "util";
+import { getCacheDir } from "./cache.js";
+import { fetchWithFixtures as fetch } from "./fixtures.js";
+
+const debug = debuglog("subgraph");
+
+const PAGE_SIZE = 1000;
+
+/**
+ * The maximum number of pages fetched for a single block range.
+ * @type {number}
+ */
+export const DEFAULT_MAX_PAGES = 1000;
+
+/**
+ * @typedef {object} RetryParams
+ * @prop {number} [retries=5] How many times a failed page is fetched again before giving up.
+ * @prop {number} [minDelay=1000] The delay before the first retry, in milliseconds. It doubles on every retry.
+ */
 
 const fetchStakeSets = async (blockStart, blockEnd, subgraphEndpoint, lastId) => {
   const subgraphQuery = {
@@ -12,7 +32,7 @@ const fetchStakeSets = async (blockStart, blockEnd, subgraphEndpoint, lastId) =>
           },
           orderBy: id,
           orderDirection: asc,
-          first: 1000) {
+          first: ${PAGE_SIZE}) {
             id
             address
             subcourtID
@@ -31,56 +51,165 @@ const fetchStakeSets = async (blockStart, blockEnd, subgraphEndpoint, lastId) =>
     },
     body: JSON.stringify(subgraphQuery),
   });
-  const { data } = await response.json();
-  const stakeSets = data.stakeSets;
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} ${response.statusText}`);
+  }
 
-  return stakeSets;
+  const { data, errors } = await response.json();
+  if (errors?.length > 0) {
+    throw new Error(`GraphQL errors: ${errors.map(({ message }) => message).join("; ")}`);
+  }
+  if (!Array.isArray(data?.stakeSets)) {
+    throw new Error("The response has no stakeSets");
+  }
+
+  return data.stakeSets;
 };
 
-const fetchAllStakeSets = async (blockStart, blockEnd, subgraphEndpoint) => {
-  const batches = [];
-  let lastId = "";
-  for (let i = 0; i < 1000; i++) {
-    //console.log("Stake sets batch", batches.length);
-    const sets = await fetchStakeSets(blockStart, blockEnd, subgraphEndpoint, lastId);
-    //console.log("Batch got length:", sets.length);
-    batches.push(sets);
-    if (sets.length < 1000) break;
-    lastId = sets[999].id;
+const fetchIndexedBlockNumber = async (subgraphEndpoint) => {
+  const response = await fetch(subgraphEndpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ query: "{ _meta { block { number } } }" }),
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} ${response.statusText}`);
   }
-  return batches.flat(1);
+
+  const { data, errors } = await response.json();
+  if (errors?.length > 0 || !data?._meta) {
+    throw new Error(`GraphQL errors: ${(errors ?? []).map(({ message }) => message).join("; ")}`);
+  }
+
+  return data._meta.block.number;
 };
 
-const parseStakeSetsIntoEvents = (subgraphStakeSets) => {
-  return subgraphStakeSets.map((s) => {
-    return {
-      args: {
-        _address: utils.getAddress(s.address), // to checksum
-        _subcourtID: BigNumber.from(s.subcourtID),
-        _stake: BigNumber.from(s.stake),
-        _newTotalStake: BigNumber.from(s.newTotalStake),
-      },
-      logIndex: Number(s.logIndex),
-      blockNumber: Number(s.blocknumber),
-    };
-  });
+const withRetries = async (fn, { retries = 5, minDelay = 1000 } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= retries) {
+        throw err;
+      }
+
+      const delay = minDelay * 2 ** attempt;
+      debug(`Attempt ${attempt + 1} failed (${err.message}), retrying in ${delay}ms`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
 };
 
-export const getStakeSets = async (blockStart, blockEnd, chainId) => {
-  let endpoint;
-  if (chainId === 1) {
-    endpoint = "https://api.studio.thegraph.com/query/61738/kleros-display-mainnet/version/latest";
-  } else if (chainId === 100) {
-    endpoint = "https://api.studio.thegraph.com/query/61738/kleros-display-gnosis/version/latest";
-  } else {
-    throw new Error("Unsupported Chain, nor mainnet nor gnosis");
+/*
+ * Each page is persisted as soon as it is received, under a directory identifying the query,
+ * so an interrupted fetch resumes after the last `id` it got instead of starting over.
+ */
+const getPagesDir = (blockStart, blockEnd, subgraphEndpoint) => {
+  const endpointHash = createHash("sha256").update(subgraphEndpoint).digest("hex").slice(0, 16);
+  return join(getCacheDir(), "subgraph-pages", `${endpointHash}-${blockStart}-${blockEnd}`);
+};
+
+const readPersistedPages = async (pagesDir) => {
+  let files;
+  try {
+    files = await readdir(pagesDir);
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return [];
+    }
+    throw err;
   }
-  const subgraphStakeSets = await fetchAllStakeSets(blockStart, blockEnd, endpoint);
-  const parsed = parseStakeSetsIntoEvents(subgraphStakeSets);
-  const sorted = parsed.sort((a, b) => {
-    if (a.blockNumber === b.blockNumber) {
-      return a.logIndex - b.logIndex;
-    } else return a.blockNumber - b.blockNumber;
-  });
-  return sorted;
+
+  const pageFiles = files.filter((file) => /^\d+\.json$/.test(file)).sort();
+  return await Promise.all(pageFiles.map(async (file) => JSON.parse(await readFile(join(pagesDir, file)))));
+};
+
+const persistPage = async (pagesDir, index, page) => {
+  const file = join(pagesDir, `${String(index).padStart(6, "0")}.json`);
+  // Written to a temporary file first, so a page is never left half written.
+  await writeFile(`${file}.tmp`, JSON.stringify(page));
+  await rename(`${file}.tmp`, file);
+};
+
+const fetchAllStakeSets = async (
+  blockStart,
+  blockEnd,
+  subgraphEndpoint,
+  { maxPages = DEFAULT_MAX_PAGES, persist = true, ...retryParams } = {}
+) => {
+  const pagesDir = getPagesDir(blockStart, blockEnd, subgraphEndpoint);
+  const batches = persist ? await readPersistedPages(pagesDir) : [];
+  if (batches.length > 0) {
+    debug(`Resuming from ${batches.length} persisted pages in ${pagesDir}`);
+  } else if (persist) {
+    await mkdir(pagesDir, { recursive: true });
+  }
+
+  const persistedPages = batches.length;
+  for (let i = persistedPages; ; i++) {
+    const previous = batches[i - 1];
+    if (previous && previous.length < PAGE_SIZE) {
+      return batches.flat(1);
+    }
+
+    if (i === persistedPages) {
+      // A subgraph lagging behind would silently leave out the most recent stake sets.
+      const indexedBlock = await withRetries(() => fetchIndexedBlockNumber(subgraphEndpoint), retryParams);
+      if (indexedBlock < blockEnd - 1) {
+        throw new Error(
+          `The subgraph ${subgraphEndpoint} is only indexed up to block ${indexedBlock}, ` +
+            `but stake sets up to block ${blockEnd - 1} were requested`
+        );
+      }
+    }
+
+    if (i >= maxPages) {
+      throw new Error(
+        `Reached the limit of ${maxPages} pages fetching stake sets from ${subgraphEndpoint} ` +
+          `between blocks ${blockStart} and ${blockEnd}. The result would be incomplete`
+      );
+    }
+
+    const lastId = previous ? previous[previous.length - 1].id : "";
+    let sets;
+    try {
+      sets = await withRetries(() => fetchStakeSets(blockStart, blockEnd, subgraphEndpoint, lastId), retryParams);
+    } catch (err) {
+      throw new Error(
+        `Failed to fetch page ${i} of stake sets (after id "${lastId}") from ${subgraphEndpoint} ` +
+          `between blocks ${blockStart} and ${blockEnd}: ${err.message}`
+      );
+    }
+    debug(`Got page ${i} with ${sets.length} stake sets`);
+
+    if (persist) {
+      await persistPage(pagesDir, i, sets);
+    }
+    batches.push(sets);
+  }
+};
+
+/**
+ * Fetches the `StakeSet` entities of the KlerosLiquid subgraph in a block range.
+ * The pages received are persisted in the `subgraph-pages` directory of the cache, so fetching the same range again
+ * after an interruption only requests the pages that are missing. They are deleted once every page is received.
+ * @param {number} blockStart The first block [inclusive].
+ * @param {number} blockEnd The last block [exclusive].
+ * @param {string} endpoint The subgraph endpoint.
+ * @param {Object} [options] The options for the function.
+ * @param {number} [options.maxPages=DEFAULT_MAX_PAGES] The maximum number of pages. Reaching it is an error.
+ * @param {boolean} [options.persist=true] Whether the pages are persisted.
+ * @param {number} [options.retries] See `RetryParams`.
+ * @param {number} [options.minDelay] See `RetryParams`.
+ * @returns {Promise<Object[]>} The entities, as returned by the subgraph.
+ */
+export const getStakeSets = async (blockStart, blockEnd, endpoint, options) => {
+  const stakeSets = await fetchAllStakeSets(blockStart, blockEnd, endpoint, options);
+  if (options?.persist ?? true) {
+    await rm(getPagesDir(blockStart, blockEnd, endpoint), { recursive: true, force: true });
+  }
+
+  return stakeSets;
 };
@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import { existsSync, mkdtempSync, readdirSync, rmSync } from "node:fs";
+import { createServer } from "node:http";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, beforeEach, describe, it } from "node:test";
+import { setCacheDir } from "./cache.js";
+import { getStakeSets } from "./subgraph-events.js";
+
+const cacheDir = mkdtempSync(join(tmpdir(), "pnk-drop-subgraph-"));
+setCacheDir(cacheDir);
+const pagesDir = join(cacheDir, "subgraph-pages");
+
+const stakeSets = Array.from({ length: 2500 }, (_, i) => ({ id: String(i).padStart(6, "0"), blocknumber: "10" }));
+
+/*
+ * A subgraph answering the `_meta` and `stakeSets` queries in pages of 1000, ordered by id,
+ * where `failures` tells which requests fail, by the id the page starts after.
+ */
+const subgraph = { indexedBlock: 1000, failures: {}, requests: [] };
+const server = createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    const { query } = JSON.parse(body);
+    res.setHeader("Content-Type", "application/json");
+    if (query.includes("_meta")) {
+      res.end(JSON.stringify({ data: { _meta: { block: { number: subgraph.indexedBlock } } } }));
+      return;
+    }
+
+    const lastId = query.match(/id_gt: "(\d*)"/)[1];
+    subgraph.requests.push(lastId);
+    if (subgraph.failures[lastId] > 0) {
+      subgraph.failures[lastId] -= 1;
+      res.end(JSON.stringify({ errors: [{ message: "indexing error" }] }));
+      return;
+    }
+    res.end(JSON.stringify({ data: { stakeSets: stakeSets.filter(({ id }) => id > lastId).slice(0, 1000) } }));
+  });
+});
+
+let endpoint;
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  endpoint = `http://127.0.0.1:${server.address().port}/`;
+});
+after(() => {
+  server.close();
+  rmSync(cacheDir, { recursive: true, force: true });
+});
+beforeEach(() => {
+  Object.assign(subgraph, { indexedBlock: 1000, failures: {}, requests: [] });
+  rmSync(pagesDir, { recursive: true, force: true });
+});
+
+const noRetries = { retries: 0, minDelay: 1 };
+
+describe("getStakeSets", () => {
+  it("fetches every page, then deletes the pages", async () => {
+    const sets = await getStakeSets(0, 100, endpoint, noRetries);
+
+    assert.deepEqual(sets, stakeSets);
+    assert.deepEqual(subgraph.requests, ["", "000999", "001999"]);
+    assert.deepEqual(readdirSync(pagesDir), []);
+  });
+
+  it("retries a failed page", async () => {
+    subgraph.failures["000999"] = 2;
+
+    assert.equal((await getStakeSets(0, 100, endpoint, { retries: 2, minDelay: 1 })).length, stakeSets.length);
+    assert.deepEqual(subgraph.requests, ["", "000999", "000999", "000999", "001999"]);
+  });
+
+  it("keeps the pages received when a page keeps failing, and resumes after them", async () => {
+    subgraph.failures["001999"] = 1;
+    await assert.rejects(
+      getStakeSets(0, 100, endpoint, noRetries),
+      /Failed to fetch page 2 of stake sets \(after id "001999"\) .*: GraphQL errors: indexing error/
+    );
+    const [dir] = readdirSync(pagesDir);
+    assert.deepEqual(readdirSync(join(pagesDir, dir)), ["000000.json", "000001.json"]);
+
+    subgraph.requests = [];
+    assert.deepEqual(await getStakeSets(0, 100, endpoint, noRetries), stakeSets);
+    assert.deepEqual(subgraph.requests, ["001999"]);
+    assert.ok(!existsSync(join(pagesDir, dir)));
+  });
+
+  it("rejects a subgraph that has not indexed the requested blocks yet", async () => {
+    subgraph.indexedBlock = 98;
+
+    await assert.rejects(
+      getStakeSets(0, 100, endpoint, noRetries),
+      /is only indexed up to block 98, but stake sets up to block 99 were requested/
+    );
+    assert.deepEqual(subgraph.requests, []);
+  });
+
+  it("fails instead of truncating the result at the page limit", async () => {
+    await assert.rejects(
+      getStakeSets(0, 100, endpoint, { ...noRetries, maxPages: 2 }),
+      /Reached the limit of 2 pages .* The result would be incomplete/
+    );
+  });
+});
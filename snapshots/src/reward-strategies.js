@@ -0,0 +1,148 @@
+import { BigNumber } from "ethers";
+import { parseEther, parseUnits } from "ethers/lib/utils.js";
+import { all, filter, map, prop } from "ramda";
+
+/**
+ * @typedef {import('ethers').BigNumber} BigNumber
+ */
+
+/**
+ * A step of the function of the amount staked by a juror.
+ * @typedef {object} StakeStep
+ * @prop {number} from The position where the step starts, either a block height or a timestamp, clamped to the period.
+ * @prop {number} to The position where the step ends, either a block height or a timestamp, clamped to the period.
+ * @prop {BigNumber} weight The width of the step.
+ * @prop {BigNumber} value The amount staked during the step.
+ */
+
+/**
+ * The normalized stake of a juror in the period.
+ * @typedef {object} StakeTimeline
+ * @prop {BigNumber} averageStake The weighted average of the total stake.
+ * @prop {BigNumber} weightedStake The average stake after applying the court multipliers.
+ * @prop {Object<string, BigNumber>} averageStakeByCourt The average stake in each court, indexed by the court ID.
+ * @prop {StakeStep[]} steps The step function of the total stake.
+ */
+
+/**
+ * @typedef {object} Distribution
+ * @prop {Object<string, BigNumber>} claims The claim values, indexed by the juror address.
+ * @prop {BigNumber} dust The amount lost by rounding down or that could not be handed out.
+ * @prop {Object<string, Object>} capped The claims that went over the cap, indexed by the juror address.
+ */
+
+/**
+ * Splits the dropped amount proportionally to the given weights,
+ * following the allocation and the cap configured for the snapshot.
+ * @callback Distribute
+ * @param {Object<string, BigNumber>} weights The weights, indexed by the juror address.
+ * @returns {Distribution} The distribution.
+ */
+
+/**
+ * @typedef {object} RewardStrategy
+ * @prop {string} name The name of the strategy.
+ * @prop {Object} defaults The default parameters.
+ * @prop {function({ timelines: Object<string, StakeTimeline>, droppedAmount: BigNumber, params: Object, distribute: Distribute }): Distribution} getClaims
+ * Computes the claim values from the stake timelines of the jurors, indexed by their addresses.
+ */
+
+/**
+ * Claims are proportional to the average stake, after the court multipliers.
+ * @type {RewardStrategy}
+ */
+const proportional = {
+  name: "proportional",
+  defaults: {},
+  getClaims: ({ timelines, distribute }) => distribute(map(prop("weightedStake"), timelines)),
+};
+
+/**
+ * Claims are proportional to the square root of the average stake, which favors smaller jurors.
+ * @type {RewardStrategy}
+ */
+const squareRoot = {
+  name: "square-root",
+  defaults: {},
+  getClaims: ({ timelines, distribute }) => distribute(map(({ weightedStake }) => sqrt(weightedStake), timelines)),
+};
+
+/**
+ * Only jurors whose average stake is at least `minimumStake` PNK receive a claim,
+ * proportional to their average stake.
+ * @type {RewardStrategy}
+ */
+const minimumStake = {
+  name: "minimum-stake",
+  defaults: { minimumStake: "0" },
+  getClaims: ({ timelines, params, distribute }) => {
+    const minimum = parseEther(String(params.minimumStake));
+    const eligible = filter(({ averageStake }) => averageStake.gte(minimum), timelines);
+
+    return distribute(map(prop("weightedStake"), eligible));
+  },
+};
+
+// Bonuses are handled as fixed point numbers with 9 decimals.
+const BONUS_DECIMALS = 9;
+
+/**
+ * Claims are proportional to the average stake, boosted by `bonus` (e.g. `0.1` for 10%)
+ * for the jurors who kept a stake during the whole period.
+ * @type {RewardStrategy}
+ */
+const loyalty = {
+  name: "loyalty",
+  defaults: { bonus: "0.1" },
+  getClaims: ({ timelines, params, distribute }) => {
+    const basis = parseUnits("1", BONUS_DECIMALS);
+    const multiplier = basis.add(parseUnits(String(params.bonus), BONUS_DECIMALS));
+    const isContinuous = ({ steps }) =>
+      steps.length > 0 && all(({ weight, value }) => weight.isZero() || !value.isZero(), steps);
+
+    return distribute(
+      map(
+        (timeline) =>
+          isContinuous(timeline) ? timeline.weightedStake.mul(multiplier).div(basis) : timeline.weightedStake,
+        timelines
+      )
+    );
+  },
+};
+
+export const REWARD_STRATEGIES = {
+  [proportional.name]: proportional,
+  [squareRoot.name]: squareRoot,
+  [minimumStake.name]: minimumStake,
+  [loyalty.name]: loyalty,
+};
+
+/**
+ * Gets one of the built-in reward strategies.
+ * @param {string} name The name of the strategy.
+ * @returns {RewardStrategy} The strategy.
+ */
+export function getRewardStrategy(name) {
+  const strategy = REWARD_STRATEGIES[name];
+  if (!strategy) {
+    throw new Error(`Invalid reward strategy ${name}`);
+  }
+
+  return strategy;
+}
+
+function sqrt(value) {
+  if (value.lt(2)) {
+    return BigNumber.from(value);
+  }
+
+  // Newton's method, which converges to the floor of the square root.
+  let x = value;
+  let y = x.add(1).div(2);
+  while (y.lt(x)) {
+    x = y;
+    y = x.add(value.div(x)).div(2);
+  }
+
+  return x;
+}
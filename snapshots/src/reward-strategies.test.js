@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { BigNumber } from "ethers";
+import { parseEther } from "ethers/lib/utils.js";
+import { map } from "ramda";
+import { getRewardStrategy, REWARD_STRATEGIES } from "./reward-strategies.js";
+
+/*
+ * Gets the weights a strategy passes to `distribute`, as strings.
+ */
+const getWeights = (name, timelines, params = {}) =>
+  getRewardStrategy(name).getClaims({
+    timelines,
+    droppedAmount: BigNumber.from(1000),
+    params: { ...REWARD_STRATEGIES[name].defaults, ...params },
+    distribute: map(String),
+  });
+
+const step = (weight, value) => ({ from: 0, to: weight, weight: BigNumber.from(weight), value: BigNumber.from(value) });
+
+const timeline = (averageStake, { weightedStake = averageStake, steps = [step(1, averageStake)] } = {}) => ({
+  averageStake: BigNumber.from(averageStake),
+  weightedStake: BigNumber.from(weightedStake),
+  averageStakeByCourt: {},
+  steps,
+});
+
+describe("square-root", () => {
+  it("rounds the square root down, at the perfect squares and just below them", () => {
+    const large = BigNumber.from(10).pow(18);
+    const stakes = {
+      a: 0,
+      b: 1,
+      c: 2,
+      d: 3,
+      e: 4,
+      f: 15,
+      g: 16,
+      h: 17,
+      i: large.mul(large).sub(1),
+      j: large.mul(large),
+    };
+
+    assert.deepEqual(getWeights("square-root", map(timeline, stakes)), {
+      a: "0",
+      b: "1",
+      c: "1",
+      d: "1",
+      e: "2",
+      f: "3",
+      g: "4",
+      h: "4",
+      i: large.sub(1).toString(),
+      j: large.toString(),
+    });
+  });
+
+  it("uses the stake after the court multipliers", () => {
+    assert.deepEqual(getWeights("square-root", { a: timeline(100, { weightedStake: 144 }) }), { a: "12" });
+  });
+});
+
+describe("minimum-stake", () => {
+  it("leaves out the jurors whose average stake is below the minimum, in PNK", () => {
+    const timelines = {
+      a: timeline(parseEther("999.999")),
+      b: timeline(parseEther("1000"), { weightedStake: parseEther("1500") }),
+      c: timeline(parseEther("2000")),
+    };
+
+    assert.deepEqual(getWeights("minimum-stake", timelines, { minimumStake: "1000" }), {
+      b: parseEther("1500").toString(),
+      c: parseEther("2000").toString(),
+    });
+    assert.deepEqual(Object.keys(getWeights("minimum-stake", timelines)), ["a", "b", "c"]);
+  });
+});
+
+describe("loyalty", () => {
+  it("gives the bonus to the jurors who kept a stake during the whole period", () => {
+    const timelines = {
+      // Staked since before the period.
+      loyal: timeline(1000, { steps: [step(50, 800), step(50, 1200)] }),
+      // Started staking within the period.
+      late: timeline(1000, { steps: [step(50, 0), step(50, 2000)] }),
+      // Unstaked within the period.
+      gone: timeline(1000, { steps: [step(50, 2000), step(50, 0)] }),
+      // A change of stake at the very end of the period leaves an empty step.
+      last: timeline(1000, { steps: [step(100, 1000), step(0, 0)] }),
+    };
+
+    assert.deepEqual(getWeights("loyalty", timelines), { loyal: "1100", late: "1000", gone: "1000", last: "1100" });
+    assert.deepEqual(getWeights("loyalty", timelines, { bonus: "0.25" }), {
+      loyal: "1250",
+      late: "1000",
+      gone: "1000",
+      last: "1250",
+    });
+  });
+});
+
+describe("getRewardStrategy", () => {
+  it("rejects an unknown strategy", () => {
+    assert.throws(() => getRewardStrategy("quadratic"), /Invalid reward strategy quadratic/);
+  });
+});